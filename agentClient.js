@@ -0,0 +1,42 @@
+// agentClient.js
+// Signed HTTP calls from the allocator to the VM agents (vmAgent.js).
+
+const axios = require('axios');
+const { signRequest } = require('./requestSigning');
+
+const AGENT_PORT = Number(process.env.AGENT_PORT || 7777);
+
+/**
+ * Send a signed request to the agent on a VM and return the response body.
+ *
+ * @param {string} ip - VM IP
+ * @param {string} method - HTTP method
+ * @param {string} path - Path including query string
+ * @param {object} [body] - JSON body
+ * @param {object} [options]
+ * @param {number} [options.timeout] - ms
+ */
+async function agentRequest(ip, method, path, body, options = {}) {
+  // serialize once so the bytes signed are the bytes sent
+  const data = body === undefined ? '' : JSON.stringify(body);
+  const headers = signRequest(method, path, data);
+  if (data) headers['Content-Type'] = 'application/json';
+
+  try {
+    const res = await axios({
+      method,
+      url: `http://${ip}:${AGENT_PORT}${path}`,
+      data: data || undefined,
+      headers,
+      timeout: options.timeout,
+      transformRequest: [(d) => d],
+    });
+    return res.data;
+  } catch (err) {
+    // surface the agent's own error message instead of "Request failed with status code 500"
+    if (err.response?.data?.message) err.message = err.response.data.message;
+    throw err;
+  }
+}
+
+module.exports = { agentRequest, AGENT_PORT };
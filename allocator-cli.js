@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// allocator-cli.js
+// Command line client for the allocator's admin routes.
+//
+//   allocator vms list [--fleet <id>]
+//   allocator vms show|drain|undrain <instanceId>
+//   allocator vms terminate <instanceId> [--force]
+//   allocator matches list [--vm <instanceId>] [--status <status>] [--fleet <id>]
+//   allocator matches stop <matchId>
+//   allocator matches logs <matchId> [--tail <n>]
+//   allocator pool show
+//   allocator pool scale [--fleet <id>] [--min <n>] [--max <n>]
+//   allocator protected set <instanceId>
+//   allocator rollout show|promote|abort
+//   allocator rollout start <version> --image <serverImage> [--cvm-image <imageId>] [--percent <n>]
+//   allocator rollout percent <n>
+//   allocator costs show [--period day|month] [--from <date>] [--to <date>]
+//
+// Options: --json for raw JSON, --url (ALLOCATOR_URL, default http://localhost:7777),
+// --key (ADMIN_API_KEY).
+
+const axios = require('axios');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const USAGE = `Usage: allocator <command> [options]
+
+  vms list [--fleet <id>]                 List VMs
+  vms show <instanceId>                   Show one VM
+  vms drain <instanceId>                  Stop placing matches on a VM (terminated once empty)
+  vms undrain <instanceId>                Put a draining VM back into service
+  vms terminate <instanceId> [--force]    Terminate now; --force also fails its live matches
+  matches list [--vm <id>] [--status <s>] [--fleet <id>]
+  matches stop <matchId>                  Stop a match's container
+  matches logs <matchId> [--tail <n>]     Last lines of a match server's output (default 200)
+  pool show                               Fleet sizes and free slots
+  pool scale [--fleet <id>] [--min <n>] [--max <n>]
+  protected set <instanceId>              Choose the protected VM
+  rollout show                            Stable / canary builds and VMs per build
+  rollout start <version> --image <img> [--cvm-image <id>] [--percent <n>]
+                                          Canary a new server build (default 10% of matches)
+  rollout percent <n>                     Change the canary's share of new matches
+  rollout promote                         Make the canary stable and retire the old build's VMs
+  rollout abort                           Drop the canary and retire its VMs
+  costs show [--period day|month] [--from <date>] [--to <date>]
+                                          Spend by fleet, charge mode and game mode, and budget status
+
+Options:
+  --json          Print raw JSON instead of tables
+  --url <url>     Allocator base URL (ALLOCATOR_URL, default http://localhost:7777)
+  --key <key>     Admin API key (ADMIN_API_KEY)`;
+
+const BOOLEAN_FLAGS = new Set(['json', 'force', 'help']);
+
+// Split argv into positional args and --flags (--flag value, --flag=value, or boolean flags)
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) flags[name] = inline;
+    else if (BOOLEAN_FLAGS.has(name)) flags[name] = true;
+    else if (i + 1 < argv.length) flags[name] = argv[++i];
+    else throw new Error(`--${name} needs a value`);
+  }
+  return { args, flags };
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+// Render rows as an aligned text table with the given [header, accessor] columns
+function table(rows, columns) {
+  const cells = rows.map((row) => columns.map(([, get]) => String(get(row) ?? '-')));
+  const headers = columns.map(([header]) => header);
+  const widths = headers.map((h, i) => Math.max(h.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), ...cells.map(line)].join('\n');
+}
+
+const VM_COLUMNS = [
+  ['INSTANCE', (vm) => `${vm.instanceId}${vm.protected ? ' *' : ''}`],
+  ['FLEET', (vm) => vm.fleetId],
+  ['BUILD', (vm) => vm.build],
+  ['IP', (vm) => vm.ip],
+  ['CHARGE', (vm) => vm.chargeType],
+  ['STATE', (vm) => (vm.draining ? `draining (${vm.draining.reason})` : vm.state)],
+  ['MATCHES', (vm) => vm.matchCount],
+  ['LIVE', (vm) => vm.liveMatches],
+  ['RESERVED', (vm) => vm.reserved],
+  ['LAUNCHED', (vm) => formatTime(vm.launchedAt)],
+  ['LAST SEEN', (vm) => formatTime(vm.lastSeen)],
+];
+
+const MATCH_COLUMNS = [
+  ['MATCH', (m) => m.matchId],
+  ['STATUS', (m) => m.status],
+  ['MODE', (m) => m.gameMode],
+  ['BUILD', (m) => m.buildVersion],
+  ['PRIVACY', (m) => m.matchPrivacy],
+  ['VM', (m) => m.vmInstanceId],
+  ['ADDRESS', (m) => (m.serverIP ? `${m.serverIP}:${m.serverPort}` : '-')],
+  ['CREATED', (m) => formatTime(m.createdAt)],
+  ['REASON', (m) => m.endReason],
+];
+
+const FLEET_COLUMNS = [
+  ['FLEET', (f) => f.id],
+  ['REGION', (f) => f.region],
+  ['ZONE', (f) => f.zone],
+  ['MIN', (f) => f.minVMs],
+  ['MAX', (f) => (f.budgetMaxVMs !== undefined && f.budgetMaxVMs < f.maxVMs ? `${f.budgetMaxVMs} (budget)` : f.maxVMs)],
+  ['VMS', (f) => f.vms],
+  ['SERVING', (f) => f.servingVMs],
+  ['LAUNCHING', (f) => f.launching],
+  ['FREE SLOTS', (f) => f.freeSlots],
+];
+
+function createClient({ url, key }) {
+  return async function request(method, path, data) {
+    try {
+      const res = await axios({
+        method,
+        url: `${url.replace(/\/$/, '')}${path}`,
+        data,
+        headers: { Authorization: `Bearer ${key}` },
+        timeout: 30 * 1000,
+      });
+      return res.data;
+    } catch (err) {
+      const message = err.response?.data?.error || err.response?.data?.message || err.message;
+      throw new Error(err.response ? `${err.response.status}: ${message}` : message);
+    }
+  };
+}
+
+function requireArg(value, name) {
+  if (!value) throw new Error(`Missing <${name}>\n\n${USAGE}`);
+  return encodeURIComponent(value);
+}
+
+function toPercent(value) {
+  const n = Number(value);
+  if (value === undefined || !Number.isFinite(n) || n < 0 || n > 100) throw new Error('percent must be a number between 0 and 100');
+  return n;
+}
+
+function toCount(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a non-negative integer`);
+  return n;
+}
+
+/**
+ * Run one command. Returns { data, columns } for list output or { data } for single objects.
+ */
+async function run(request, [group, action, target], flags) {
+  const query = (params) => {
+    const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined)).toString();
+    return qs ? `?${qs}` : '';
+  };
+
+  switch (`${group} ${action}`) {
+    case 'vms list':
+      return { data: await request('GET', `/api/vms${query({ fleet: flags.fleet })}`), columns: VM_COLUMNS };
+    case 'vms show':
+      return { data: await request('GET', `/api/vms/${requireArg(target, 'instanceId')}`) };
+    case 'vms drain':
+      return { data: await request('POST', `/api/vms/${requireArg(target, 'instanceId')}/drain`) };
+    case 'vms undrain':
+      return { data: await request('POST', `/api/vms/${requireArg(target, 'instanceId')}/undrain`) };
+    case 'vms terminate':
+      return { data: await request('DELETE', `/api/vms/${requireArg(target, 'instanceId')}${query({ force: flags.force ? 'true' : undefined })}`) };
+    case 'matches list':
+      return {
+        data: await request('GET', `/api/matches${query({ vm: flags.vm, status: flags.status, fleet: flags.fleet })}`),
+        columns: MATCH_COLUMNS,
+      };
+    case 'matches stop':
+      return { data: await request('DELETE', `/api/matches/${requireArg(target, 'matchId')}`) };
+    case 'matches logs':
+      return {
+        data: await request('GET', `/api/matches/${requireArg(target, 'matchId')}/logs${query({ tail: toCount(flags.tail, 'tail') })}`),
+      };
+    case 'pool show':
+      return { data: await request('GET', '/api/fleets'), columns: FLEET_COLUMNS };
+    case 'pool scale': {
+      const body = { minVMs: toCount(flags.min, 'min'), maxVMs: toCount(flags.max, 'max') };
+      if (body.minVMs === undefined && body.maxVMs === undefined) throw new Error('pool scale needs --min and/or --max');
+      let fleetId = flags.fleet;
+      if (!fleetId) {
+        const fleets = await request('GET', '/api/fleets');
+        if (fleets.length !== 1) throw new Error(`Several fleets, pick one with --fleet (${fleets.map((f) => f.id).join(', ')})`);
+        fleetId = fleets[0].id;
+      }
+      return { data: [await request('PATCH', `/api/fleets/${encodeURIComponent(fleetId)}`, body)], columns: FLEET_COLUMNS };
+    }
+    case 'protected set':
+      requireArg(target, 'instanceId');
+      return { data: await request('PUT', '/api/protected-vm', { instanceId: target }) };
+    case 'rollout show':
+      return { data: await request('GET', '/api/rollout') };
+    case 'rollout start':
+      requireArg(target, 'version');
+      if (!flags.image) throw new Error('rollout start needs --image <serverImage>');
+      return {
+        data: await request('POST', '/api/rollout', {
+          version: target,
+          serverImage: flags.image,
+          imageId: flags['cvm-image'],
+          percent: flags.percent === undefined ? undefined : toPercent(flags.percent),
+        }),
+      };
+    case 'rollout percent':
+      return { data: await request('PATCH', '/api/rollout', { percent: toPercent(target) }) };
+    case 'rollout promote':
+      return { data: await request('POST', '/api/rollout/promote') };
+    case 'rollout abort':
+      return { data: await request('DELETE', '/api/rollout') };
+    case 'costs show':
+      return { data: await request('GET', `/api/costs${query({ period: flags.period, from: flags.from, to: flags.to })}`) };
+    default:
+      throw new Error(`Unknown command: ${[group, action].filter(Boolean).join(' ') || '(none)'}\n\n${USAGE}`);
+  }
+}
+
+async function main(argv) {
+  const { args, flags } = parseArgs(argv);
+  if (flags.help || args.length === 0) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const key = flags.key || process.env.ADMIN_API_KEY;
+  if (!key) throw new Error('No admin key: set ADMIN_API_KEY or pass --key');
+  const url = flags.url || process.env.ALLOCATOR_URL || 'http://localhost:7777';
+
+  const { data, columns } = await run(createClient({ url, key }), args, flags);
+  if (typeof data === 'string') {
+    process.stdout.write(data);
+  } else if (flags.json || !columns) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    console.log(data.length ? table(data, columns) : '(none)');
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error(`allocator: ${err.message}`);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { parseArgs, table, run };
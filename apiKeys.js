@@ -0,0 +1,159 @@
+// apiKeys.js
+// Callers of the public match request routes. Each caller (lobby service,
+// dashboard, ...) gets an API key with its own rate limit and quota of
+// concurrent matches, since every request can end up launching a paid VM.
+//
+// A request authenticates with the key itself (Authorization: Bearer <key> or
+// X-Api-Key), or with a short-lived token the caller signs with its key, so it
+// can hand game clients a token instead of the key: an HS256 JWT whose header
+// or payload carries the key id as `kid`, and an `exp` (seconds) at most
+// API_TOKEN_MAX_TTL_SEC ahead. `sub` (e.g. the player) is recorded on matches.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const DEFAULT_RATE_PER_MINUTE = Number(process.env.API_RATE_LIMIT_PER_MINUTE || 60);
+const DEFAULT_RATE_BURST = Number(process.env.API_RATE_LIMIT_BURST || 10);
+const DEFAULT_MAX_CONCURRENT_MATCHES = Number(process.env.API_MAX_CONCURRENT_MATCHES || 50);
+const TOKEN_MAX_TTL_SEC = Number(process.env.API_TOKEN_MAX_TTL_SEC || 60 * 60);
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Keys from API_KEYS_FILE (JSON array), or API_KEYS ("id:key,id:key") with the default limits.
+ * File entries: { id, key | keySha256, ratePerMinute?, burst?, maxConcurrentMatches?, allowPrivate? }
+ * keySha256 (hex) keeps the plain key out of the file, but such a key cannot verify signed tokens.
+ */
+function loadApiKeys() {
+  if (process.env.API_KEYS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+  }
+  if (!process.env.API_KEYS) return [];
+  return process.env.API_KEYS.split(',').map((entry) => {
+    const [id, key] = entry.trim().split(/:(.*)/s);
+    return { id, key };
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function base64urlJson(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function authError(status, code, message, extra = {}) {
+  const err = new Error(message);
+  err.statusCode = status;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.keys] - Defaults to loadApiKeys()
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createApiKeys(options = {}) {
+  const now = options.now || Date.now;
+  const keys = (options.keys || loadApiKeys()).map((entry) => {
+    if (!KEY_ID_PATTERN.test(String(entry.id)) || !(entry.key || /^[a-f0-9]{64}$/i.test(entry.keySha256))) {
+      throw new Error(`API key entries need an id (${KEY_ID_PATTERN}) and a key or a hex keySha256`);
+    }
+    if (entry.key && (entry.key.length < 16 || entry.key.includes('.'))) {
+      throw new Error(`API key ${entry.id} must be at least 16 characters without "." (dots mark signed tokens)`);
+    }
+    return {
+      id: entry.id,
+      secret: entry.key || null,
+      digest: entry.key ? sha256(entry.key) : Buffer.from(entry.keySha256, 'hex'),
+      ratePerMinute: entry.ratePerMinute ?? DEFAULT_RATE_PER_MINUTE,
+      burst: entry.burst ?? DEFAULT_RATE_BURST,
+      maxConcurrentMatches: entry.maxConcurrentMatches ?? DEFAULT_MAX_CONCURRENT_MATCHES,
+      allowPrivate: entry.allowPrivate !== false,
+    };
+  });
+  const keyById = new Map(keys.map((key) => [key.id, key]));
+  // keyId -> { tokens, updatedAt }
+  const buckets = new Map();
+
+  // Compare digests so neither the key's length nor its content leaks through timing
+  function findByKey(presented) {
+    const digest = sha256(presented);
+    return keys.find((key) => crypto.timingSafeEqual(key.digest, digest)) || null;
+  }
+
+  function verifyToken(token) {
+    const [header, payload, signature] = token.split('.');
+    const head = base64urlJson(header);
+    const claims = base64urlJson(payload);
+    if (!head || !claims || head.alg !== 'HS256' || !signature) return null;
+
+    const key = keyById.get(head.kid || claims.kid);
+    if (!key?.secret) return null;
+    const expected = crypto.createHmac('sha256', key.secret).update(`${header}.${payload}`).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    const nowSec = now() / 1000;
+    if (!Number.isFinite(claims.exp) || claims.exp <= nowSec || claims.exp > nowSec + TOKEN_MAX_TTL_SEC) return null;
+    return { key, subject: typeof claims.sub === 'string' ? claims.sub.slice(0, 128) : null };
+  }
+
+  /**
+   * The caller of a request: { key, subject } or null.
+   * @param {object} headers - Request headers (lower-cased names)
+   */
+  function authenticate(headers) {
+    const header = headers.authorization || '';
+    const presented = headers['x-api-key'] || (header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '');
+    if (!presented) return null;
+    // a JWT has three dot-separated parts; plain keys should not contain dots
+    if (presented.split('.').length === 3) return verifyToken(presented);
+    const key = findByKey(presented);
+    return key ? { key, subject: null } : null;
+  }
+
+  /**
+   * Take one request from the key's token bucket (burst requests, refilled at ratePerMinute).
+   * Throws 429 RATE_LIMITED, with retryAfterSec, when it is empty.
+   */
+  function consumeRate(key) {
+    const t = now();
+    const bucket = buckets.get(key.id) || { tokens: key.burst, updatedAt: t };
+    bucket.tokens = Math.min(key.burst, bucket.tokens + ((t - bucket.updatedAt) * key.ratePerMinute) / 60000);
+    bucket.updatedAt = t;
+    buckets.set(key.id, bucket);
+    if (bucket.tokens < 1) {
+      const retryAfterSec = Math.ceil(((1 - bucket.tokens) * 60) / key.ratePerMinute);
+      throw authError(429, 'RATE_LIMITED', `Rate limit of ${key.ratePerMinute} requests per minute exceeded`, { retryAfterSec });
+    }
+    bucket.tokens -= 1;
+  }
+
+  /**
+   * Throws 429 QUOTA_EXCEEDED when the key already has maxConcurrentMatches active matches.
+   * @param {number} active - Allocating or running matches requested with the key
+   */
+  function checkQuota(key, active) {
+    if (active >= key.maxConcurrentMatches) {
+      throw authError(429, 'QUOTA_EXCEEDED', `Key ${key.id} already has ${active} active match(es), its limit is ${key.maxConcurrentMatches}`);
+    }
+  }
+
+  return {
+    enabled: keys.length > 0,
+    ids: () => keys.map((key) => key.id),
+    authenticate,
+    consumeRate,
+    checkQuota,
+  };
+}
+
+module.exports = { createApiKeys, loadApiKeys };
@@ -0,0 +1,35 @@
+// cloudProvider.js
+// Picks the cloud provider implementation used by the allocator.
+//
+// Every provider exposes the same interface:
+//   describe(instanceIds?)   -> Promise<[{ instanceId, state, ip, zone, launchedAt, chargeType }]>
+//   launch(params)           -> Promise<instanceId>
+//   terminate(instanceIds)   -> Promise<void>
+//   getPublicIp(instanceId)  -> Promise<ip|null>   (null until RUNNING with an IP)
+// `state` uses the CVM InstanceState names (PENDING, RUNNING, TERMINATED, ...).
+// launch() rejects with err.spotUnavailable = true when a SPOTPAID launch fails
+// for stock or price, so the caller can fall back to on-demand.
+// Providers are per region: pass { region } in options.
+
+const { createTencentProvider } = require('./tencentProvider');
+const { createFakeProvider } = require('./fakeProvider');
+
+const PROVIDERS = {
+  tencent: createTencentProvider,
+  fake: createFakeProvider,
+};
+
+/**
+ * Create a provider by name, defaulting to CLOUD_PROVIDER or "tencent".
+ * @param {string} [name]
+ * @param {object} [options] - Passed through to the provider factory
+ */
+function createCloudProvider(name = process.env.CLOUD_PROVIDER || 'tencent', options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown cloud provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { createCloudProvider, PROVIDERS };
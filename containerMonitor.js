@@ -0,0 +1,251 @@
+// containerMonitor.js
+// Runs inside the VM agent: watches match containers exit, classifies why
+// (normal end, crash, OOM kill, failed health check), keeps the tail of their
+// logs after the container is removed, optionally restarts crashed servers and
+// reports the outcome to the allocator's /api/matches/:matchId/end callback.
+//
+// Docker's event stream makes this prompt; sweep() (run with the port lease
+// reconcile) catches exits the stream missed, e.g. while it was reconnecting.
+
+const axios = require('axios');
+const { signRequest } = require('./requestSigning');
+const {
+  isStopping,
+  inspectMatchExit,
+  restartMatchContainer,
+  killMatchContainer,
+  removeMatchContainer,
+  reconcilePortLeases,
+  watchMatchEvents,
+  getMatchLogs,
+} = require('./matchLauncher');
+
+const MATCH_LOG_KB = Number(process.env.MATCH_LOG_KB || 64); // log tail kept per exited match
+const MATCH_LOG_RETENTION = Number(process.env.MATCH_LOG_RETENTION || 100); // exited matches whose logs are kept
+const CRASH_RESTART_LIMIT = Number(process.env.CRASH_RESTART_LIMIT || 0); // restarts of a crashed server before it is reported; 0 disables
+const REPORT_TIMEOUT_MS = 5000;
+const EVENTS_RECONNECT_MS = 5000;
+
+// Exit classifications and the end reason reported for each
+const EXIT_REASONS = {
+  normal: 'completed',
+  crash: 'crashed',
+  oom: 'oom_killed',
+  unhealthy: 'unhealthy',
+};
+
+/**
+ * Why a container stopped: 'normal' (exit 0), 'oom' (killed at its memory limit),
+ * 'unhealthy' (stopped by us after a failed health check) or 'crash' (anything else).
+ */
+function classifyExit(exit, { unhealthy = false } = {}) {
+  if (exit.oomKilled) return 'oom';
+  if (unhealthy) return 'unhealthy';
+  return exit.exitCode === 0 ? 'normal' : 'crash';
+}
+
+// Last `kb` KB of a log, cut at a line start where possible
+function tailBytes(text, kb) {
+  const buf = Buffer.from(text, 'utf8');
+  const max = kb * 1024;
+  if (buf.length <= max) return text;
+  const tail = buf.subarray(buf.length - max).toString('utf8');
+  const newline = tail.indexOf('\n');
+  return newline >= 0 ? tail.slice(newline + 1) : tail;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.allocatorUrl] - Allocator base URL (ALLOCATOR_URL); without it exits are only logged
+ * @param {number} [options.restartLimit] - Defaults to CRASH_RESTART_LIMIT
+ * @param {Function} [options.onExit] - (record) -> void after each handled exit, for metrics
+ * @param {Function} [options.onRestart] - (matchId, classification) -> void
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createContainerMonitor(options = {}) {
+  const allocatorUrl = options.allocatorUrl ?? process.env.ALLOCATOR_URL;
+  const restartLimit = options.restartLimit ?? CRASH_RESTART_LIMIT;
+  const onExit = options.onExit || (() => {});
+  const onRestart = options.onRestart || (() => {});
+  const now = options.now || Date.now;
+
+  // matchId -> { matchId, containerId, classification, reason, exitCode, oomKilled, error, finishedAt, restarts, logs, reported }
+  // insertion ordered, so the oldest are evicted first
+  const exits = new Map();
+  // matchId -> restarts so far
+  const restarts = new Map();
+  // matchIds stopped by us for failing their health check
+  const unhealthy = new Set();
+  // matchId -> promise of the exit being handled, so the stream and a sweep never handle one twice
+  const handling = new Map();
+  let stream = null;
+  let stopped = true;
+
+  function remember(record) {
+    exits.delete(record.matchId);
+    exits.set(record.matchId, record);
+    while (exits.size > MATCH_LOG_RETENTION) exits.delete(exits.keys().next().value);
+  }
+
+  async function report(record) {
+    if (!allocatorUrl) return;
+    const path = `/api/matches/${encodeURIComponent(record.matchId)}/end`;
+    const body = {
+      reason: record.reason,
+      // lets the allocator ignore a late report about a container it already replaced
+      containerId: record.containerId,
+      exit: {
+        classification: record.classification,
+        exitCode: record.exitCode,
+        oomKilled: record.oomKilled,
+        finishedAt: record.finishedAt,
+        restarts: record.restarts,
+      },
+    };
+    // only a normal end is a clean finish; the allocator marks the rest failed
+    if (record.classification !== 'normal') {
+      body.error = record.error || `${record.classification} (exit code ${record.exitCode})`;
+    }
+    const data = JSON.stringify(body);
+    try {
+      await axios.post(`${allocatorUrl}${path}`, data, {
+        headers: { ...signRequest('POST', path, data), 'Content-Type': 'application/json' },
+        timeout: REPORT_TIMEOUT_MS,
+        transformRequest: [(d) => d],
+      });
+      record.reported = true;
+    } catch (err) {
+      // the allocator no longer knows the match (e.g. already reaped): nothing to report to
+      if (err.response?.status === 404) {
+        record.reported = true;
+        return;
+      }
+      console.error(`[MONITOR] Reporting the exit of ${record.matchId} failed, retrying on the next sweep:`, err?.message || err);
+    }
+  }
+
+  /**
+   * Handle one stopped match container: restart it if it crashed and restarts are left,
+   * else capture its logs, remove it and report the exit.
+   * @returns {Promise<boolean>} true once the container may be removed (it was, or it is gone)
+   */
+  async function handleExit(matchId) {
+    if (handling.has(matchId)) return handling.get(matchId);
+    const pending = (async () => {
+      const exit = await inspectMatchExit(matchId);
+      if (!exit || exit.running || isStopping(matchId)) return true;
+
+      const classification = classifyExit(exit, { unhealthy: unhealthy.has(matchId) });
+      const restarted = restarts.get(matchId) || 0;
+      if (classification !== 'normal' && restarted < restartLimit) {
+        restarts.set(matchId, restarted + 1);
+        unhealthy.delete(matchId);
+        console.warn(`[MONITOR] ${matchId} ${classification} (exit code ${exit.exitCode}), restarting (${restarted + 1}/${restartLimit})`);
+        await restartMatchContainer(matchId);
+        onRestart(matchId, classification);
+        return false;
+      }
+
+      let logs = '';
+      try {
+        logs = tailBytes(await getMatchLogs(matchId, 5000), MATCH_LOG_KB);
+      } catch (err) {
+        console.error(`[MONITOR] Capturing logs of ${matchId} failed:`, err?.message || err);
+      }
+      const record = {
+        matchId,
+        containerId: exit.containerId,
+        classification,
+        reason: EXIT_REASONS[classification],
+        exitCode: exit.exitCode,
+        oomKilled: exit.oomKilled,
+        error: exit.error,
+        finishedAt: exit.finishedAt || now(),
+        restarts: restarted,
+        logs,
+        reported: false,
+      };
+      remember(record);
+      restarts.delete(matchId);
+      unhealthy.delete(matchId);
+      const log = classification === 'normal' ? console.log : console.warn;
+      log(`[MONITOR] ${matchId} exited: ${classification} (exit code ${exit.exitCode}${record.restarts ? `, after ${record.restarts} restart(s)` : ''})`);
+      onExit(record);
+
+      // logs are captured, so the port can go back before the allocator acts on the report
+      await removeMatchContainer(matchId);
+      await report(record);
+      return true;
+    })().catch((err) => {
+      // left for the next sweep
+      console.error(`[MONITOR] Handling the exit of ${matchId} failed:`, err?.message || err);
+      return false;
+    });
+    handling.set(matchId, pending);
+    try {
+      return await pending;
+    } finally {
+      handling.delete(matchId);
+    }
+  }
+
+  async function onEvent({ action, matchId }) {
+    if (!matchId) return;
+    if (action === 'die') {
+      await handleExit(matchId);
+    } else if (action === 'health_status: unhealthy' && !isStopping(matchId) && !unhealthy.has(matchId)) {
+      // stopping it raises a die event, handled like any other exit
+      unhealthy.add(matchId);
+      console.warn(`[MONITOR] ${matchId} failed its health check, stopping it`);
+      await killMatchContainer(matchId).catch((err) => {
+        console.error(`[MONITOR] Stopping unhealthy ${matchId} failed:`, err?.message || err);
+      });
+    }
+    // 'oom' precedes the 'die' of the same container, whose inspect shows OOMKilled
+  }
+
+  function connect() {
+    if (stopped) return;
+    stream = watchMatchEvents(
+      (event) => { onEvent(event); },
+      (err) => {
+        stream = null;
+        if (stopped) return;
+        if (err) console.warn('[MONITOR] Docker event stream closed:', err?.message || err);
+        setTimeout(connect, EVENTS_RECONNECT_MS);
+      }
+    );
+  }
+
+  /**
+   * Handle exits the event stream missed, retry unreported exits, and reconcile port
+   * leases (removing exited containers only once they are handled).
+   */
+  async function sweep() {
+    for (const record of exits.values()) {
+      if (!record.reported) await report(record);
+    }
+    await reconcilePortLeases({ onExited: (container) => handleExit(container.matchId) });
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    connect();
+  }
+
+  function stop() {
+    stopped = true;
+    stream?.close();
+    stream = null;
+  }
+
+  // The exit record of a recently exited match, including its log tail
+  function getExit(matchId) {
+    return exits.get(matchId) || null;
+  }
+
+  return { start, stop, sweep, handleExit, getExit };
+}
+
+module.exports = { createContainerMonitor, classifyExit, tailBytes, EXIT_REASONS };
@@ -0,0 +1,328 @@
+// costTracker.js
+// What the fleet costs. Every VM gets a ledger record from launch to termination
+// priced from a configured table (instance type x charge mode, per hour), and
+// every match that ran is charged its share of its VM's time, so spend can be
+// broken down by game mode and match, and VM-hours compared with the
+// match-minutes they served (to tune FULL_MATCH_LIMIT / matchLimit).
+//
+// Spend against DAILY_BUDGET / MONTHLY_BUDGET (UTC days and months) sets the
+// budget level: 'soft' past BUDGET_SOFT_LIMIT_PERCENT, 'hard' at 100%. The
+// allocator tightens maxVMs at the soft limit and stops launching at the hard one.
+//
+// Ledger state: { vms: { instanceId: record }, days: { 'YYYY-MM-DD': totals } },
+// persisted through onChange / onRemove like the rest of the allocator state.
+
+const fs = require('fs');
+
+const COST_CURRENCY = process.env.COST_CURRENCY || 'USD';
+const DAILY_BUDGET = Number(process.env.DAILY_BUDGET || 0); // 0 disables
+const MONTHLY_BUDGET = Number(process.env.MONTHLY_BUDGET || 0); // 0 disables
+const BUDGET_SOFT_LIMIT_PERCENT = Number(process.env.BUDGET_SOFT_LIMIT_PERCENT || 80); // share of a budget that starts tightening
+const COST_RETENTION_DAYS = Number(process.env.COST_RETENTION_DAYS || 62); // ledger kept for reports
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Price table from COST_PRICES_FILE, or inline JSON in COST_PRICES:
+ * { "S5.MEDIUM4": { "SPOTPAID": 0.012, "POSTPAID_BY_HOUR": 0.06, "bandwidth": 0.01 }, ... }
+ * Prices are per VM-hour; `bandwidth` is an estimated hourly traffic charge added to either mode.
+ */
+function loadPrices() {
+  if (process.env.COST_PRICES_FILE) return JSON.parse(fs.readFileSync(process.env.COST_PRICES_FILE, 'utf8'));
+  return process.env.COST_PRICES ? JSON.parse(process.env.COST_PRICES) : {};
+}
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function startOfDay(ms) {
+  return Date.parse(`${dayKey(ms)}T00:00:00Z`);
+}
+
+function startOfMonth(ms) {
+  return Date.parse(`${dayKey(ms).slice(0, 7)}-01T00:00:00Z`);
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Add `amounts` into totals[key], creating it as needed
+function addTo(totals, key, amounts) {
+  const entry = totals[key] || (totals[key] = {});
+  for (const [name, value] of Object.entries(amounts)) entry[name] = (entry[name] || 0) + value;
+  return entry;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.prices] - Defaults to loadPrices()
+ * @param {object} [options.budget] - { daily, monthly, softPercent }, defaults to DAILY_BUDGET / MONTHLY_BUDGET / BUDGET_SOFT_LIMIT_PERCENT
+ * @param {object} [options.state] - Saved ledger state
+ * @param {Function} [options.onChange] - (kind 'vm' | 'day', id, data) -> void, persist a ledger entry
+ * @param {Function} [options.onRemove] - (kind, id) -> void, when an entry passes COST_RETENTION_DAYS
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createCostTracker(options = {}) {
+  const prices = options.prices || loadPrices();
+  const budget = {
+    daily: options.budget?.daily ?? DAILY_BUDGET,
+    monthly: options.budget?.monthly ?? MONTHLY_BUDGET,
+    softPercent: options.budget?.softPercent ?? BUDGET_SOFT_LIMIT_PERCENT,
+  };
+  const onChange = options.onChange || (() => {});
+  const onRemove = options.onRemove || (() => {});
+  const now = options.now || Date.now;
+
+  let vms = {};
+  let days = {};
+  // instance types / charge modes already warned about as missing from the price table
+  const unpriced = new Set();
+  let level = 'ok';
+
+  function restore(state) {
+    vms = state?.vms ? { ...state.vms } : {};
+    days = state?.days ? { ...state.days } : {};
+  }
+  restore(options.state);
+
+  function priceFor(instanceType, chargeType) {
+    const entry = prices[instanceType];
+    const price = entry?.[chargeType];
+    if (typeof price !== 'number') {
+      const key = `${instanceType}/${chargeType}`;
+      if (!unpriced.has(key)) {
+        unpriced.add(key);
+        console.warn(`[COST] No price for ${key}; its VMs are counted at 0`);
+      }
+      return 0;
+    }
+    return price + (entry.bandwidth || 0);
+  }
+
+  /**
+   * Start the ledger record of a VM (no-op if it has one).
+   * @param {object} vm - { instanceId, fleetId, region, instanceType, chargeType, launchedAt }
+   */
+  function openVm(vm) {
+    if (vms[vm.instanceId]) return vms[vm.instanceId];
+    const record = {
+      instanceId: vm.instanceId,
+      fleetId: vm.fleetId,
+      region: vm.region,
+      instanceType: vm.instanceType,
+      chargeType: vm.chargeType,
+      hourlyPrice: priceFor(vm.instanceType, vm.chargeType),
+      launchedAt: vm.launchedAt,
+      terminatedAt: null,
+      matches: 0,
+      matchMinutes: 0,
+    };
+    vms[vm.instanceId] = record;
+    onChange('vm', vm.instanceId, record);
+    return record;
+  }
+
+  function closeVm(instanceId) {
+    const record = vms[instanceId];
+    if (!record || record.terminatedAt) return;
+    record.terminatedAt = now();
+    onChange('vm', instanceId, record);
+  }
+
+  // Cost of a VM's time within [from, to]
+  function vmCost(record, from, to) {
+    const hours = Math.max(0, Math.min(to, record.terminatedAt ?? now()) - Math.max(from, record.launchedAt)) / HOUR_MS;
+    return { hours, cost: hours * record.hourlyPrice };
+  }
+
+  /**
+   * What a match owes for a stretch it ran on a VM: its share of the VM for those minutes.
+   * @param {object} stretch - { instanceId, from, to (ms), share (0-1 of the VM) }
+   * @returns {{ minutes: number, cost: number }}
+   */
+  function priceMatch({ instanceId, from, to, share }) {
+    const record = vms[instanceId];
+    const minutes = Math.max(0, to - from) / 60000;
+    return { minutes, cost: record ? (minutes / 60) * record.hourlyPrice * Math.min(1, share) : 0 };
+  }
+
+  /**
+   * Charge a finished stretch of a match (priceMatch()) to its VM's record and to the day it ended.
+   * @param {object} stretch - { instanceId, gameMode, from, to, share }
+   * @returns {{ minutes: number, cost: number }}
+   */
+  function chargeMatch(stretch) {
+    const { instanceId, gameMode, to } = stretch;
+    const record = vms[instanceId];
+    const { minutes, cost } = priceMatch(stretch);
+    if (record) {
+      record.matches++;
+      record.matchMinutes += minutes;
+      onChange('vm', instanceId, record);
+    }
+    const day = dayKey(to);
+    const totals = days[day] || { byGameMode: {}, byFleet: {} };
+    addTo(totals.byGameMode, gameMode, { matches: 1, matchMinutes: minutes, cost });
+    addTo(totals.byFleet, record?.fleetId || 'unknown', { matchMinutes: minutes, cost });
+    days[day] = totals;
+    onChange('day', day, totals);
+    return { minutes, cost };
+  }
+
+  // Total VM cost within [from, to]
+  function spend(from, to = now()) {
+    let total = 0;
+    for (const record of Object.values(vms)) total += vmCost(record, from, to).cost;
+    return total;
+  }
+
+  function budgetStatus() {
+    const t = now();
+    const limits = { daily: [budget.daily, startOfDay(t)], monthly: [budget.monthly, startOfMonth(t)] };
+    const status = { level, softPercent: budget.softPercent };
+    for (const [period, [limit, from]] of Object.entries(limits)) {
+      const spent = spend(from, t);
+      status[period] = { limit: limit || null, spent: round(spent), percent: limit ? round((spent / limit) * 100, 1) : null };
+    }
+    return status;
+  }
+
+  /**
+   * Recompute the budget level from current spend and prune entries past
+   * COST_RETENTION_DAYS. Call periodically (every update tick).
+   * @returns {object} budgetStatus()
+   */
+  function refresh() {
+    const cutoff = now() - COST_RETENTION_DAYS * DAY_MS;
+    for (const [instanceId, record] of Object.entries(vms)) {
+      if (record.terminatedAt && record.terminatedAt < cutoff) {
+        delete vms[instanceId];
+        onRemove('vm', instanceId);
+      }
+    }
+    for (const day of Object.keys(days)) {
+      if (Date.parse(`${day}T00:00:00Z`) < startOfDay(cutoff)) {
+        delete days[day];
+        onRemove('day', day);
+      }
+    }
+
+    const status = budgetStatus();
+    const percents = [status.daily.percent, status.monthly.percent].filter((p) => p !== null);
+    const worst = percents.length ? Math.max(...percents) : 0;
+    const next = worst >= 100 ? 'hard' : worst >= budget.softPercent ? 'soft' : 'ok';
+    if (next !== level) {
+      const log = next === 'ok' ? console.log : console.warn;
+      log(`[COST] Budget level ${level} -> ${next} (daily ${status.daily.spent}/${status.daily.limit ?? '-'}, monthly ${status.monthly.spent}/${status.monthly.limit ?? '-'} ${COST_CURRENCY})`);
+      level = next;
+    }
+    return { ...status, level };
+  }
+
+  /**
+   * Spend within [from, to] by VM, charge mode, instance type, fleet and game mode,
+   * and how many match-minutes each VM-hour served.
+   * @param {object} range - { from, to } (ms); game modes and fleets' match-minutes count whole UTC days
+   * @param {object} [matchInfo]
+   * @param {object[]} [matchInfo.live] - Matches still running: priceMatch() results with their gameMode and fleetId
+   * @param {object[]} [matchInfo.matches] - Per-match rows to list: { matchId, gameMode, status, fleetId, matchMinutes, cost }
+   */
+  function report({ from, to }, { live = [], matches = [] } = {}) {
+    const byChargeType = {};
+    const byInstanceType = {};
+    const byFleet = {};
+    const vmRows = [];
+    let total = 0;
+    for (const record of Object.values(vms)) {
+      const { hours, cost } = vmCost(record, from, to);
+      if (hours <= 0) continue;
+      total += cost;
+      addTo(byChargeType, record.chargeType, { vmHours: hours, cost });
+      addTo(byInstanceType, record.instanceType, { vmHours: hours, cost });
+      addTo(byFleet, record.fleetId, { vmHours: hours, cost, matchMinutes: 0 });
+      const lifetimeHours = ((record.terminatedAt ?? now()) - record.launchedAt) / HOUR_MS;
+      vmRows.push({
+        instanceId: record.instanceId,
+        fleetId: record.fleetId,
+        instanceType: record.instanceType,
+        chargeType: record.chargeType,
+        hourlyPrice: record.hourlyPrice,
+        launchedAt: record.launchedAt,
+        terminatedAt: record.terminatedAt,
+        vmHours: round(hours),
+        cost: round(cost),
+        matches: record.matches,
+        matchMinutesPerVmHour: lifetimeHours > 0 ? round(record.matchMinutes / lifetimeHours, 1) : 0,
+      });
+    }
+
+    const byGameMode = {};
+    let matchCost = 0;
+    let matchMinutes = 0;
+    for (const [day, totals] of Object.entries(days)) {
+      const dayStart = Date.parse(`${day}T00:00:00Z`);
+      if (dayStart + DAY_MS <= from || dayStart > to) continue;
+      for (const [mode, entry] of Object.entries(totals.byGameMode)) addTo(byGameMode, mode, entry);
+      for (const [fleetId, entry] of Object.entries(totals.byFleet)) {
+        addTo(byFleet, fleetId, { matchMinutes: entry.matchMinutes });
+        matchCost += entry.cost;
+        matchMinutes += entry.matchMinutes;
+      }
+    }
+    for (const charge of live) {
+      addTo(byGameMode, charge.gameMode, { matches: 1, matchMinutes: charge.minutes, cost: charge.cost });
+      addTo(byFleet, charge.fleetId, { matchMinutes: charge.minutes });
+      matchCost += charge.cost;
+      matchMinutes += charge.minutes;
+    }
+
+    const vmHours = Object.values(byFleet).reduce((sum, entry) => sum + (entry.vmHours || 0), 0);
+    const rounded = (totals) => Object.fromEntries(Object.entries(totals).map(([key, entry]) => [key,
+      Object.fromEntries(Object.entries(entry).map(([name, value]) => [name, round(value)]))]));
+    for (const entry of Object.values(byFleet)) {
+      entry.matchMinutesPerVmHour = entry.vmHours ? entry.matchMinutes / entry.vmHours : 0;
+    }
+    return {
+      currency: COST_CURRENCY,
+      from,
+      to,
+      total: round(total),
+      // VM time no match was charged for: idle VMs, free slots, booting and draining
+      idle: round(Math.max(0, total - matchCost)),
+      byChargeType: rounded(byChargeType),
+      byInstanceType: rounded(byInstanceType),
+      byFleet: rounded(byFleet),
+      byGameMode: rounded(byGameMode),
+      vmHours: round(vmHours),
+      matchMinutes: round(matchMinutes),
+      matchMinutesPerVmHour: vmHours ? round(matchMinutes / vmHours, 1) : 0,
+      vms: vmRows.sort((a, b) => b.cost - a.cost),
+      matches: matches
+        .map((row) => ({ ...row, matchMinutes: round(row.matchMinutes || 0, 1), cost: round(row.cost || 0) }))
+        .sort((a, b) => b.cost - a.cost),
+      budget: budgetStatus(),
+    };
+  }
+
+  return {
+    priceFor,
+    openVm,
+    closeVm,
+    hasVm: (instanceId) => Boolean(vms[instanceId]),
+    priceMatch,
+    chargeMatch,
+    spend,
+    refresh,
+    level: () => level,
+    budgetStatus,
+    report,
+    restore,
+    toJSON: () => ({ vms, days }),
+  };
+}
+
+module.exports = { createCostTracker, loadPrices, startOfDay, startOfMonth };
@@ -0,0 +1,178 @@
+// dockerClient.js
+// Minimal Docker Engine API client over the Unix socket. No shell involved, so
+// container arguments and secrets never pass through a command line.
+
+const http = require('http');
+
+const DOCKER_SOCKET = process.env.DOCKER_SOCKET || '/var/run/docker.sock';
+const DOCKER_API_VERSION = process.env.DOCKER_API_VERSION || 'v1.41';
+
+class DockerError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'DockerError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Split a non-TTY logs stream into text. Each frame has an 8-byte header:
+ * [stream, 0, 0, 0, size(uint32 BE)] followed by `size` bytes.
+ */
+function demuxLogs(buf) {
+  let out = '';
+  let offset = 0;
+  while (offset + 8 <= buf.length) {
+    const size = buf.readUInt32BE(offset + 4);
+    out += buf.toString('utf8', offset + 8, offset + 8 + size);
+    offset += 8 + size;
+  }
+  return out;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.socketPath] - Defaults to DOCKER_SOCKET or /var/run/docker.sock
+ * @param {string} [options.apiVersion] - Defaults to DOCKER_API_VERSION or v1.41
+ */
+function createDockerClient(options = {}) {
+  const socketPath = options.socketPath || DOCKER_SOCKET;
+  const apiVersion = options.apiVersion || DOCKER_API_VERSION;
+
+  // Returns { statusCode, body: Buffer }; rejects with DockerError on >= 400
+  function request(method, path, body) {
+    return new Promise((resolve, reject) => {
+      const data = body === undefined ? null : JSON.stringify(body);
+      const req = http.request({
+        socketPath,
+        method,
+        path: `/${apiVersion}${path}`,
+        headers: data ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) } : {},
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => {
+          const buf = Buffer.concat(chunks);
+          if (res.statusCode >= 400) {
+            let message = buf.toString('utf8');
+            try { message = JSON.parse(message).message || message; } catch (e) {}
+            return reject(new DockerError(res.statusCode, message));
+          }
+          return resolve({ statusCode: res.statusCode, body: buf });
+        });
+      });
+      req.on('error', reject);
+      if (data) req.write(data);
+      req.end();
+    });
+  }
+
+  async function requestJson(method, path, body) {
+    const res = await request(method, path, body);
+    return res.body.length ? JSON.parse(res.body.toString('utf8')) : null;
+  }
+
+  /**
+   * List containers.
+   * @param {object} [filter]
+   * @param {boolean} [filter.all] - Include stopped containers
+   * @param {string} [filter.label] - e.g. "match_server=true"
+   */
+  function listContainers({ all = false, label } = {}) {
+    const query = new URLSearchParams({ all: all ? '1' : '0' });
+    if (label) query.set('filters', JSON.stringify({ label: [label] }));
+    return requestJson('GET', `/containers/json?${query}`);
+  }
+
+  // Returns { Id, Warnings }
+  function createContainer(name, config) {
+    return requestJson('POST', `/containers/create?name=${encodeURIComponent(name)}`, config);
+  }
+
+  async function startContainer(id) {
+    await request('POST', `/containers/${encodeURIComponent(id)}/start`);
+  }
+
+  // Resolves false if the container was already stopped (304)
+  async function stopContainer(id, timeoutSec = 10) {
+    const res = await request('POST', `/containers/${encodeURIComponent(id)}/stop?t=${timeoutSec}`);
+    return res.statusCode !== 304;
+  }
+
+  async function removeContainer(id, { force = false } = {}) {
+    await request('DELETE', `/containers/${encodeURIComponent(id)}?force=${force ? '1' : '0'}`);
+  }
+
+  function inspectContainer(id) {
+    return requestJson('GET', `/containers/${encodeURIComponent(id)}/json`);
+  }
+
+  // stdout + stderr of a container started without a TTY; tail is a line count or 'all'
+  async function containerLogs(id, tail = 200) {
+    const res = await request('GET', `/containers/${encodeURIComponent(id)}/logs?stdout=1&stderr=1&tail=${tail}`);
+    return demuxLogs(res.body);
+  }
+
+  /**
+   * Follow the Engine's event stream (GET /events), calling onEvent with each decoded event.
+   * @param {object} filters - e.g. { type: ['container'], event: ['die'], label: ['match_server=true'] }
+   * @param {Function} onEvent - (event) -> void
+   * @param {Function} [onEnd] - (err|null) once the stream closes or fails
+   * @returns {{ close: Function }}
+   */
+  function streamEvents(filters, onEvent, onEnd = () => {}) {
+    let ended = false;
+    const end = (err) => {
+      if (ended) return;
+      ended = true;
+      onEnd(err || null);
+    };
+    const query = new URLSearchParams({ filters: JSON.stringify(filters) });
+    const req = http.request({ socketPath, method: 'GET', path: `/${apiVersion}/events?${query}` }, (res) => {
+      if (res.statusCode >= 400) {
+        res.resume();
+        return end(new DockerError(res.statusCode, `Event stream refused with ${res.statusCode}`));
+      }
+      // one JSON object per line
+      let buffered = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffered += chunk;
+        let newline;
+        while ((newline = buffered.indexOf('\n')) >= 0) {
+          const line = buffered.slice(0, newline).trim();
+          buffered = buffered.slice(newline + 1);
+          if (!line) continue;
+          try {
+            onEvent(JSON.parse(line));
+          } catch (err) {
+            console.error('[DOCKER] Bad event:', err?.message || err);
+          }
+        }
+      });
+      res.on('end', () => end(null));
+      res.on('error', end);
+    });
+    req.on('error', end);
+    req.end();
+    return {
+      close() {
+        ended = true;
+        req.destroy();
+      },
+    };
+  }
+
+  return {
+    listContainers,
+    createContainer,
+    startContainer,
+    stopContainer,
+    removeContainer,
+    inspectContainer,
+    containerLogs,
+    streamEvents,
+  };
+}
+
+module.exports = { createDockerClient, DockerError };
@@ -0,0 +1,167 @@
+// eventStream.js
+// WebSocket stream of allocator events, so clients stop polling
+// /api/match-details until their server is up. Every event is one JSON text
+// message: { type, time, matchId?, instanceId?, fleetId?, ...details }.
+//
+// Subscribers filter with query parameters on the upgrade URL:
+//   ?matchId=<id>       events of one match (no admin key needed)
+//   ?vm=<instanceId>    events of one VM, including its matches' events
+//   ?types=vm.*,match.ended  event types; a trailing ".*" matches a prefix
+// Anything but a single-match subscription needs the admin key.
+// Events happen on the leader replica; a follower refuses subscriptions with 503.
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+const EVENT_TYPES = [
+  'vm.launched',
+  'vm.terminated',
+  'vm.unreachable',
+  'protected.rotated',
+  'match.allocated',
+  'match.ended',
+];
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 503: 'Service Unavailable' };
+// a subscriber this far behind is dropped rather than buffered without bound
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+function parseFilter(searchParams) {
+  const types = searchParams.get('types');
+  return {
+    matchId: searchParams.get('matchId') || null,
+    instanceId: searchParams.get('vm') || null,
+    types: types ? types.split(',').map((t) => t.trim()).filter(Boolean) : null,
+  };
+}
+
+function checkFilter(filter) {
+  for (const pattern of filter.types || []) {
+    const known = pattern.endsWith('.*')
+      ? EVENT_TYPES.some((type) => type.startsWith(pattern.slice(0, -1)))
+      : EVENT_TYPES.includes(pattern);
+    if (!known) return `Unknown event type ${pattern} (expected ${EVENT_TYPES.join(', ')})`;
+  }
+  return null;
+}
+
+function matchesFilter(filter, event) {
+  if (filter.matchId && event.matchId !== filter.matchId) return false;
+  if (filter.instanceId && event.instanceId !== filter.instanceId) return false;
+  if (filter.types && !filter.types.some((p) => (p.endsWith('.*') ? event.type.startsWith(p.slice(0, -1)) : event.type === p))) {
+    return false;
+  }
+  return true;
+}
+
+// Refuse an upgrade with a plain HTTP response
+function reject(socket, status, message) {
+  const body = JSON.stringify({ error: message });
+  socket.end(`HTTP/1.1 ${status} ${STATUS_TEXT[status]}\r\n` +
+    `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.path] - Upgrade path, default /api/events
+ * @param {Function} options.isAdmin - (req) -> boolean, for the raw upgrade request
+ * @param {Function} [options.snapshot] - (filter) -> object sent in the "subscribed" message, e.g. the match's current state
+ * @param {Function} [options.accepting] - () -> boolean, false refuses new subscriptions (e.g. on a follower)
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createEventStream(options) {
+  const path = options.path || '/api/events';
+  const isAdmin = options.isAdmin;
+  const snapshot = options.snapshot || (() => ({}));
+  const accepting = options.accepting || (() => true);
+  const now = options.now || Date.now;
+
+  const wss = new WebSocketServer({ noServer: true });
+  let heartbeat = null;
+
+  function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return false;
+
+    if (!accepting()) {
+      reject(socket, 503, 'Not the leader, events are not published here');
+      return true;
+    }
+    const filter = parseFilter(url.searchParams);
+    const invalid = checkFilter(filter);
+    if (invalid) {
+      reject(socket, 400, invalid);
+      return true;
+    }
+    // a single match's events carry its placement and outcome, none of its caller's details
+    if (!(filter.matchId && !filter.instanceId) && !isAdmin(req)) {
+      reject(socket, 401, 'Unauthorized');
+      return true;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.filter = filter;
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('error', (err) => console.warn('[EVENTS] Subscriber error:', err?.message || err));
+      ws.send(JSON.stringify({ type: 'subscribed', time: now(), filter, ...snapshot(filter) }));
+    });
+    return true;
+  }
+
+  /**
+   * Attach to an http.Server. Upgrades for other paths are refused.
+   */
+  function attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      if (!handleUpgrade(req, socket, head)) socket.destroy();
+    });
+    heartbeat = setInterval(() => {
+      for (const ws of wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+  }
+
+  // Send an event to every subscriber whose filter it passes
+  function publish(type, fields = {}) {
+    const event = { type, time: now(), ...fields };
+    let message = null;
+    for (const ws of wss.clients) {
+      if (ws.readyState !== WebSocket.OPEN || !matchesFilter(ws.filter, event)) continue;
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        console.warn('[EVENTS] Dropping a subscriber that is not keeping up');
+        ws.terminate();
+        continue;
+      }
+      message = message || JSON.stringify(event);
+      ws.send(message);
+    }
+    return event;
+  }
+
+  function subscriberCount() {
+    return wss.clients.size;
+  }
+
+  // Close every subscription so clients reconnect, e.g. to the new leader (1012: service restart)
+  function disconnectAll(reason) {
+    for (const ws of wss.clients) ws.close(1012, reason);
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    for (const ws of wss.clients) ws.terminate();
+    wss.close();
+  }
+
+  return { attach, publish, subscriberCount, disconnectAll, close };
+}
+
+module.exports = { createEventStream, EVENT_TYPES, matchesFilter };
@@ -0,0 +1,139 @@
+// fakeProvider.js
+// In-process cloud provider for running the allocator without a cloud account.
+// Simulates boot delays, spot reclamation and public IP assignment.
+
+// Shared by every fake provider in the process, so VMs in different regions never get the same IP
+let nextHost = 10;
+
+/**
+ * Create a fake provider.
+ *
+ * @param {object} [options]
+ * @param {number} [options.bootDelayMs] - Time from launch until the instance is RUNNING
+ * @param {number} [options.reclaimPerHour] - Expected spot reclamations per instance-hour (0 disables)
+ * @param {string} [options.ipPrefix] - Prefix for assigned IPs (hosts 10-254, counted across all fake providers); 127.0.0. lets a local agent answer every VM
+ * @param {string} [options.region] - Included in instance ids so fake providers for several regions never collide
+ * @param {boolean} [options.spotSoldOut] - Reject SPOTPAID launches as out of stock
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ * @param {Function} [options.random] - RNG in [0, 1), defaults to Math.random
+ */
+function createFakeProvider(options = {}) {
+  const bootDelayMs = options.bootDelayMs ?? Number(process.env.FAKE_BOOT_DELAY_MS || 20 * 1000);
+  const reclaimPerHour = options.reclaimPerHour ?? Number(process.env.FAKE_SPOT_RECLAIM_PER_HOUR || 0);
+  const ipPrefix = options.ipPrefix ?? (process.env.FAKE_IP_PREFIX || '127.0.0.');
+  const now = options.now || Date.now;
+  const random = options.random || Math.random;
+  const idPrefix = options.region ? `ins-fake-${options.region}-` : 'ins-fake-';
+  let spotSoldOut = options.spotSoldOut ?? process.env.FAKE_SPOT_SOLD_OUT === 'true';
+
+  // instanceId -> { instanceId, state, ip, zone, launchedAt, readyAt, checkedAt, chargeType, params }
+  const instances = new Map();
+  let nextId = 1;
+
+  function assignIp() {
+    const ip = `${ipPrefix}${nextHost}`;
+    nextHost = nextHost >= 254 ? 10 : nextHost + 1;
+    return ip;
+  }
+
+  // Move every instance forward to the current time
+  function advance() {
+    const t = now();
+    for (const inst of instances.values()) {
+      if (inst.state === 'TERMINATED') {
+        // reclaimed instances are visible for one describe, then vanish like in CVM
+        instances.delete(inst.instanceId);
+        continue;
+      }
+      if (inst.state === 'PENDING' && t >= inst.readyAt) {
+        inst.state = 'RUNNING';
+        inst.ip = assignIp();
+        inst.checkedAt = t;
+        console.log(`[FAKE] ${inst.instanceId} RUNNING @ ${inst.ip}`);
+        continue;
+      }
+      if (inst.state === 'RUNNING' && inst.chargeType === 'SPOTPAID' && reclaimPerHour > 0) {
+        const elapsedHours = (t - inst.checkedAt) / (60 * 60 * 1000);
+        inst.checkedAt = t;
+        const reclaimChance = 1 - Math.exp(-reclaimPerHour * elapsedHours);
+        if (random() < reclaimChance) reclaim(inst.instanceId);
+      }
+    }
+  }
+
+  function snapshot(inst) {
+    return {
+      instanceId: inst.instanceId,
+      state: inst.state,
+      ip: inst.ip,
+      zone: inst.zone,
+      launchedAt: inst.launchedAt,
+      chargeType: inst.chargeType,
+    };
+  }
+
+  async function describe(instanceIds) {
+    advance();
+    const list = instanceIds && instanceIds.length
+      ? instanceIds.map((id) => instances.get(id)).filter(Boolean)
+      : [...instances.values()];
+    return list.map(snapshot);
+  }
+
+  async function launch(params = {}) {
+    if (spotSoldOut && params.InstanceChargeType === 'SPOTPAID') {
+      const err = new Error('[FAKE] ResourcesSoldOut.SpecifiedInstanceType');
+      err.code = 'ResourcesSoldOut.SpecifiedInstanceType';
+      err.spotUnavailable = true;
+      throw err;
+    }
+    const instanceId = `${idPrefix}${String(nextId++).padStart(4, '0')}`;
+    const t = now();
+    instances.set(instanceId, {
+      instanceId,
+      state: 'PENDING',
+      ip: null,
+      zone: params.Placement?.Zone || null,
+      launchedAt: t,
+      readyAt: t + bootDelayMs,
+      checkedAt: t,
+      chargeType: params.InstanceChargeType || 'POSTPAID_BY_HOUR',
+      params,
+    });
+    console.log(`[FAKE] Launch requested: ${instanceId}`);
+    return instanceId;
+  }
+
+  async function terminate(instanceIds) {
+    for (const id of instanceIds) {
+      if (instances.delete(id)) console.log(`[FAKE] Terminated ${id}`);
+    }
+  }
+
+  async function getPublicIp(instanceId) {
+    advance();
+    const inst = instances.get(instanceId);
+    return inst && inst.state === 'RUNNING' ? inst.ip : null;
+  }
+
+  /**
+   * Simulate a spot reclamation of a specific instance.
+   * @param {string} instanceId
+   */
+  function reclaim(instanceId) {
+    const inst = instances.get(instanceId);
+    if (!inst) return false;
+    inst.state = 'TERMINATED';
+    console.log(`[FAKE] Spot instance reclaimed: ${instanceId}`);
+    return true;
+  }
+
+  // Toggle spot stock at runtime
+  function setSpotSoldOut(value) {
+    spotSoldOut = Boolean(value);
+  }
+
+  return { name: 'fake', describe, launch, terminate, getPublicIp, reclaim, setSpotSoldOut };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,119 @@
+// gameProfiles.js
+// Per-game-mode server profiles shared by the allocator and the VM agent:
+// scene, image, allowed tick rates and the CPU / memory a match needs at each.
+//
+// Capacity is counted in resources, and reported in "slots": one slot is the
+// cost of a standard match (RESOURCE_UNIT, a 30-tick Versus match), so heavier
+// modes and tick rates take more than one slot.
+
+const fs = require('fs');
+
+const SERVER_IMAGE = process.env.SERVER_IMAGE || 'kunkhmerserver:latest';
+
+// Cost of one slot
+const RESOURCE_UNIT = { cpu: 0.35, memoryMb: 350 };
+
+const DEFAULT_PROFILES = {
+  VersusMen_Online: {
+    scene: 'SelectionScreenMen_Online',
+    defaultTickRate: 30,
+    tickRates: {
+      30: { cpu: 0.35, memoryMb: 350 },
+      60: { cpu: 0.6, memoryMb: 400 },
+    },
+  },
+  VersusWomen_Online: {
+    scene: 'SelectionScreenWomen_Online',
+    defaultTickRate: 30,
+    tickRates: {
+      30: { cpu: 0.35, memoryMb: 350 },
+      60: { cpu: 0.6, memoryMb: 400 },
+    },
+  },
+  KunBoran_Online: {
+    scene: 'SelectionScreenMen_Online_KunBoran',
+    defaultTickRate: 30,
+    tickRates: {
+      30: { cpu: 0.45, memoryMb: 400 },
+      60: { cpu: 0.8, memoryMb: 450 },
+    },
+  },
+};
+
+// GAME_PROFILES_FILE: JSON object of profiles, merged over the defaults by game mode
+function loadProfiles() {
+  const overrides = process.env.GAME_PROFILES_FILE
+    ? JSON.parse(fs.readFileSync(process.env.GAME_PROFILES_FILE, 'utf8'))
+    : {};
+  const profiles = {};
+  for (const gameMode of new Set([...Object.keys(DEFAULT_PROFILES), ...Object.keys(overrides)])) {
+    const profile = { image: SERVER_IMAGE, ...DEFAULT_PROFILES[gameMode], ...overrides[gameMode] };
+    if (!profile.scene || !profile.tickRates || !profile.tickRates[profile.defaultTickRate]) {
+      throw new Error(`Game profile ${gameMode} needs a scene, tickRates and a defaultTickRate listed in them`);
+    }
+    profiles[gameMode] = profile;
+  }
+  return profiles;
+}
+
+const PROFILES = loadProfiles();
+
+function gameModes() {
+  return Object.keys(PROFILES);
+}
+
+// Allowed tick rates for a mode, ascending
+function allowedTickRates(gameMode) {
+  return PROFILES[gameMode] ? Object.keys(PROFILES[gameMode].tickRates).map(Number).sort((a, b) => a - b) : [];
+}
+
+/**
+ * Everything needed to run one match: { gameMode, scene, image, tickRate, resources: { cpu, memoryMb } }.
+ * tickRate defaults to the mode's defaultTickRate. Returns null for an unknown mode or tick rate.
+ */
+function resolveProfile(gameMode, tickRate) {
+  const profile = PROFILES[gameMode];
+  if (!profile) return null;
+  const rate = tickRate === undefined || tickRate === null ? profile.defaultTickRate : Number(tickRate);
+  const resources = profile.tickRates[rate];
+  if (!resources) return null;
+  return { gameMode, scene: profile.scene, image: profile.image, tickRate: rate, resources: { ...resources } };
+}
+
+// -------- Resource arithmetic --------
+function addResources(a, b) {
+  return { cpu: a.cpu + b.cpu, memoryMb: a.memoryMb + b.memoryMb };
+}
+
+function subtractResources(a, b) {
+  return { cpu: a.cpu - b.cpu, memoryMb: a.memoryMb - b.memoryMb };
+}
+
+function scaleResources(resources, factor) {
+  return { cpu: resources.cpu * factor, memoryMb: resources.memoryMb * factor };
+}
+
+function fitsIn(cost, free) {
+  // tolerate float noise from summing fractional CPUs
+  return cost.cpu <= free.cpu + 1e-9 && cost.memoryMb <= free.memoryMb;
+}
+
+// Whole standard matches that fit in the given resources (the scarcer of CPU and memory decides)
+function slotsIn(resources) {
+  const slots = Math.min(resources.cpu / RESOURCE_UNIT.cpu, resources.memoryMb / RESOURCE_UNIT.memoryMb);
+  return Math.max(0, Math.floor(slots + 1e-9));
+}
+
+module.exports = {
+  PROFILES,
+  RESOURCE_UNIT,
+  SERVER_IMAGE,
+  gameModes,
+  allowedTickRates,
+  resolveProfile,
+  addResources,
+  subtractResources,
+  scaleResources,
+  fitsIn,
+  slotsIn,
+};
@@ -0,0 +1,310 @@
+// leaderElection.js
+// Active-standby election between allocator replicas. Only the leader runs the
+// update loop (launches, drains, terminations, protectedVM) and changes state;
+// followers serve reads from the shared state and forward changes to it.
+//
+// Leadership is a lease on a shared lock, renewed every LEADER_RENEW_MS and
+// valid for LEADER_LEASE_MS. A leader that cannot renew steps down before its
+// lease can run out, so two replicas never lead at once; a follower takes the
+// lock over once the lease has expired.
+//
+// Every lock holds { id, url } of its leader and exposes:
+//   acquire(holder, ttlMs) -> the current holder: `holder` if it got or kept the lease
+//   release(holder)        -> give the lease up if `holder` has it
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const LEADER_LEASE_MS = Number(process.env.LEADER_LEASE_MS || 15 * 1000);
+const LEADER_RENEW_MS = Number(process.env.LEADER_RENEW_MS || 5 * 1000);
+const REDIS_TIMEOUT_MS = 2000;
+// a lock file mutex older than this was left by a crashed process
+const MUTEX_STALE_MS = 10 * 1000;
+
+/**
+ * Lease in a JSON file on storage every replica mounts (e.g. next to STATE_FILE).
+ * Reads and writes happen under an O_EXCL mutex file, so two replicas never
+ * both see the lease free.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createFileLock(filePath, options = {}) {
+  const now = options.now || Date.now;
+  const mutexPath = `${filePath}.mutex`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function withMutex(fn) {
+    let fd;
+    try {
+      fd = fs.openSync(mutexPath, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const age = now() - fs.statSync(mutexPath).mtimeMs;
+      if (age < MUTEX_STALE_MS) throw new Error(`Lock file ${filePath} is busy`);
+      fs.unlinkSync(mutexPath);
+      fd = fs.openSync(mutexPath, 'wx');
+    }
+    try {
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      fs.unlinkSync(mutexPath);
+    }
+  }
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function write(lease) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(lease));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    name: 'file',
+    async acquire(holder, ttlMs) {
+      return withMutex(() => {
+        const lease = read();
+        if (lease && lease.id !== holder.id && lease.expiresAt > now()) return { id: lease.id, url: lease.url };
+        write({ id: holder.id, url: holder.url, expiresAt: now() + ttlMs });
+        return holder;
+      });
+    },
+    async release(holder) {
+      withMutex(() => {
+        if (read()?.id === holder.id) fs.unlinkSync(filePath);
+      });
+    },
+  };
+}
+
+// -------- Redis --------
+// Just enough RESP to run SET / GET / EVAL against Redis or anything speaking its protocol
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`;
+}
+
+// One reply from the start of buf: { value, rest } or null while incomplete
+function parseReply(buf) {
+  const end = buf.indexOf('\r\n');
+  if (end === -1) return null;
+  const line = buf.subarray(1, end).toString('utf8');
+  const rest = buf.subarray(end + 2);
+  switch (String.fromCharCode(buf[0])) {
+    case '+':
+      return { value: line, rest };
+    case '-':
+      return { value: new Error(line), rest };
+    case ':':
+      return { value: Number(line), rest };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, rest };
+      if (rest.length < length + 2) return null;
+      return { value: rest.subarray(0, length).toString('utf8'), rest: rest.subarray(length + 2) };
+    }
+    default:
+      throw new Error(`Unsupported Redis reply type ${String.fromCharCode(buf[0])}`);
+  }
+}
+
+function redisCommand(url, args) {
+  const { hostname, port, password } = new URL(url);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port) || 6379, hostname);
+    const commands = password ? [['AUTH', decodeURIComponent(password)], args] : [args];
+    const replies = [];
+    let buf = Buffer.alloc(0);
+
+    socket.setTimeout(REDIS_TIMEOUT_MS, () => socket.destroy(new Error(`Redis ${hostname}:${port} timed out`)));
+    socket.on('error', reject);
+    socket.on('connect', () => socket.write(commands.map(encodeCommand).join('')));
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      let reply;
+      try {
+        while (replies.length < commands.length && (reply = parseReply(buf))) {
+          replies.push(reply.value);
+          buf = reply.rest;
+        }
+      } catch (err) {
+        socket.destroy(err);
+        return;
+      }
+      if (replies.length < commands.length) return;
+      socket.end();
+      const failed = replies.find((value) => value instanceof Error);
+      if (failed) reject(failed);
+      else resolve(replies[replies.length - 1]);
+    });
+  });
+}
+
+// Extend the lease only if it is still ours
+const RENEW_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end return 0";
+const RELEASE_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0";
+
+/**
+ * Lease in a Redis key (SET NX PX), on Redis or any store speaking its protocol
+ * with GET, SET NX PX and EVAL, e.g. Valkey, KeyDB or a local stand-in.
+ * @param {string} url - redis://[:password@]host:port
+ * @param {object} [options]
+ * @param {string} [options.key] - Defaults to allocator:leader
+ */
+function createRedisLock(url, options = {}) {
+  const key = options.key || 'allocator:leader';
+
+  return {
+    name: 'redis',
+    async acquire(holder, ttlMs) {
+      const value = JSON.stringify({ id: holder.id, url: holder.url });
+      if (await redisCommand(url, ['SET', key, value, 'NX', 'PX', ttlMs]) === 'OK') return holder;
+      if (await redisCommand(url, ['EVAL', RENEW_SCRIPT, 1, key, value, ttlMs]) === 1) return holder;
+      const current = await redisCommand(url, ['GET', key]);
+      // expired between the two calls: try again on the next renewal
+      return current ? JSON.parse(current) : null;
+    },
+    async release(holder) {
+      await redisCommand(url, ['EVAL', RELEASE_SCRIPT, 1, key, JSON.stringify({ id: holder.id, url: holder.url })]);
+    },
+  };
+}
+
+/**
+ * Lock selected by LEADER_LOCK: file (LEADER_LOCK_FILE), redis (LEADER_REDIS_URL),
+ * or none (default) for a single replica that always leads.
+ */
+function createLock(type = process.env.LEADER_LOCK || 'none') {
+  if (type === 'none') return null;
+  if (type === 'file') {
+    return createFileLock(process.env.LEADER_LOCK_FILE || path.join(__dirname, 'data', 'allocator-leader.json'));
+  }
+  if (type === 'redis') {
+    if (!process.env.LEADER_REDIS_URL) throw new Error('LEADER_LOCK=redis needs LEADER_REDIS_URL');
+    return createRedisLock(process.env.LEADER_REDIS_URL, { key: process.env.LEADER_REDIS_KEY });
+  }
+  throw new Error(`Unknown leader lock: ${type} (expected file, redis or none)`);
+}
+
+/**
+ * @param {object} options
+ * @param {object|null} options.lock - From createLock(); null makes this replica the leader for good
+ * @param {string} options.url - Base URL followers forward requests to (ALLOCATOR_ADVERTISE_URL)
+ * @param {string} [options.id] - Replica id (ALLOCATOR_ID), defaults to hostname:pid
+ * @param {number} [options.leaseMs] - Defaults to LEADER_LEASE_MS
+ * @param {number} [options.renewMs] - Defaults to LEADER_RENEW_MS
+ * @param {Function} [options.onElected] - async () -> void, when this replica becomes the leader
+ * @param {Function} [options.onDemoted] - () -> void, when it stops being the leader
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createLeaderElection(options) {
+  const lock = options.lock;
+  const self = { id: options.id || process.env.ALLOCATOR_ID || `${os.hostname()}:${process.pid}`, url: options.url };
+  const leaseMs = options.leaseMs || LEADER_LEASE_MS;
+  const renewMs = options.renewMs || LEADER_RENEW_MS;
+  const onElected = options.onElected || (async () => {});
+  const onDemoted = options.onDemoted || (() => {});
+  const now = options.now || Date.now;
+
+  if (lock && renewMs * 2 > leaseMs) {
+    throw new Error(`LEADER_RENEW_MS (${renewMs}) must be at most half of LEADER_LEASE_MS (${leaseMs})`);
+  }
+
+  let leader = lock ? null : self;
+  let renewedAt = 0;
+  let timer = null;
+  // a tick is waiting on the lock; the next one is skipped rather than overlapping it
+  let ticking = false;
+  // onElected() of the latest election; a later election runs its own after it
+  let takeover = Promise.resolve();
+
+  function isLeader() {
+    return leader?.id === self.id;
+  }
+
+  function demote(reason) {
+    if (!isLeader()) return;
+    console.warn(`[LEADER] ${self.id} stepping down: ${reason}`);
+    leader = null;
+    onDemoted();
+  }
+
+  async function elected() {
+    try {
+      await onElected();
+    } catch (err) {
+      console.error('[LEADER] Taking over as leader failed:', err?.message || err);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const current = await lock.acquire(self, leaseMs);
+      if (current?.id !== self.id) {
+        demote(`lease taken over by ${current?.id || 'nobody'}`);
+        leader = current;
+        return;
+      }
+      const wasLeader = isLeader();
+      leader = self;
+      renewedAt = now();
+      if (!wasLeader) {
+        console.log(`[LEADER] ${self.id} elected leader (${lock.name} lock)`);
+        // not awaited: onElected() can take minutes (VMs booting), and renewals must go on meanwhile
+        takeover = takeover.then(elected);
+      }
+    } catch (err) {
+      console.error(`[LEADER] ${lock.name} lock unavailable:`, err?.message || err);
+      // stop before the lease can expire and another replica takes over
+      if (isLeader() && now() - renewedAt >= leaseMs - renewMs) demote('lease could not be renewed');
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function start() {
+    if (!lock) {
+      await elected();
+      return;
+    }
+    // renewals keep running while onElected() takes over
+    timer = setInterval(tick, renewMs);
+    await tick();
+    await takeover;
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (!lock || !isLeader()) return;
+    try {
+      await lock.release(self);
+    } catch (err) {
+      console.error('[LEADER] Releasing the lock failed:', err?.message || err);
+    }
+    demote('shutting down');
+  }
+
+  return {
+    start,
+    stop,
+    isLeader,
+    self: () => self,
+    // { id, url } of the current leader, null while unknown
+    leader: () => leader,
+  };
+}
+
+module.exports = { createLeaderElection, createLock, createFileLock, createRedisLock };
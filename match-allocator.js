@@ -1,9 +1,26 @@
 const express = require('express');
+const axios = require('axios');
 const dotenv = require('dotenv');
 const cors = require('cors');
-const tencentcloud = require('tencentcloud-sdk-nodejs');
-const axios = require('axios');
-const launchParams = require('./vmConfig');
+const crypto = require('crypto');
+const os = require('os');
+const { loadFleets, toOnDemandParams } = require('./vmConfig');
+const { createCloudProvider } = require('./cloudProvider');
+const { createStateStore } = require('./stateStore');
+const { MATCH_STATES, createMatch, transitionMatch, isActiveMatch, isTerminalMatch } = require('./matchLifecycle');
+const { createSlotReservations } = require('./slotReservations');
+const { agentRequest } = require('./agentClient');
+const { validateMatchParams, validateMatchRequest } = require('./matchValidation');
+const { resolveProfile, RESOURCE_UNIT, addResources, subtractResources, scaleResources, fitsIn, slotsIn } = require('./gameProfiles');
+const { createRegistry, countServerErrors } = require('./metrics');
+const { createScalingPolicy, loadScalingConfig } = require('./scalingPolicy');
+const { createRolloutController, VERSION_PATTERN } = require('./rolloutController');
+const { createPlayFabMatchmaking } = require('./playfabMatchmaking');
+const { createEventStream } = require('./eventStream');
+const { createApiKeys } = require('./apiKeys');
+const { createLeaderElection, createLock } = require('./leaderElection');
+const { createCostTracker, startOfDay, startOfMonth } = require('./costTracker');
+const { requireSignature, captureRawBody, getSigningKey } = require('./requestSigning');
 
 dotenv.config();
 
@@ -11,160 +28,624 @@ const app = express();
 const PORT = process.env.PORT ? Number(process.env.PORT) : 7777;
 
 // -------- Config (tweak these) --------
-const FULL_MATCH_LIMIT = Number(process.env.FULL_MATCH_LIMIT || 5);
-const MAX_BACKUP_VMS = Number(process.env.MAX_BACKUP_VMS || 10);
-const MIN_BACKUP_VMS = Number(process.env.MIN_BACKUP_VMS || 1);
-const NEAR_CAPACITY_THRESHOLD = Number(process.env.NEAR_CAPACITY_THRESHOLD || 1);
+const FULL_MATCH_LIMIT = Number(process.env.FULL_MATCH_LIMIT || 5); // standard-match slots assumed for a VM until its agent reports its capacity
+const MAX_BACKUP_VMS = Number(process.env.MAX_BACKUP_VMS || 10); // default fleet maxVMs, the scaling policy's upper bound
+const MIN_BACKUP_VMS = Number(process.env.MIN_BACKUP_VMS || 1); // default fleet minVMs, the scaling policy's lower bound
 const VM_UNREACHABLE_TERMINATE_THRESHOLD = Number(process.env.VM_UNREACHABLE_TERMINATE_THRESHOLD || 2); // consecutive failures before termination
 const VM_AGE_TERMINATE_MINUTES = Number(process.env.VM_AGE_TERMINATE_MINUTES || 5); // avoid terminating brand-new VMs immediately
 const STATUS_TIMEOUT_MS = Number(process.env.STATUS_TIMEOUT_MS || 5000);
 const UPDATE_INTERVAL_MS = Number(process.env.UPDATE_INTERVAL_MS || 30 * 1000); // cron frequency
+const ALLOCATING_TIMEOUT_MS = Number(process.env.ALLOCATING_TIMEOUT_MS || 10 * 60 * 1000); // fail matches stuck allocating
+const MATCH_RETENTION_MINUTES = Number(process.env.MATCH_RETENTION_MINUTES || 60); // keep ended/failed matches for lookups
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // bearer token for admin routes
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean); // browser origins allowed to call the API; none by default
+const RESERVATION_TTL_MS = Number(process.env.RESERVATION_TTL_MS || 30 * 1000); // > the 15s /start-match timeout
+const QUEUE_TIMEOUT_MS = Number(process.env.QUEUE_TIMEOUT_MS || 4 * 60 * 1000); // how long a request waits for a launching VM
+const MATCH_START_ATTEMPTS = Number(process.env.MATCH_START_ATTEMPTS || 3); // VMs tried before a match request fails
+const MATCH_REHOME_LIMIT = Number(process.env.MATCH_REHOME_LIMIT || 0); // times a crashed match is started again on another VM; 0 disables
+const SPOT_RETRY_AFTER_MS = Number(process.env.SPOT_RETRY_AFTER_MS || 10 * 60 * 1000); // launch on-demand this long after spot sold out
+const DRAIN_COOLDOWN_MS = Number(process.env.DRAIN_COOLDOWN_MS || 2 * 60 * 1000); // a draining VM must report empty this long before termination
+const QUARANTINE_TIMEOUT_MS = Number(process.env.QUARANTINE_TIMEOUT_MS || 30 * 60 * 1000); // give up on an unreachable VM with live matches
+const BUDGET_SOFT_MAX_VMS_PERCENT = Number(process.env.BUDGET_SOFT_MAX_VMS_PERCENT || 50); // share of each fleet's maxVMs allowed past the soft budget limit
+const ALLOCATOR_ADVERTISE_URL = process.env.ALLOCATOR_ADVERTISE_URL || `http://${os.hostname()}:${PORT}`; // where other replicas reach this one
+const FOLLOWER_REFRESH_MS = Number(process.env.FOLLOWER_REFRESH_MS || 2000); // how often a follower re-reads the shared state
+const FORWARD_TIMEOUT_MS = QUEUE_TIMEOUT_MS + 60 * 1000; // a forwarded match request may wait for a VM on the leader
 
-const SCENE_MAP = {
-  VersusMen_Online: 'SelectionScreenMen_Online',
-  VersusWomen_Online: 'SelectionScreenWomen_Online',
-  KunBoran_Online: 'SelectionScreenMen_Online_KunBoran',
+// -------- Runtime --------
+// Clock, timers and agent transport of everything below. The simulation harness
+// (test/harness) swaps them for a virtual clock and stubbed agents.
+const runtime = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+  agentRequest,
 };
 
-const CvmClient = tencentcloud.cvm.v20170312.Client;
-const cvmClient = new CvmClient({
-  credential: {
-    secretId: process.env.TENCENT_SECRET_ID,
-    secretKey: process.env.TENCENT_SECRET_KEY,
-  },
-  region: process.env.TENCENT_REGION || 'ap-singapore',
-  profile: { httpProfile: { reqMethod: 'POST', reqTimeout: 30 } },
-});
+// -------- Fleets --------
+// One pool per region/zone (see vmConfig.js); MIN/MAX_BACKUP_VMS and FULL_MATCH_LIMIT are the per-fleet defaults
+const FLEETS = loadFleets({ minVMs: MIN_BACKUP_VMS, maxVMs: MAX_BACKUP_VMS, matchLimit: FULL_MATCH_LIMIT });
+const fleetById = Object.fromEntries(FLEETS.map((fleet) => [fleet.id, fleet]));
+// fleetId -> scaling policy (see scalingPolicy.js), configured by SCALING_* / SCALING_POLICY_FILE / fleet.scaling
+const scalingPolicies = Object.fromEntries(
+  FLEETS.map((fleet) => [fleet.id, createScalingPolicy(loadScalingConfig(fleet.scaling), { now: nowMs })])
+);
+
+// One provider per region. CLOUD_PROVIDER=tencent (default) or fake for running without a cloud account
+const clouds = {};
+for (const fleet of FLEETS) {
+  if (!clouds[fleet.region]) clouds[fleet.region] = createCloudProvider(undefined, { region: fleet.region, now: nowMs });
+}
+
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
+app.use(express.json({ verify: captureRawBody }));
 
-app.use(cors());
-app.use(express.json());
+// -------- Metrics --------
+const metrics = createRegistry();
+const poolSizeGauge = metrics.gauge('allocator_vm_pool_size', 'VMs tracked in vmPool per fleet', ['fleet']);
+const desiredVmsGauge = metrics.gauge('allocator_desired_vms', 'Fleet size wanted by the scaling policy at the last update', ['fleet']);
+const vmMatchCountGauge = metrics.gauge('allocator_vm_match_count', 'Matches running per VM', ['instance_id']);
+const freeSlotsGauge = metrics.gauge('allocator_free_slots', 'Free standard-match slots per fleet, from free CPU / memory (minus reservations)', ['fleet']);
+const protectedVmGauge = metrics.gauge('allocator_protected_vm', 'Protected VM (1 for the current one)', ['instance_id']);
+const reservationsGauge = metrics.gauge('allocator_slot_reservations', 'Slots reserved for matches being started');
+const queuedGauge = metrics.gauge('allocator_queued_requests', 'Match requests waiting for a VM');
+const matchesGauge = metrics.gauge('allocator_matches', 'Tracked matches by status', ['status']);
+const launchesCounter = metrics.counter('allocator_vm_launches_total', 'VM launches by fleet and result', ['fleet', 'result']);
+const terminationsCounter = metrics.counter('allocator_vm_terminations_total', 'VM terminations by reason', ['reason']);
+const spotInterruptionsCounter = metrics.counter('allocator_spot_interruptions_total', 'Spot termination notices by fleet', ['fleet']);
+const drainingGauge = metrics.gauge('allocator_vms_draining', 'VMs draining (no new placements) by reason', ['fleet', 'reason']);
+const vmsByBuildGauge = metrics.gauge('allocator_vms_by_build', 'VMs per fleet and server build', ['fleet', 'build']);
+const canaryPercentGauge = metrics.gauge('allocator_rollout_canary_percent', 'Share of new matches sent to the canary build', ['build']);
+const quarantinedGauge = metrics.gauge('allocator_vms_quarantined', 'Unreachable VMs kept alive for their live matches', ['fleet']);
+const spotFallbacksCounter = metrics.counter('allocator_spot_fallbacks_total', 'Launches switched to on-demand because spot was unavailable', ['fleet']);
+const runInstancesHistogram = metrics.histogram('allocator_run_instances_seconds', 'Latency of the provider launch (RunInstances) call', ['result']);
+const vmReadyHistogram = metrics.histogram('allocator_vm_ready_seconds', 'Time from launch request until the VM is RUNNING with an IP');
+const startFailuresCounter = metrics.counter('allocator_match_start_failures_total', 'Failed /start-match attempts by fleet (retried on another VM when attempts remain)', ['fleet']);
+const allocationHistogram = metrics.histogram('allocator_allocation_seconds', 'Match allocation latency by result', ['result']);
+const serverErrorsCounter = metrics.counter('allocator_http_server_errors_total', '5xx responses per route', ['route', 'status']);
+const apiRejectionsCounter = metrics.counter('allocator_api_rejections_total', 'Match requests refused by API key, rate limit or quota', ['key', 'reason']);
+const leaderGauge = metrics.gauge('allocator_leader', 'Whether this replica is the leader (1) or a follower (0)');
+const forwardsCounter = metrics.counter('allocator_forwarded_requests_total', 'Requests a follower forwarded to the leader by result', ['result']);
+const costSpendGauge = metrics.gauge('allocator_cost_spend', 'VM spend so far in the current UTC day / month', ['period']);
+const budgetLevelGauge = metrics.gauge('allocator_budget_level', 'Budget level (1 for the current one: ok, soft, hard)', ['level']);
+const eventSubscribersGauge = metrics.gauge('allocator_event_subscribers', 'Open /api/events WebSocket subscriptions');
 
-// -------- In-memory state --------
-// vmPool: { instanceId: { ip, matchCount, unreachableCount, launchedAt (ms), lastSeen (ms) } }
+app.use(countServerErrors(serverErrorsCounter));
+// followers hand every change to the leader
+app.use(forwardToLeader);
+
+// -------- State --------
+// Kept in memory, journaled through the state store (STATE_STORE / STATE_FILE)
+// and reconciled against the cloud view on startup.
+const store = createStateStore();
+// vmPool: { instanceId: { fleetId, build (version), ip, chargeType, matchCount, unreachableCount, launchedAt (ms), lastSeen (ms),
+//   capacity: null | { cpu, memoryMb } (as reported by the agent), allocated: { cpu, memoryMb },
+//   draining: null | { reason, since (ms), emptySince (ms), terminationTime },
+//   quarantine: null | { since (ms), matchIds } } }
 const vmPool = {};
-// matches: map matchId -> match meta
+// matches: map matchId -> match meta (see matchLifecycle.js for status values)
 const matches = {};
 // protectedVM: instanceId chosen as protected (rotatable)
 let protectedVM = null;
+// stable / canary server builds (see rolloutController.js), replaced by the saved one in restoreState()
+const persistRollout = (state) => store.setRollout(state);
+let rollout = createRolloutController({ onChange: persistRollout });
+// PlayFab matchmaking and server credentials; inactive unless PLAYFAB_TITLE_ID or PLAYFAB_TITLES_FILE is set
+const matchmaking = createPlayFabMatchmaking({ allocate: requestMatch });
+// VM and match costs against the budget (costTracker.js), replaced by the saved ledger in restoreState()
+const costs = createCostTracker({
+  onChange: (kind, id, data) => store.recordCost(kind, id, data),
+  onRemove: (kind, id) => store.removeCost(kind, id),
+  now: nowMs,
+});
+// callers of the match request routes, with their rate limits and quotas (apiKeys.js)
+const apiKeys = createApiKeys({ now: nowMs });
+// WebSocket /api/events (eventStream.js); a match's own subscribers get its current state on connect
+const events = createEventStream({
+  isAdmin: (req) => isAdminToken(bearerToken(req.headers.authorization)),
+  snapshot: ({ matchId }) => (matchId ? { match: matches[matchId] ? publicMatchDetails(matches[matchId]) : null } : {}),
+  accepting: () => election.isLeader(),
+  now: nowMs,
+});
+// only the leader runs the update loop and changes state (LEADER_LOCK, see leaderElection.js)
+const election = createLeaderElection({
+  lock: createLock(),
+  url: ALLOCATOR_ADVERTISE_URL,
+  onElected: startLeading,
+  onDemoted: stopLeading,
+  now: nowMs,
+});
+// store.version() of the state last loaded, so followers only re-read a changed journal
+let stateVersion = null;
 
 // concurrency guards
-let launching = false;
+// fleetId -> Set of in-flight launch promises; demand-driven callers join one instead of launching again
+const launchesInFlight = {};
+// matchId -> allocateMatch() promise; repeated requests for the match wait on it
+const allocationsInFlight = new Map();
+// slot reservations taken between picking a VM and the match starting on it
+const reservations = createSlotReservations({ ttlMs: RESERVATION_TTL_MS, now: nowMs });
+// requests parked until a VM slot frees up: [{ matchId, fleetIds, need, resolve, timer }]
+const waitQueue = [];
+// fleetId -> ms until which spot launches are skipped after a stock / price failure
+const spotUnavailableUntil = {};
 
 // -------- Helpers --------
 function nowMs() {
-  return Date.now();
+  return runtime.now();
 }
 
 async function safeWait(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+  return new Promise((r) => runtime.setTimeout(r, ms));
+}
+
+// Fleet a VM belongs to; VMs from before fleets existed belong to the first one
+function fleetOf(vm) {
+  return fleetById[vm.fleetId] || FLEETS[0];
+}
+
+function cloudFor(fleet) {
+  return clouds[fleet.region];
+}
+
+// [instanceId, vm] entries of one fleet
+function fleetVMs(fleetId) {
+  return Object.entries(vmPool).filter(([, vm]) => fleetOf(vm).id === fleetId);
+}
+
+// Draining VMs are on their way out and quarantined ones unreachable: neither takes new matches
+function isServing(vm) {
+  return !vm.draining && !vm.quarantine;
+}
+
+// Fleet VMs that take new matches and count towards min/max sizes
+function servingVMs(fleetId) {
+  return fleetVMs(fleetId).filter(([, vm]) => isServing(vm));
+}
+
+function launchesFor(fleetId) {
+  if (!launchesInFlight[fleetId]) launchesInFlight[fleetId] = new Set();
+  return launchesInFlight[fleetId];
+}
+
+// Allocating or running matches the allocator placed on a VM, whatever its last polled matchCount says
+function liveMatchesOn(instanceId) {
+  return Object.values(matches).filter((match) => match.vmInstanceId === instanceId && isActiveMatch(match));
+}
+
+/**
+ * Order fleets for a match request, best first. Every fleet is included so
+ * placement can fall back to the next one when the best is out of capacity.
+ * - pings: { region: ms } measured by the client, lowest first
+ * - preferredRegions: [region, ...] in order of preference
+ * Fleets without a ping / not listed keep their configured order at the end.
+ */
+function rankFleets({ preferredRegions, pings } = {}) {
+  const score = (fleet) => {
+    if (pings) return Number.isFinite(pings[fleet.region]) ? pings[fleet.region] : Infinity;
+    if (preferredRegions) {
+      const idx = preferredRegions.indexOf(fleet.region);
+      return idx === -1 ? Infinity : idx;
+    }
+    return 0;
+  };
+  // Array.prototype.sort is stable, so ties keep the configured order
+  return [...FLEETS].sort((a, b) => score(a) - score(b)).map((fleet) => fleet.id);
+}
+
+// -------- State persistence --------
+function trackVM(instanceId, vm) {
+  vmPool[instanceId] = vm;
+  store.recordVm(instanceId, vm);
+  openVmCost(instanceId, vm);
+}
+
+function forgetVM(instanceId, reason) {
+  const vm = vmPool[instanceId];
+  delete vmPool[instanceId];
+  store.removeVm(instanceId);
+  costs.closeVm(instanceId);
+  if (vm) events.publish('vm.terminated', { instanceId, fleetId: vm.fleetId, ip: vm.ip, build: vm.build, reason });
+  if (protectedVM === instanceId) setProtectedVM(null);
+}
+
+function setProtectedVM(instanceId) {
+  if (protectedVM === instanceId) return;
+  const previous = protectedVM;
+  protectedVM = instanceId;
+  store.setProtectedVM(instanceId);
+  events.publish('protected.rotated', { instanceId, previous });
+}
+
+/**
+ * Load vmPool, matches and protectedVM from the state store, replacing what is in memory.
+ * Volatile fields are reset; matchCount and allocated are seeded from the
+ * restored matches until the first /status poll corrects them.
+ */
+function restoreState({ quiet = false } = {}) {
+  stateVersion = store.version();
+  const saved = store.load({ quiet });
+  for (const instanceId of Object.keys(vmPool)) delete vmPool[instanceId];
+  for (const matchId of Object.keys(matches)) delete matches[matchId];
+  Object.assign(vmPool, saved.vmPool);
+  Object.assign(matches, saved.matches);
+  protectedVM = saved.protectedVM;
+  costs.restore(saved.costs);
+  if (saved.rollout) rollout = createRolloutController({ state: saved.rollout, onChange: persistRollout });
+
+  for (const vm of Object.values(vmPool)) {
+    // VMs journaled before build tracking run the stable build
+    if (!vm.build) vm.build = rollout.stable().version;
+    vm.unreachableCount = 0;
+    vm.matchCount = 0;
+    vm.allocated = { cpu: 0, memoryMb: 0 };
+  }
+  for (const match of Object.values(matches)) {
+    const vm = vmPool[match.vmInstanceId];
+    if (match.status !== MATCH_STATES.RUNNING || !vm) continue;
+    vm.matchCount++;
+    vm.allocated = addResources(vm.allocated, matchResources(match));
+  }
+  if (quiet) return;
+  console.log(`[STATE] Restored ${Object.keys(vmPool).length} VM(s), ${Object.keys(matches).length} match(es), protectedVM=${protectedVM}, build ${rollout.stable().version}${rollout.canary() ? ` + canary ${rollout.canary().version}` : ''}`);
+}
+
+/**
+ * After the first successful cloud sync: fail restored matches whose VM no
+ * longer exists, then compact the journal to the reconciled state.
+ */
+function reconcileRestoredState() {
+  reapMatches();
+  // VMs journaled before cost tracking are charged from their launch
+  for (const [instanceId, vm] of Object.entries(vmPool)) openVmCost(instanceId, vm);
+  store.compact({ vmPool, matches, protectedVM, rollout: rollout.toJSON(), costs: costs.toJSON() });
+}
+
+// -------- Match lifecycle --------
+function saveMatch(match) {
+  matches[match.matchId] = match;
+  store.recordMatch(match.matchId, match);
+}
+
+// -------- Costs --------
+// Start a VM's cost ledger record, priced by its fleet's instance type and its charge mode
+function openVmCost(instanceId, vm) {
+  if (costs.hasVm(instanceId)) return;
+  const fleet = fleetOf(vm);
+  costs.openVm({
+    instanceId,
+    fleetId: fleet.id,
+    region: fleet.region,
+    instanceType: fleet.launchParams.InstanceType,
+    chargeType: vm.chargeType,
+    launchedAt: vm.launchedAt,
+  });
+}
+
+// Share of its VM a match holds: its CPU or memory, whichever is the larger part
+function matchShare(match) {
+  const vm = vmPool[match.vmInstanceId];
+  const capacity = vm ? vmCapacity(vm) : scaleResources(RESOURCE_UNIT, fleetOf(match).matchLimit);
+  if (!(capacity.cpu > 0 && capacity.memoryMb > 0)) return 1;
+  const resources = matchResources(match);
+  return Math.max(resources.cpu / capacity.cpu, resources.memoryMb / capacity.memoryMb);
+}
+
+// The running stretch of a match, from its (re)start until now, for costs.priceMatch / chargeMatch
+function matchStretch(match) {
+  return { instanceId: match.vmInstanceId, gameMode: match.gameMode, from: match.startedAt, to: nowMs(), share: matchShare(match) };
+}
+
+// Charge a running match's time on its VM; the totals stay on the match across re-homes
+function chargeMatchTime(match) {
+  const { minutes, cost } = costs.chargeMatch(matchStretch(match));
+  match.matchMinutes = (match.matchMinutes || 0) + minutes;
+  match.cost = (match.cost || 0) + cost;
+}
+
+// fleet.maxVMs, cut to BUDGET_SOFT_MAX_VMS_PERCENT (never below minVMs) past the soft budget limit
+function fleetMaxVMs(fleet) {
+  if (costs.level() === 'ok') return fleet.maxVMs;
+  return Math.max(fleet.minVMs, Math.floor((fleet.maxVMs * BUDGET_SOFT_MAX_VMS_PERCENT) / 100));
+}
+
+// Give a running match's slot back to its VM (matchCount / allocated until the next /status)
+function uncountMatch(match) {
+  const vm = vmPool[match.vmInstanceId];
+  if (vm && vm.matchCount > 0) {
+    vm.matchCount--;
+    vm.allocated = subtractResources(vm.allocated, matchResources(match));
+  }
+}
+
+/**
+ * Move an active match to ended/failed and give its slot back to the VM.
+ */
+function finishMatch(match, status, fields = {}) {
+  const wasRunning = match.status === MATCH_STATES.RUNNING;
+  if (wasRunning) {
+    chargeMatchTime(match);
+    uncountMatch(match);
+  }
+  transitionMatch(match, status, fields, nowMs());
+  saveMatch(match);
+  if (match.playfabServerId) revokeServerCredentials(match);
+
+  console.log(`[MATCH] ${match.matchId} ${status}${fields.endReason ? ` (${fields.endReason})` : ''}`);
+  events.publish('match.ended', {
+    matchId: match.matchId,
+    instanceId: match.vmInstanceId || undefined,
+    fleetId: match.fleetId || undefined,
+    status,
+    endReason: match.endReason,
+    error: match.error,
+  });
+  if (wasRunning) serveWaitQueue();
+}
+
+// Delete the match's PlayFab game_server entity, so the token its server was given stops working
+function revokeServerCredentials(match) {
+  matchmaking.releaseServerCredentials(match.titleId, match.playfabServerId).catch((err) => {
+    console.error(`[PLAYFAB] Revoking the server credentials of ${match.matchId} failed:`, err?.message || err);
+  });
+}
+
+/**
+ * End a match that is stopped before its server exits on its own: a running match ends,
+ * one still allocating fails (it never ran) and gives up its place in the wait queue;
+ * its allocation notices and does not start it (see allocationCancelled).
+ */
+function stopMatch(match, fields) {
+  if (match.status !== MATCH_STATES.ALLOCATING) {
+    finishMatch(match, MATCH_STATES.ENDED, fields);
+    return;
+  }
+  finishMatch(match, MATCH_STATES.FAILED, fields);
+  for (const waiter of waitQueue.filter((w) => w.matchId === match.matchId)) dropWaiter(waiter);
 }
 
 /**
- * Synchronize vmPool with DescribeInstances()
- * - Adds running instances not yet in vmPool
+ * Expire matches that can no longer be alive and forget old finished ones:
+ * - running matches whose VM left the pool -> failed (vm_gone)
+ * - matches stuck allocating past ALLOCATING_TIMEOUT_MS since requested or re-homed -> failed (allocation_timeout);
+ *   not while allocateMatch() still works on one, it ends it itself (its start attempts may take longer)
+ * - ended/failed matches older than MATCH_RETENTION_MINUTES -> removed
+ */
+function reapMatches() {
+  const now = nowMs();
+  for (const [matchId, match] of Object.entries(matches)) {
+    if (match.status === MATCH_STATES.RUNNING && !vmPool[match.vmInstanceId]) {
+      finishMatch(match, MATCH_STATES.FAILED, { endReason: match.spotInterruption ? 'spot_reclaimed' : 'vm_gone' });
+    } else if (
+      match.status === MATCH_STATES.ALLOCATING &&
+      !allocationsInFlight.has(matchId) &&
+      now - (match.rehomedAt || match.createdAt) > ALLOCATING_TIMEOUT_MS
+    ) {
+      finishMatch(match, MATCH_STATES.FAILED, { endReason: 'allocation_timeout' });
+    } else if (!isActiveMatch(match) && now - match.updatedAt > MATCH_RETENTION_MINUTES * 60 * 1000) {
+      delete matches[matchId];
+      store.removeMatch(matchId);
+    }
+  }
+}
+
+/**
+ * Synchronize vmPool with each region's describe()
+ * - Adds running instances not yet in vmPool, assigned to the fleet of their zone
  * - Removes instances that are absent or not running
+ * Returns true if every region's cloud view was fetched.
  */
 async function syncWithCloud() {
-  try {
-    const res = await cvmClient.DescribeInstances({});
-    const allInstances = res.InstanceSet || [];
-
-    // Build a map from InstanceId -> instance object
-    const cloudMap = new Map();
-    for (const inst of allInstances) cloudMap.set(inst.InstanceId, inst);
-
-    // Remove vmPool entries that are gone or not RUNNING
-    for (const instanceId of Object.keys(vmPool)) {
-      const inst = cloudMap.get(instanceId);
-      if (!inst || inst.InstanceState !== 'RUNNING') {
-        console.log(`[SYNC] Removing non-running instance from vmPool: ${instanceId}`);
-        delete vmPool[instanceId];
-        if (protectedVM === instanceId) protectedVM = null;
-      } else {
-        // update ip if changed
-        const ip = inst.PublicIpAddresses?.[0];
-        if (ip && vmPool[instanceId].ip !== ip) {
-          vmPool[instanceId].ip = ip;
+  let allOk = true;
+  for (const [region, cloud] of Object.entries(clouds)) {
+    try {
+      const allInstances = await cloud.describe();
+      const regionFleets = FLEETS.filter((fleet) => fleet.region === region);
+      const fleetForZone = (zone) => regionFleets.find((fleet) => fleet.zone === zone) || regionFleets[0];
+
+      // Build a map from instanceId -> instance object
+      const cloudMap = new Map();
+      for (const inst of allInstances) cloudMap.set(inst.instanceId, inst);
+
+      // Remove vmPool entries that are gone or not RUNNING
+      for (const [instanceId, vm] of Object.entries(vmPool)) {
+        if (fleetOf(vm).region !== region) continue;
+        const inst = cloudMap.get(instanceId);
+        if (!inst || inst.state !== 'RUNNING') {
+          console.log(`[SYNC] Removing non-running instance from vmPool: ${instanceId}`);
+          forgetVM(instanceId, 'gone');
+        } else {
+          // update ip / fleet if changed
+          const fleetId = fleetById[vm.fleetId] ? vm.fleetId : fleetForZone(inst.zone).id;
+          if ((inst.ip && vm.ip !== inst.ip) || vm.fleetId !== fleetId || vm.chargeType !== inst.chargeType) {
+            vm.ip = inst.ip || vm.ip;
+            vm.fleetId = fleetId;
+            vm.chargeType = inst.chargeType;
+            store.recordVm(instanceId, vm);
+          }
         }
       }
-    }
 
-    // Add running instances not present in vmPool
-    for (const inst of allInstances) {
-      if (inst.InstanceState !== 'RUNNING') continue;
-      const instanceId = inst.InstanceId;
-      const ip = inst.PublicIpAddresses?.[0];
-      if (!ip) continue; // not ready yet
-      if (!vmPool[instanceId]) {
-        vmPool[instanceId] = {
-          ip,
-          matchCount: 0,
-          unreachableCount: 0,
-          launchedAt: nowMs(),
-          lastSeen: nowMs(),
-        };
-        console.log(`[SYNC] Tracking existing running VM: ${instanceId} @ ${ip}`);
+      // Add running instances not present in vmPool
+      for (const inst of allInstances) {
+        if (inst.state !== 'RUNNING') continue;
+        const instanceId = inst.instanceId;
+        const ip = inst.ip;
+        if (!ip) continue; // not ready yet
+        if (!vmPool[instanceId]) {
+          trackVM(instanceId, {
+            fleetId: fleetForZone(inst.zone).id,
+            // the launch that knew its build is gone; assume stable, a retired build's VM would have been drained already
+            build: rollout.stable().version,
+            ip,
+            chargeType: inst.chargeType,
+            matchCount: 0,
+            capacity: null,
+            allocated: { cpu: 0, memoryMb: 0 },
+            unreachableCount: 0,
+            // the provider's creation time keeps VM_AGE_TERMINATE_MINUTES meaningful across restarts
+            launchedAt: inst.launchedAt || nowMs(),
+            lastSeen: nowMs(),
+          });
+          console.log(`[SYNC] Tracking existing running VM: ${instanceId} @ ${ip} (fleet ${vmPool[instanceId].fleetId})`);
+        }
       }
+    } catch (err) {
+      console.error(`[SYNC] ${cloud.name} describe failed for ${region}:`, err?.message || err);
+      allOk = false;
     }
+  }
 
-    // Ensure protectedVM exists and points to an existing VM
-    if (!protectedVM) {
-      const ids = Object.keys(vmPool);
-      if (ids.length > 0) {
-        // choose the one with earliest launchedAt (oldest)
-        ids.sort((a, b) => vmPool[a].launchedAt - vmPool[b].launchedAt);
-        protectedVM = ids[0];
-        console.log(`[SYNC] Protected VM set to ${protectedVM}`);
-      }
-    } else if (!vmPool[protectedVM]) {
-      protectedVM = null; // will be re-chosen next sync
+  // Ensure protectedVM exists and points to an existing VM
+  if (!protectedVM) {
+    const ids = Object.keys(vmPool);
+    if (ids.length > 0) {
+      // choose the one with earliest launchedAt (oldest)
+      ids.sort((a, b) => vmPool[a].launchedAt - vmPool[b].launchedAt);
+      setProtectedVM(ids[0]);
+      console.log(`[SYNC] Protected VM set to ${protectedVM}`);
     }
-  } catch (err) {
-    console.error('[SYNC] DescribeInstances failed:', err?.message || err);
+  } else if (!vmPool[protectedVM]) {
+    setProtectedVM(null); // will be re-chosen next sync
   }
+  return allOk;
 }
 
 /**
- * Launch a new backup VM and wait until it gets a public IP and is RUNNING.
- * Returns { instanceId, ip } or null on failure.
- * This guards concurrent launches.
+ * Launch a new backup VM in a fleet and wait until it gets a public IP and is RUNNING.
+ * Returns { instanceId, ip, fleetId } or null on failure.
+ * The VM runs `build` (a rolloutController build), by default the one the rollout
+ * wants more of in this fleet. A caller joins a launch of the same build already in
+ * flight in the fleet instead of starting another; the scaling policy passes
+ * { join: false } to launch several in parallel.
+ * Parked requests are served from the new VM once it is ready.
  */
-async function launchBackupVM() {
-  if (launching) {
-    console.log('[LAUNCH] Another launch already in progress, skipping concurrent launch.');
+async function launchBackupVM(fleetId = FLEETS[0].id, { join = true, build = rollout.pickLaunchBuild(buildCounts(fleetId)) } = {}) {
+  const fleet = fleetById[fleetId];
+  const pending = launchesFor(fleetId);
+  const sameBuild = launchesOfBuild(fleetId, build.version);
+  if (join && sameBuild.length > 0) {
+    console.log(`[LAUNCH] Another ${build.version} launch already in progress in ${fleetId}, waiting for it.`);
+    return sameBuild[0];
+  }
+  if (costs.level() === 'hard') {
+    console.warn(`[BUDGET] Hard budget limit reached, not launching in ${fleetId}.`);
+    launchesCounter.inc({ fleet: fleetId, result: 'budget' });
     return null;
   }
-  if (Object.keys(vmPool).length >= MAX_BACKUP_VMS) {
-    console.log('[LAUNCH] Reached MAX_BACKUP_VMS, not launching more.');
+  const maxVMs = fleetMaxVMs(fleet);
+  if (servingVMs(fleetId).length + pending.size >= maxVMs) {
+    console.log(`[LAUNCH] Fleet ${fleetId} reached its max of ${maxVMs} VMs${maxVMs < fleet.maxVMs ? ' (soft budget limit)' : ''}, not launching more.`);
     return null;
   }
 
-  launching = true;
+  let result = null;
+  const launch = runLaunch(fleet, build);
+  launch.build = build.version;
+  pending.add(launch);
   try {
-    const params = { ...launchParams, InstanceName: `match-agent-${Date.now()}` };
-    const res = await cvmClient.RunInstances(params);
-    const instanceId = res.InstanceIdSet?.[0];
-    if (!instanceId) throw new Error('RunInstances did not return instanceId');
-    console.log(`[LAUNCH] Requested new VM: ${instanceId}`);
+    result = await launch;
+    return result;
+  } finally {
+    pending.delete(launch);
+    onLaunchSettled(fleetId, result, build);
+  }
+}
+
+function launchesOfBuild(fleetId, version) {
+  return [...launchesFor(fleetId)].filter((launch) => launch.build === version);
+}
+
+// version -> VMs serving or launching in a fleet
+function buildCounts(fleetId) {
+  const counts = {};
+  for (const [, vm] of servingVMs(fleetId)) counts[vm.build] = (counts[vm.build] || 0) + 1;
+  for (const launch of launchesFor(fleetId)) counts[launch.build] = (counts[launch.build] || 0) + 1;
+  return counts;
+}
+
+function onDemandCount(fleetId) {
+  return fleetVMs(fleetId).filter(([, vm]) => vm.chargeType === 'POSTPAID_BY_HOUR').length;
+}
 
-    // Poll DescribeInstances to wait for RUNNING state with PublicIpAddresses
+// Whether the fleet's mix policy allows one more on-demand VM in place of spot
+function canFallBackToOnDemand(fleet) {
+  return fleet.spotFallback && onDemandCount(fleet.id) < fleet.maxOnDemand;
+}
+
+/**
+ * RunInstances parameters for the next VM of a fleet, applying its spot / on-demand mix:
+ * on-demand up to onDemandBase, and while spot is known to be unavailable; spot otherwise.
+ * A build with its own CVM image replaces the fleet's.
+ */
+function nextLaunchParams(fleet, build) {
+  const params = { ...fleet.launchParams, InstanceName: `match-agent-${nowMs()}` };
+  if (build.imageId) params.ImageId = build.imageId;
+  if (params.InstanceChargeType !== 'SPOTPAID') return params;
+  if (onDemandCount(fleet.id) < fleet.onDemandBase) return toOnDemandParams(params);
+  if ((spotUnavailableUntil[fleet.id] || 0) > nowMs() && canFallBackToOnDemand(fleet)) return toOnDemandParams(params);
+  return params;
+}
+
+// Launch with the fleet's params, retrying on-demand when spot is out of stock or over price
+async function launchInstance(fleet, cloud, params) {
+  try {
+    return { instanceId: await cloud.launch(params), chargeType: params.InstanceChargeType };
+  } catch (err) {
+    if (!err?.spotUnavailable) throw err;
+    spotUnavailableUntil[fleet.id] = nowMs() + SPOT_RETRY_AFTER_MS;
+    if (!canFallBackToOnDemand(fleet)) throw err;
+    console.warn(`[LAUNCH] Spot unavailable in ${fleet.id} (${err.message}), launching on-demand instead`);
+    spotFallbacksCounter.inc({ fleet: fleet.id });
+    const onDemand = toOnDemandParams(params);
+    return { instanceId: await cloud.launch(onDemand), chargeType: onDemand.InstanceChargeType };
+  }
+}
+
+async function runLaunch(fleet, build) {
+  const cloud = cloudFor(fleet);
+  try {
+    const readyTimer = vmReadyHistogram.startTimer();
+    const launchTimer = runInstancesHistogram.startTimer();
+    let instanceId;
+    let chargeType;
+    try {
+      ({ instanceId, chargeType } = await launchInstance(fleet, cloud, nextLaunchParams(fleet, build)));
+      launchTimer({ result: 'success' });
+    } catch (err) {
+      launchTimer({ result: 'error' });
+      throw err;
+    }
+    console.log(`[LAUNCH] Requested new ${chargeType} VM in ${fleet.id} for build ${build.version}: ${instanceId}`);
+
+    // Poll the provider until the VM is RUNNING with a public IP
     const maxPoll = 40; // up to ~200 seconds with backoff
     let ip = null;
     for (let i = 0; i < maxPoll; i++) {
       await safeWait(5000 + (i * 250)); // small backoff
       try {
-        const desc = await cvmClient.DescribeInstances({ InstanceIds: [instanceId] });
-        const inst = desc.InstanceSet?.[0];
-        if (inst && inst.InstanceState === 'RUNNING' && inst.PublicIpAddresses?.length) {
-          ip = inst.PublicIpAddresses[0];
-          vmPool[instanceId] = {
-            ip,
-            matchCount: 0,
-            unreachableCount: 0,
-            launchedAt: nowMs(),
-            lastSeen: nowMs(),
-          };
+        ip = await cloud.getPublicIp(instanceId);
+        if (ip) {
+          // syncWithCloud() may have picked it up (and even drained it) while we were polling
+          if (vmPool[instanceId]) vmPool[instanceId].build = build.version;
+          if (!vmPool[instanceId]) {
+            trackVM(instanceId, {
+              fleetId: fleet.id,
+              build: build.version,
+              ip,
+              chargeType,
+              matchCount: 0,
+              capacity: null,
+              allocated: { cpu: 0, memoryMb: 0 },
+              unreachableCount: 0,
+              launchedAt: nowMs(),
+              lastSeen: nowMs(),
+            });
+          }
           console.log(`[LAUNCH] VM ready: ${instanceId} @ ${ip}`);
+          readyTimer();
+          events.publish('vm.launched', { instanceId, fleetId: fleet.id, ip, build: build.version, chargeType });
           break;
         }
       } catch (err) {
@@ -174,96 +655,295 @@ async function launchBackupVM() {
 
     // Choose protectedVM if none
     if (!protectedVM) {
-      protectedVM = instanceId;
+      setProtectedVM(instanceId);
       console.log(`[LAUNCH] Protected VM set to ${protectedVM}`);
     }
 
     if (!ip) {
       console.error(`[LAUNCH] Timeout waiting for VM ${instanceId} to become RUNNING with IP`);
       // Optionally try to terminate to clean up
-      try { await cvmClient.TerminateInstances({ InstanceIds: [instanceId] }); } catch (e) {}
-      delete vmPool[instanceId];
+      try { await cloud.terminate([instanceId]); } catch (e) {}
+      forgetVM(instanceId, 'timeout');
+      launchesCounter.inc({ fleet: fleet.id, result: 'timeout' });
+      terminationsCounter.inc({ reason: 'timeout' });
       return null;
     }
 
-    return { instanceId, ip };
+    launchesCounter.inc({ fleet: fleet.id, result: 'success' });
+    return { instanceId, ip, fleetId: fleet.id };
   } catch (err) {
-    console.error('[LAUNCH] launchBackupVM failed:', err?.message || err);
+    console.error(`[LAUNCH] launchBackupVM failed in ${fleet.id}:`, err?.message || err);
+    launchesCounter.inc({ fleet: fleet.id, result: 'failed' });
     return null;
-  } finally {
-    launching = false;
   }
 }
 
+// First fleet, in the given order, that has a launch on the way or room to start one
+function pickLaunchFleet(fleetIds) {
+  return fleetIds.map((id) => fleetById[id])
+    .find((fleet) => launchesFor(fleet.id).size > 0 ||
+      (costs.level() !== 'hard' && servingVMs(fleet.id).length < fleetMaxVMs(fleet))) || null;
+}
+
 /**
- * Ask each VM for /status. Update matchCount and lastSeen.
- * Handle unreachable VMs: increment unreachableCount and terminate after threshold.
+ * Hand the new capacity to parked requests. Requests for this build this fleet
+ * still cannot serve get another launch here, or fall back to their next fleet.
+ */
+function onLaunchSettled(fleetId, result, build) {
+  serveWaitQueue();
+  const pending = waitQueue.filter((waiter) => waiter.fleetIds.includes(fleetId) && waiter.need.build === build.version);
+  // other launches of the build still in flight here will serve them when they settle
+  if (!pending.length || launchesOfBuild(fleetId, build.version).length > 0) return;
+
+  // the rollout moved on while they waited
+  if (!rollout.isActive(build.version)) {
+    pending.forEach(dropWaiter);
+    return;
+  }
+
+  const fleet = fleetById[fleetId];
+  if (result && servingVMs(fleetId).length < fleetMaxVMs(fleet)) {
+    console.log(`[QUEUE] ${pending.length} request(s) still waiting on ${fleetId}, launching another ${build.version} VM...`);
+    launchBackupVM(fleetId, { build });
+    return;
+  }
+
+  // this fleet cannot grow (launch failed or at max): try each request's next fleet
+  for (const waiter of pending) {
+    const next = pickLaunchFleet(waiter.fleetIds.filter((id) => id !== fleetId));
+    if (!next) {
+      dropWaiter(waiter);
+    } else if (launchesOfBuild(next.id, build.version).length === 0) {
+      launchBackupVM(next.id, { build });
+    }
+  }
+}
+
+/**
+ * Ask each VM for /status.
+ * Unreachable VMs are terminated after VM_UNREACHABLE_TERMINATE_THRESHOLD failed polls,
+ * unless matches are known to run on them: those are quarantined (no placements)
+ * until they answer again, their matches end, or QUARANTINE_TIMEOUT_MS passes.
  */
 async function refreshVmStatus(instanceId, vm) {
   try {
-    const { data } = await axios.get(`http://${vm.ip}:7777/status`, { timeout: STATUS_TIMEOUT_MS });
-    // Expecting something like { activeMatches: N }
+    const data = await runtime.agentRequest(vm.ip, 'GET', '/status', undefined, { timeout: STATUS_TIMEOUT_MS });
+    // Expecting something like { activeMatches: N, capacity: { cpu, memoryMb }, allocated: { cpu, memoryMb } }
     vm.matchCount = Number.isFinite(data?.activeMatches) ? data.activeMatches : 0;
     vm.unreachableCount = 0;
     vm.lastSeen = nowMs();
     // normalize
     if (vm.matchCount < 0) vm.matchCount = 0;
+    if (isResources(data?.capacity)) vm.capacity = data.capacity;
+    vm.allocated = isResources(data?.allocated) ? data.allocated : estimateAllocated(instanceId, vm.matchCount);
+    if (vm.quarantine) {
+      console.log(`[STATUS] VM ${instanceId} is reachable again, lifting quarantine`);
+      vm.quarantine = null;
+      store.recordVm(instanceId, vm);
+    }
+    // fallback for a termination notice the agent could not report directly
+    if (data?.spotTermination && !vm.draining) handleSpotInterruption(instanceId, data.spotTermination);
     return true;
   } catch (err) {
     vm.unreachableCount = (vm.unreachableCount || 0) + 1;
+    // emptiness must be confirmed by consecutive polls
+    if (vm.draining) vm.draining.emptySince = null;
     console.warn(`[STATUS] VM ${instanceId}@${vm.ip} unreachable (${vm.unreachableCount}): ${err?.message || err}`);
+    events.publish('vm.unreachable', {
+      instanceId,
+      fleetId: vm.fleetId,
+      ip: vm.ip,
+      unreachableCount: vm.unreachableCount,
+      quarantined: Boolean(vm.quarantine),
+    });
     // If VM is brand-new don't kill it immediately — give some boot time
     const ageMinutes = (nowMs() - vm.launchedAt) / (60 * 1000);
     if (vm.unreachableCount >= VM_UNREACHABLE_TERMINATE_THRESHOLD && ageMinutes >= VM_AGE_TERMINATE_MINUTES) {
+      const fleet = fleetOf(vm);
+      const live = liveMatchesOn(instanceId);
+      if (live.length > 0 && !vm.quarantine) {
+        vm.quarantine = { since: nowMs(), matchIds: live.map((match) => match.matchId) };
+        store.recordVm(instanceId, vm);
+        console.warn(`[STATUS] Quarantining unreachable VM ${instanceId} with ${live.length} live match(es)`);
+        if (instanceId === protectedVM) recomputeProtectedVM();
+        return false;
+      }
+      if (live.length > 0 && nowMs() - vm.quarantine.since < QUARANTINE_TIMEOUT_MS) return false;
+
       // Terminate if not protected
-      if (instanceId !== protectedVM && Object.keys(vmPool).length > MIN_BACKUP_VMS) {
-        console.log(`[STATUS] Terminating unreachable VM ${instanceId} (${vm.ip})`);
+      if (instanceId !== protectedVM && (!isServing(vm) || servingVMs(fleet.id).length > fleet.minVMs)) {
+        const reason = live.length > 0 ? 'quarantine_timeout' : 'unreachable';
+        console.log(`[STATUS] Terminating unreachable VM ${instanceId} (${vm.ip}, ${reason})`);
         try {
-          await cvmClient.TerminateInstances({ InstanceIds: [instanceId] });
+          await cloudFor(fleet).terminate([instanceId]);
         } catch (e) {
-          console.error(`[STATUS] TerminateInstances failed for ${instanceId}:`, e?.message || e);
+          console.error(`[STATUS] Terminate failed for ${instanceId}:`, e?.message || e);
         }
-        delete vmPool[instanceId];
+        forgetVM(instanceId, reason);
+        terminationsCounter.inc({ reason });
         return false;
       } else {
-        console.log(`[STATUS] VM ${instanceId} is protected or we are at MIN_BACKUP_VMS, skipping termination.`);
+        console.log(`[STATUS] VM ${instanceId} is protected or ${fleet.id} is at its minimum, skipping termination.`);
       }
     }
     return false;
   }
 }
 
+// -------- Capacity --------
+// Capacity is tracked in CPU / memory (see gameProfiles.js); "slots" are standard matches' worth of it.
+function isResources(value) {
+  return Number.isFinite(value?.cpu) && Number.isFinite(value?.memoryMb);
+}
+
+// Cost of a match; matches recorded before game profiles count as standard ones
+function matchResources(match) {
+  return isResources(match.resources) ? match.resources : RESOURCE_UNIT;
+}
+
+// For agents that do not report allocated resources: the running matches placed here,
+// plus a standard match for each container the agent runs that the allocator does not know
+function estimateAllocated(instanceId, activeMatches) {
+  const running = liveMatchesOn(instanceId).filter((match) => match.status === MATCH_STATES.RUNNING);
+  const known = running.reduce((sum, match) => addResources(sum, matchResources(match)), { cpu: 0, memoryMb: 0 });
+  return addResources(known, scaleResources(RESOURCE_UNIT, Math.max(0, activeMatches - running.length)));
+}
+
+// What the agent advertised, or FULL_MATCH_LIMIT (the fleet's matchLimit) standard matches until it does
+function vmCapacity(vm) {
+  return isResources(vm.capacity) ? vm.capacity : scaleResources(RESOURCE_UNIT, fleetOf(vm).matchLimit);
+}
+
+// Capacity minus running matches and reservations
+function vmFree(instanceId, vm) {
+  const held = addResources(vm.allocated || scaleResources(RESOURCE_UNIT, vm.matchCount || 0), reservations.resourcesFor(instanceId));
+  return subtractResources(vmCapacity(vm), held);
+}
+
+// Fractional standard matches left in `free` after placing `cost`, for ranking fits
+function leftoverAfter(free, cost) {
+  const left = subtractResources(free, cost);
+  return Math.min(left.cpu / RESOURCE_UNIT.cpu, left.memoryMb / RESOURCE_UNIT.memoryMb);
+}
+
+// Whole and free slots over the given VMs
+function slotTotals(entries) {
+  let totalSlots = 0;
+  let freeSlots = 0;
+  for (const [instanceId, vm] of entries) {
+    totalSlots += slotsIn(vmCapacity(vm));
+    freeSlots += slotsIn(vmFree(instanceId, vm));
+  }
+  return { totalSlots, freeSlots, usedSlots: Math.max(0, totalSlots - freeSlots) };
+}
+
 /**
- * Get an available VM (with free slots) or launch a new one.
- * Preference: lowest matchCount, reachable, not protected (for load).
+ * Best-fit bin-packing: in the first fleet (in the given order) with a VM of the
+ * match's build it fits on, pick the VM it leaves the least room on (older lastSeen
+ * on ties) and reserve the match's resources there. Packing tightly keeps large
+ * holes free for heavy modes and lets idle VMs empty out for scale-in.
+ * Synchronous, so no other request can claim the same resources in between.
+ * Returns { instanceId, ip, fleetId, reservation } or null if it fits nowhere.
+ *
+ * @param {{ resources: {cpu: number, memoryMb: number}, build: string, exclude?: Set<string> }} need -
+ *   The match's profile resources and build version, and VMs it already failed to start on
  */
-async function getAvailableVM() {
-  // First, try to refresh status for all known VMs in parallel
-  const entries = Object.entries(vmPool);
+function reserveSlot(matchId, fleetIds, need) {
+  const cost = need.resources;
+  for (const fleetId of fleetIds) {
+    const candidates = servingVMs(fleetId)
+      .filter(([instanceId, vm]) => vm.build === need.build && !need.exclude?.has(instanceId))
+      .map(([instanceId, vm]) => ({ instanceId, vm, free: vmFree(instanceId, vm) }))
+      .filter(({ free }) => fitsIn(cost, free))
+      .map((c) => ({ ...c, leftover: leftoverAfter(c.free, cost) }))
+      .sort((a, b) => (a.leftover - b.leftover) || (a.vm.lastSeen - b.vm.lastSeen));
+
+    if (candidates.length > 0) {
+      const { instanceId, vm } = candidates[0];
+      return { instanceId, ip: vm.ip, fleetId, reservation: reservations.reserve(instanceId, matchId, cost) };
+    }
+  }
+  return null;
+}
+
+// Give back a slot reserved by reserveSlot (the match started or failed)
+function releaseSlot(slot) {
+  if (slot && reservations.release(slot.reservation.reservationId)) serveWaitQueue();
+}
+
+// Park a request until serveWaitQueue() finds it a slot or QUEUE_TIMEOUT_MS passes
+function waitForSlot(matchId, fleetIds, need) {
+  return new Promise((resolve) => {
+    const waiter = { matchId, fleetIds, need, resolve };
+    waiter.timer = runtime.setTimeout(() => {
+      console.warn(`[QUEUE] ${matchId} gave up waiting for a VM after ${QUEUE_TIMEOUT_MS}ms`);
+      dropWaiter(waiter);
+    }, QUEUE_TIMEOUT_MS);
+    waitQueue.push(waiter);
+    console.log(`[QUEUE] ${matchId} waiting for a VM slot (${waitQueue.length} queued)`);
+  });
+}
+
+// Serve parked requests in arrival order while their fleets have capacity
+function serveWaitQueue() {
+  for (const waiter of [...waitQueue]) {
+    const slot = reserveSlot(waiter.matchId, waiter.fleetIds, waiter.need);
+    if (!slot) continue;
+    waitQueue.splice(waitQueue.indexOf(waiter), 1);
+    runtime.clearTimeout(waiter.timer);
+    waiter.resolve(slot);
+  }
+}
+
+// Fail one parked request (no capacity is coming for it)
+function dropWaiter(waiter) {
+  const idx = waitQueue.indexOf(waiter);
+  if (idx !== -1) waitQueue.splice(idx, 1);
+  runtime.clearTimeout(waiter.timer);
+  waiter.resolve(null);
+}
+
+/**
+ * Get a VM of the match's build with room for its resources (see reserveSlot) or
+ * wait for a new one. Fleets are tried in the given order (see rankFleets).
+ * Returns { instanceId, ip, fleetId, reservation } - the caller must releaseSlot() it -
+ * or null if there is no capacity and none can be launched.
+ */
+async function getAvailableVM(matchId, need, fleetIds = FLEETS.map((fleet) => fleet.id)) {
+  // First, try to refresh status for the candidate fleets' VMs in parallel
+  const entries = fleetIds.flatMap((fleetId) => servingVMs(fleetId));
   await Promise.all(entries.map(([instanceId, vm]) => refreshVmStatus(instanceId, vm)));
 
-  // Choose best candidate
-  const candidates = Object.entries(vmPool)
-    .filter(([instanceId, vm]) => vm.matchCount < FULL_MATCH_LIMIT)
-    .sort((a, b) => (a[1].matchCount - b[1].matchCount) || (a[1].lastSeen - b[1].lastSeen));
+  // Requests already parked go first
+  serveWaitQueue();
+  const slot = reserveSlot(matchId, fleetIds, need);
+  if (slot) return slot;
 
-  if (candidates.length > 0) {
-    const [instanceId, vm] = candidates[0];
-    return { instanceId, ip: vm.ip };
+  // A VM being scaled in is the quickest capacity there is
+  if (fleetIds.some((fleetId) => undrainForCapacity(fleetId, need.build))) {
+    const undrained = reserveSlot(matchId, fleetIds, need);
+    if (undrained) return undrained;
   }
 
-  // No candidate, attempt to launch new VM
-  return await launchBackupVM();
+  // No candidate: park the request and make sure a VM of its build is on its way in the best fleet that can grow
+  const launchFleet = pickLaunchFleet(fleetIds);
+  if (!launchFleet) return null;
+  const waiting = waitForSlot(matchId, fleetIds, need);
+  if (launchesOfBuild(launchFleet.id, need.build).length === 0) launchBackupVM(launchFleet.id, { build: rollout.get(need.build) });
+  return waiting;
 }
 
 /**
  * Start a unity server on a given VM IP (post to /start-match)
  */
-async function launchUnityServerOnVM(vmIP, matchId, gameMode, matchPrivacy, tickRate, matchType, playfabSecretKey) {
+async function launchUnityServerOnVM(vmIP, matchId, gameMode, matchPrivacy, tickRate, matchType, playfabCredentials, serverImage) {
   try {
-    const url = `http://${vmIP}:7777/start-match`;
-    const payload = { matchId, gameMode, matchPrivacy, tickRate, matchType, playfabSecretKey };
-    const { data } = await axios.post(url, payload, { timeout: 15000 });
+    // playfab: { titleId, entityToken, expiresAt } from playfabMatchmaking.js, never the title secret key
+    const playfab = playfabCredentials
+      ? { titleId: playfabCredentials.titleId, entityToken: playfabCredentials.entityToken, expiresAt: playfabCredentials.expiresAt }
+      : undefined;
+    const payload = { matchId, gameMode, matchPrivacy, tickRate, matchType, playfab, serverImage };
+    const data = await runtime.agentRequest(vmIP, 'POST', '/start-match', payload, { timeout: 15000 });
 
     if (!data || !data.success) throw new Error(data?.message || 'Failed to start match on VM');
 
@@ -281,25 +961,152 @@ async function launchUnityServerOnVM(vmIP, matchId, gameMode, matchPrivacy, tick
   }
 }
 
+/**
+ * Ask the VM agent to stop the container for a match (post to /stop-match)
+ */
+async function stopUnityServerOnVM(vmIP, matchId) {
+  try {
+    const data = await runtime.agentRequest(vmIP, 'POST', '/stop-match', { matchId }, { timeout: 15000 });
+    if (!data || !data.success) throw new Error(data?.message || 'Failed to stop match on VM');
+    return data;
+  } catch (err) {
+    console.error(`[STOP_MATCH] stopUnityServerOnVM failed for ${vmIP}:`, err?.message || err);
+    throw err;
+  }
+}
+
+// -------- Draining --------
+/**
+ * Stop placing matches on a VM. Its running matches continue until they end;
+ * settleDrainingVM() terminates it once the agent has reported it empty for
+ * DRAIN_COOLDOWN_MS. reason: scale_in, admin, spot_interruption or retired (its build was replaced).
+ */
+function drainVM(instanceId, reason, fields = {}) {
+  const vm = vmPool[instanceId];
+  if (!vm || vm.draining) return false;
+  vm.draining = { reason, since: nowMs(), emptySince: null, ...fields };
+  store.recordVm(instanceId, vm);
+  console.log(`[DRAIN] VM ${instanceId} draining (${reason})`);
+  if (instanceId === protectedVM) recomputeProtectedVM();
+  return true;
+}
+
+// Put a draining VM back into service and hand its slots to parked requests
+function undrainVM(instanceId) {
+  const vm = vmPool[instanceId];
+  if (!vm || !vm.draining) return false;
+  console.log(`[DRAIN] VM ${instanceId} back in service (was ${vm.draining.reason})`);
+  vm.draining = null;
+  store.recordVm(instanceId, vm);
+  serveWaitQueue();
+  return true;
+}
+
+// Cheaper than a launch: take back a VM of the build the fleet was scaling in. Returns true if one was undrained.
+function undrainForCapacity(fleetId, version) {
+  const entry = fleetVMs(fleetId).find(([, vm]) => vm.draining?.reason === 'scale_in' && !vm.quarantine && vm.build === version);
+  return entry ? undrainVM(entry[0]) : false;
+}
+
+/**
+ * Terminate a draining VM once the agent (just polled) reports no running matches,
+ * nothing is reserved or placed on it, and that has held for DRAIN_COOLDOWN_MS.
+ */
+async function settleDrainingVM(instanceId, vm, fleet) {
+  const empty = vm.matchCount === 0 && reservations.countFor(instanceId) === 0 && liveMatchesOn(instanceId).length === 0;
+  if (!empty) {
+    if (vm.draining.emptySince) {
+      vm.draining.emptySince = null;
+      store.recordVm(instanceId, vm);
+    }
+    return;
+  }
+  if (!vm.draining.emptySince) {
+    vm.draining.emptySince = nowMs();
+    store.recordVm(instanceId, vm);
+    console.log(`[DRAIN] VM ${instanceId} is empty, terminating after ${DRAIN_COOLDOWN_MS}ms unless it gets busy`);
+    return;
+  }
+  if (nowMs() - vm.draining.emptySince < DRAIN_COOLDOWN_MS) return;
+
+  console.log(`[DRAIN] Terminating drained VM ${instanceId} (${vm.ip}) in ${fleet.id}`);
+  await terminateVM(instanceId, 'drained');
+}
+
+// Terminate a VM at the provider and stop tracking it. Returns false (VM kept) if the provider call failed.
+async function terminateVM(instanceId, reason) {
+  const vm = vmPool[instanceId];
+  try {
+    await cloudFor(fleetOf(vm)).terminate([instanceId]);
+  } catch (e) {
+    console.error(`[TERMINATE] Failed to terminate ${instanceId}:`, e?.message || e);
+    return false;
+  }
+  forgetVM(instanceId, reason);
+  terminationsCounter.inc({ reason });
+  if (instanceId === protectedVM) recomputeProtectedVM();
+  return true;
+}
+
+// -------- Builds --------
+/**
+ * Drain VMs of builds the rollout no longer runs (after a promote or abort): they
+ * take no new matches and settleDrainingVM() terminates them once their matches end.
+ * Requests parked for such a build fail.
+ */
+function retireInactiveBuilds() {
+  for (const [instanceId, vm] of Object.entries(vmPool)) {
+    if (!vm.draining && !rollout.isActive(vm.build)) drainVM(instanceId, 'retired');
+  }
+  for (const waiter of waitQueue.filter((w) => !rollout.isActive(w.need.build))) dropWaiter(waiter);
+}
+
+// -------- Spot interruptions --------
+/**
+ * Handle a spot termination notice (reported by the agent, or seen in its /status):
+ * drain the VM, flag its running matches and launch a replacement in the same fleet.
+ * Returns false if the VM is unknown.
+ */
+function handleSpotInterruption(instanceId, terminationTime) {
+  const vm = vmPool[instanceId];
+  if (!vm) return false;
+  if (!drainVM(instanceId, 'spot_interruption', { terminationTime })) return true; // already handled
+
+  const fleet = fleetOf(vm);
+  spotInterruptionsCounter.inc({ fleet: fleet.id });
+  console.warn(`[SPOT] ${instanceId} in ${fleet.id} will be reclaimed at ${terminationTime}`);
+
+  for (const match of Object.values(matches)) {
+    if (match.vmInstanceId !== instanceId || !isActiveMatch(match)) continue;
+    match.spotInterruption = { terminationTime, noticedAt: nowMs() };
+    saveMatch(match);
+  }
+
+  // replace the capacity now rather than when the VM disappears, with the same build while it is active
+  launchBackupVM(fleet.id, rollout.isActive(vm.build) ? { build: rollout.get(vm.build) } : {});
+  return true;
+}
+
 /**
  * Recompute protectedVM policy:
  * - Ensure there is at least one protected VM
+ * - Never protect a draining or quarantined VM
  * - If protected VM is idle for long, rotate to the oldest active VM
  */
 function recomputeProtectedVM() {
   if (!protectedVM) {
-    const ids = Object.keys(vmPool);
+    const ids = Object.keys(vmPool).filter((id) => isServing(vmPool[id]));
     if (ids.length > 0) {
       ids.sort((a, b) => vmPool[a].launchedAt - vmPool[b].launchedAt);
-      protectedVM = ids[0];
+      setProtectedVM(ids[0]);
       console.log(`[PROTECT] New protectedVM: ${protectedVM}`);
     }
     return;
   }
 
   const current = vmPool[protectedVM];
-  if (!current) {
-    protectedVM = null;
+  if (!current || !isServing(current)) {
+    setProtectedVM(null);
     recomputeProtectedVM();
     return;
   }
@@ -308,138 +1115,961 @@ function recomputeProtectedVM() {
   const idleForMs = nowMs() - (current.lastSeen || current.launchedAt);
   const idleForMinutes = idleForMs / (60 * 1000);
   if (idleForMinutes > 60) { // arbitrary rotation window (1 hour)
-    const candidates = Object.keys(vmPool).filter(id => id !== protectedVM);
+    const candidates = Object.keys(vmPool).filter(id => id !== protectedVM && isServing(vmPool[id]));
     if (candidates.length > 0) {
       candidates.sort((a, b) => vmPool[a].launchedAt - vmPool[b].launchedAt);
-      protectedVM = candidates[0];
+      setProtectedVM(candidates[0]);
       console.log(`[PROTECT] Rotated protectedVM to ${protectedVM}`);
     }
   }
 }
 
 /**
- * Main periodic updater: sync with cloud, fetch statuses, terminate idle VMs, auto-scale
+ * Scale one fleet to the size its scaling policy asks for: settle draining VMs,
+ * drain idle ones above the desired size (scale-in), launch or undrain below it.
+ * VMs are never terminated straight from here: scale-in goes through draining,
+ * so a stale matchCount cannot kill a busy VM.
+ */
+async function updateFleet(fleet) {
+  const policy = scalingPolicies[fleet.id];
+  const { dryRun } = policy.config;
+
+  // Refresh status for each VM
+  const reachable = [];
+  for (const [instanceId, vm] of fleetVMs(fleet.id)) {
+    // refreshVmStatus may terminate unreachable VMs if threshold reached
+    if (await refreshVmStatus(instanceId, vm)) reachable.push([instanceId, vm]);
+  }
+
+  // Terminate draining VMs the agent has confirmed empty for the cool-down
+  for (const [instanceId, vm] of reachable) {
+    if (vm.draining) await settleDrainingVM(instanceId, vm, fleet);
+  }
+
+  const serving = reachable.filter(([instanceId, vm]) => vmPool[instanceId] && isServing(vm));
+  const { totalSlots, usedSlots } = slotTotals(serving);
+  let totalFreeSlots = totalSlots - usedSlots;
+  // VMs of one fleet share an instance type, so their average stands in for a new VM's size
+  const slotsPerVM = serving.length > 0 ? Math.max(1, Math.round(totalSlots / serving.length)) : fleet.matchLimit;
+
+  const decision = policy.evaluate({
+    vms: serving.length,
+    launching: launchesFor(fleet.id).size,
+    usedSlots,
+    freeSlots: totalFreeSlots,
+    matchLimit: slotsPerVM,
+    minVMs: fleet.minVMs,
+    // past the hard budget limit the fleet keeps what it has but grows no more
+    maxVMs: costs.level() === 'hard' ? Math.min(fleet.maxVMs, serving.length) : fleetMaxVMs(fleet),
+  });
+  desiredVmsGauge.set({ fleet: fleet.id }, decision.desiredVMs);
+  const summary = `${fleet.id}: ${serving.length} VM(s), ${totalFreeSlots} free slot(s), want ${decision.desiredVMs} (${decision.reasons.join(', ')})`;
+
+  // Scale in: drain strictly idle VMs (no matches, reservations or placements in progress)
+  // above the desired size, keeping more than nearCapacityThreshold free slots so the next tick does not scale back up
+  let excess = launchesFor(fleet.id).size > 0 ? 0 : decision.excess;
+  for (const [instanceId, vm] of serving) {
+    if (excess <= 0) break;
+    if (vm.matchCount !== 0 || reservations.countFor(instanceId) > 0 || liveMatchesOn(instanceId).length > 0) continue;
+    if (instanceId === protectedVM) continue;
+    const vmSlots = slotsIn(vmCapacity(vm));
+    if (totalFreeSlots - vmSlots <= policy.config.nearCapacityThreshold) break;
+
+    // Safe-guard: don't scale in very young VMs
+    const ageMinutes = (nowMs() - vm.launchedAt) / (60 * 1000);
+    if (ageMinutes < VM_AGE_TERMINATE_MINUTES) {
+      console.log(`[AUTO] VM ${instanceId} is idle but too new to scale in (age ${ageMinutes.toFixed(1)}m)`);
+      continue;
+    }
+    if (dryRun) {
+      console.log(`[SCALE] (dry-run) ${summary}: would scale in ${instanceId}`);
+    } else {
+      console.log(`[AUTO] Scaling in idle VM ${instanceId} (${vm.ip}) in ${fleet.id}`);
+      drainVM(instanceId, 'scale_in');
+    }
+    totalFreeSlots -= vmSlots;
+    excess--;
+  }
+
+  // Rollout: a fleet without a canary VM would park every canary match until one boots
+  const canary = rollout.canary();
+  if (canary && rollout.canaryPercent() > 0 && !dryRun && !buildCounts(fleet.id)[canary.version]) {
+    console.log(`[ROLLOUT] No ${canary.version} VM in ${fleet.id} yet, launching one`);
+    launchBackupVM(fleet.id, { build: canary });
+  }
+
+  // Scale out: take back VMs being scaled in before launching, then launch the rest in parallel
+  if (decision.launch === 0) return;
+  if (dryRun) {
+    console.log(`[SCALE] (dry-run) ${summary}: would launch ${decision.launch} VM(s)`);
+    return;
+  }
+  console.log(`[SCALE] ${summary}: launching ${decision.launch} VM(s)`);
+  let toLaunch = decision.launch;
+  while (toLaunch > 0 && undrainForCapacity(fleet.id, rollout.pickLaunchBuild(buildCounts(fleet.id)).version)) toLaunch--;
+  await Promise.all(Array.from({ length: toLaunch }, () => launchBackupVM(fleet.id, { join: false })));
+}
+
+/**
+ * Main periodic updater: sync with cloud, then scale each fleet, rotate protection, reap matches
  */
 async function updateVMs() {
   try {
+    // 0) Budget level for this tick's launches
+    refreshBudget();
+
     // 1) Bring vmPool in sync with cloud view
     await syncWithCloud();
+    retireInactiveBuilds();
 
-    // 2) Refresh status for each VM
-    const entries = Object.entries(vmPool);
-    let totalFreeSlots = 0;
-    for (const [instanceId, vm] of entries) {
-      const statusOk = await refreshVmStatus(instanceId, vm);
-      if (statusOk) {
-        const freeSlots = Math.max(0, FULL_MATCH_LIMIT - (vm.matchCount || 0));
-        totalFreeSlots += freeSlots;
-
-        // Terminate strictly idle VMs (matchCount===0) if we have more than MIN_BACKUP_VMS and not protected
-        if (
-          vm.matchCount === 0 &&
-          Object.keys(vmPool).length > MIN_BACKUP_VMS &&
-          instanceId !== protectedVM
-        ) {
-          // Safe-guard: don't terminate very young VMs
-          const ageMinutes = (nowMs() - vm.launchedAt) / (60 * 1000);
-          if (ageMinutes >= VM_AGE_TERMINATE_MINUTES) {
-            console.log(`[AUTO] Terminating idle VM ${instanceId} (${vm.ip})`);
-            try {
-              await cvmClient.TerminateInstances({ InstanceIds: [instanceId] });
-            } catch (e) {
-              console.error(`[AUTO] Failed to terminate ${instanceId}:`, e?.message || e);
-            }
-            delete vmPool[instanceId];
-            if (protectedVM === instanceId) protectedVM = null;
-          } else {
-            console.log(`[AUTO] VM ${instanceId} is idle but too new to terminate (age ${ageMinutes.toFixed(1)}m)`);
-          }
-        }
-      } else {
-        // refreshVmStatus already may delete unreachable VMs if threshold reached
-      }
+    // 2) Status, idle termination and scale-up per fleet
+    for (const fleet of FLEETS) {
+      await updateFleet(fleet);
     }
 
-    // 3) Ensure minimum backup VMs
-    const runningCount = Object.keys(vmPool).length;
-    if (runningCount < MIN_BACKUP_VMS) {
-      const diff = MIN_BACKUP_VMS - runningCount;
-      console.log(`[AUTO] Need ${diff} VM(s) to meet MIN_BACKUP_VMS`);
-      for (let i = 0; i < diff; i++) {
-        await launchBackupVM();
-      }
-    }
-
-    // 4) Auto-scale up if free capacity low
-    if (totalFreeSlots <= NEAR_CAPACITY_THRESHOLD && Object.keys(vmPool).length < MAX_BACKUP_VMS) {
-      console.log(`[AUTO] Low capacity (${totalFreeSlots} free slots). Launching a new VM...`);
-      await launchBackupVM();
-    }
+    // Status polls may have freed slots for parked requests
+    serveWaitQueue();
 
-    // 5) Recompute protected VM policy
+    // 3) Recompute protected VM policy
     recomputeProtectedVM();
+
+    // 4) Expire matches on vanished VMs and prune old finished ones
+    reapMatches();
   } catch (err) {
     console.error('[UPDATE_VMS] Unexpected error in updateVMs:', err?.message || err);
   }
 }
 
+// Recompute the budget level (and prune the cost ledger); refreshes the spend gauges
+function refreshBudget() {
+  const status = costs.refresh();
+  costSpendGauge.set({ period: 'day' }, status.daily.spent);
+  costSpendGauge.set({ period: 'month' }, status.monthly.spent);
+  budgetLevelGauge.reset();
+  budgetLevelGauge.set({ level: status.level }, 1);
+}
+
+// -------- High availability --------
+let updateTimer = null;
+let refreshTimer = null;
+
+// Re-read the shared state if the leader changed it since it was last loaded
+function refreshState() {
+  if (store.version() === stateVersion) return;
+  restoreState({ quiet: true });
+}
+
+/**
+ * Elected: catch up on what the previous leader wrote, reconcile it with the
+ * cloud and take over the update loop and PlayFab polling.
+ */
+async function startLeading() {
+  runtime.clearInterval(refreshTimer);
+  refreshTimer = null;
+  refreshState();
+  leaderGauge.set(1);
+  // reconcile the restored state with the cloud before acting on it
+  if (await syncWithCloud()) reconcileRestoredState();
+  if (!election.isLeader()) return;
+  // initial sync & ensure minimum pool
+  await updateVMs();
+  if (!election.isLeader()) return;
+  // schedule periodic updates
+  updateTimer = runtime.setInterval(updateVMs, UPDATE_INTERVAL_MS);
+  // PLAYFAB_POLL_URL, if set
+  matchmaking.start();
+}
+
+// Follow the leader: serve reads from the shared state and refresh it
+function startFollowing() {
+  leaderGauge.set(0);
+  if (!refreshTimer) refreshTimer = runtime.setInterval(refreshState, FOLLOWER_REFRESH_MS);
+}
+
+function stopLeading() {
+  runtime.clearInterval(updateTimer);
+  updateTimer = null;
+  matchmaking.stop();
+  // no VM will be launched here for parked requests; their callers may retry on the leader
+  for (const waiter of [...waitQueue]) dropWaiter(waiter);
+  events.disconnectAll('leader changed');
+  startFollowing();
+}
+
+// Headers a forwarded request keeps: its auth, signature and body type
+const FORWARDED_HEADERS = [
+  'authorization', 'x-api-key', 'content-type', 'x-playfab-webhook-secret',
+  'x-signature', 'x-signature-timestamp', 'x-signature-nonce',
+];
+
+/**
+ * On a follower, send requests that change state (anything but GET / HEAD / OPTIONS)
+ * to the leader with the exact body, so signatures still verify there.
+ */
+async function forwardToLeader(req, res, next) {
+  if (election.isLeader() || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  const leader = election.leader();
+  // a request another replica already forwarded is not passed on again
+  if (!leader || req.get('x-allocator-forwarded-by')) {
+    forwardsCounter.inc({ result: 'no_leader' });
+    res.set('Retry-After', '5');
+    return res.status(503).json({ error: 'No allocator leader available, retry shortly', code: 'NO_LEADER' });
+  }
+
+  const headers = { 'X-Allocator-Forwarded-By': election.self().id };
+  for (const name of FORWARDED_HEADERS) {
+    if (req.get(name)) headers[name] = req.get(name);
+  }
+  try {
+    const response = await axios.request({
+      method: req.method,
+      url: `${leader.url}${req.originalUrl}`,
+      data: req.rawBody ?? '',
+      headers,
+      timeout: FORWARD_TIMEOUT_MS,
+      responseType: 'text',
+      transformRequest: [(d) => d],
+      transformResponse: [(d) => d],
+      validateStatus: () => true,
+    });
+    forwardsCounter.inc({ result: 'ok' });
+    if (response.headers['retry-after']) res.set('Retry-After', response.headers['retry-after']);
+    if (response.headers['content-type']) res.type(response.headers['content-type']);
+    return res.status(response.status).send(response.data);
+  } catch (err) {
+    forwardsCounter.inc({ result: 'error' });
+    console.error(`[LEADER] Forwarding ${req.method} ${req.path} to ${leader.id} failed:`, err?.message || err);
+    return res.status(502).json({ error: 'Allocator leader unreachable, retry shortly', code: 'LEADER_UNAVAILABLE' });
+  }
+}
+
+// -------- API: auth --------
+function bearerToken(header = '') {
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+}
+
+function isAdminToken(token) {
+  const expected = Buffer.from(ADMIN_API_KEY || '');
+  const given = Buffer.from(token);
+  return Boolean(ADMIN_API_KEY) && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminToken(bearerToken(req.get('authorization')))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  return next();
+}
+
+// API key or signed token of a match request caller; sets req.caller = { key, subject } and takes one from its rate limit
+function requireApiKey(req, res, next) {
+  const caller = apiKeys.authenticate(req.headers);
+  if (!caller) {
+    apiRejectionsCounter.inc({ key: '', reason: 'unauthorized' });
+    return res.status(401).json({ error: 'Unauthorized', code: 'UNAUTHORIZED' });
+  }
+  try {
+    apiKeys.consumeRate(caller.key);
+  } catch (err) {
+    apiRejectionsCounter.inc({ key: caller.key.id, reason: 'rate_limited' });
+    res.set('Retry-After', String(err.retryAfterSec));
+    return res.status(err.statusCode).json({ error: err.message, code: err.code });
+  }
+  req.caller = caller;
+  return next();
+}
+
 // -------- API: match request handling --------
-function handleMatchRequest(matchPrivacy = 'Public') {
-  return async (req, res) => {
-    const { matchId, gameMode, tickRate = 30, matchType } = req.body;
-    if (!matchId || !gameMode || !SCENE_MAP[gameMode]) {
-      return res.status(400).json({ error: 'Missing or invalid matchId/gameMode' });
+// Fields of a running match returned to clients
+function placementOf(match) {
+  const { matchId, serverIP, serverPort, gameMode, tickRate, containerId, region, buildVersion } = match;
+  return { matchId, serverIP, serverPort, gameMode, tickRate, containerId, region, buildVersion };
+}
+
+// What anyone holding a matchId may see: the placement and the status
+function publicMatchDetails(match) {
+  return { ...placementOf(match), status: match.status };
+}
+
+function matchError(status, code, error, extra = {}) {
+  return { status, body: { error, code, ...extra } };
+}
+
+// A failed /start-match is worth another VM unless the agent rejected the parameters themselves
+function isRetryableStartError(err) {
+  return err?.response?.status !== 400;
+}
+
+// The match was stopped or failed while allocateMatch() awaited: give back its slot and start nothing
+function allocationCancelled(match, slot, allocationTimer) {
+  releaseSlot(slot);
+  allocationTimer({ result: 'cancelled' });
+  console.warn(`[MATCH] ${match.matchId} ${match.status} (${match.endReason}) while allocating, not starting it`);
+  return matchError(409, 'MATCH_CANCELLED', `Match ${match.matchId} was ${match.status} while allocating`, { endReason: match.endReason });
+}
+
+/**
+ * Place a new match and start its server, trying up to MATCH_START_ATTEMPTS VMs:
+ * a VM whose /start-match fails is excluded for this match (after a best-effort
+ * stop, in case the server did start) and the next best one is tried.
+ * Resolves to { status, body } for the HTTP response; never rejects.
+ */
+async function allocateMatch(match, { build, fleetIds, credentials, exclude: excluded = [] }) {
+  const { matchId, gameMode, matchPrivacy, tickRate, matchType, resources } = match;
+  const allocationTimer = allocationHistogram.startTimer();
+  const exclude = new Set(excluded);
+  let targetVM = null;
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      targetVM = await getAvailableVM(matchId, { resources, build: build.version, exclude }, fleetIds);
+      if (match.status !== MATCH_STATES.ALLOCATING) return allocationCancelled(match, targetVM, allocationTimer);
+      // feeds the forecast: demand counts against the fleet that served it, or the preferred one
+      if (attempt === 1) scalingPolicies[targetVM ? targetVM.fleetId : fleetIds[0]].recordDemand();
+      if (!targetVM) {
+        // past the hard budget limit no VM was launched for it
+        if (costs.level() === 'hard') {
+          finishMatch(match, MATCH_STATES.FAILED, { endReason: 'budget_exceeded' });
+          allocationTimer({ result: 'no_capacity' });
+          return matchError(503, 'BUDGET_EXCEEDED', 'No VM available and the launch budget is spent');
+        }
+        finishMatch(match, MATCH_STATES.FAILED, { endReason: 'no_capacity' });
+        allocationTimer({ result: 'no_capacity' });
+        return matchError(503, 'NO_CAPACITY', 'No VM available');
+      }
+
+      match.vmInstanceId = targetVM.instanceId;
+      match.fleetId = targetVM.fleetId;
+      saveMatch(match);
+      let matchData;
+      try {
+        matchData = await launchUnityServerOnVM(
+          targetVM.ip,
+          matchId,
+          gameMode,
+          matchPrivacy,
+          tickRate,
+          matchType,
+          credentials,
+          build.serverImage
+        );
+      } catch (err) {
+        const failedVM = targetVM;
+        releaseSlot(failedVM);
+        targetVM = null;
+        exclude.add(failedVM.instanceId);
+        startFailuresCounter.inc({ fleet: failedVM.fleetId });
+        match.startAttempts = [...(match.startAttempts || []), { instanceId: failedVM.instanceId, error: err?.message || String(err), at: nowMs() }];
+        match.vmInstanceId = null;
+        match.fleetId = null;
+        saveMatch(match);
+        // no answer (timeout) or 409 (container exists): the server may be up there, so stop it before going elsewhere
+        if (!err?.response || err.response.status === 409) await stopUnityServerOnVM(failedVM.ip, matchId).catch(() => {});
+
+        if (!isRetryableStartError(err) || attempt >= MATCH_START_ATTEMPTS) {
+          finishMatch(match, MATCH_STATES.FAILED, { endReason: 'start_failed', error: err?.message || String(err) });
+          allocationTimer({ result: 'start_failed' });
+          return matchError(502, 'VM_START_FAILED', `Match server failed to start after ${attempt} attempt(s)`, {
+            attempts: match.startAttempts,
+          });
+        }
+        console.warn(`[MATCH] ${matchId} failed to start on ${failedVM.instanceId}, retrying on another VM (attempt ${attempt + 1}/${MATCH_START_ATTEMPTS})`);
+        continue;
+      }
+      if (match.status !== MATCH_STATES.ALLOCATING) {
+        // its server is up, but nobody wants the match any more
+        await stopUnityServerOnVM(targetVM.ip, matchId).catch(() => {});
+        return allocationCancelled(match, targetVM, allocationTimer);
+      }
+      matchData.region = fleetById[targetVM.fleetId].region;
+      matchData.buildVersion = build.version;
+
+      transitionMatch(match, MATCH_STATES.RUNNING, matchData, nowMs());
+      saveMatch(match);
+      // turn the reservation into a counted match (matchCount / allocated may be corrected on next status refresh)
+      const vm = vmPool[targetVM.instanceId];
+      if (vm) {
+        vm.matchCount++;
+        vm.allocated = addResources(vm.allocated || { cpu: 0, memoryMb: 0 }, resources);
+      }
+      releaseSlot(targetVM);
+      console.log(`[MATCH] ${matchId} started on ${targetVM.ip}:${matchData.serverPort}`);
+      allocationTimer({ result: 'success' });
+      events.publish('match.allocated', { ...placementOf(match), instanceId: targetVM.instanceId, fleetId: targetVM.fleetId });
+      return { status: 200, body: placementOf(match) };
     }
+  } catch (err) {
+    console.error('[MATCH ERROR]', err?.message || err);
+    allocationTimer({ result: 'error' });
+    releaseSlot(targetVM);
+    if (isActiveMatch(match)) finishMatch(match, MATCH_STATES.FAILED, { endReason: 'start_failed', error: err?.message || String(err) });
+    return matchError(500, 'INTERNAL', 'Internal server error');
+  }
+}
+
+/**
+ * Start a match whose server crashed again on another VM, at most MATCH_REHOME_LIMIT
+ * times and only while its build is active. Its clients learn the new address from
+ * match.allocated (or /api/match-details). Returns false if the match is not re-homed.
+ * @param {object} crash - { endReason, error, exit } as reported by the agent
+ */
+function rehomeMatch(match, crash) {
+  const build = rollout.get(match.buildVersion);
+  if (match.status !== MATCH_STATES.RUNNING || (match.rehomes || 0) >= MATCH_REHOME_LIMIT || !build) return false;
+
+  const crashedOn = match.vmInstanceId;
+  chargeMatchTime(match);
+  uncountMatch(match);
+  transitionMatch(match, MATCH_STATES.ALLOCATING, {
+    rehomes: (match.rehomes || 0) + 1,
+    crashes: [...(match.crashes || []), { instanceId: crashedOn, ...crash, at: nowMs() }],
+    vmInstanceId: null,
+    containerId: null,
+    serverIP: null,
+    serverPort: null,
+  }, nowMs());
+  saveMatch(match);
+  console.warn(`[MATCH] ${match.matchId} server on ${crashedOn} stopped (${crash.endReason}), re-homing (${match.rehomes}/${MATCH_REHOME_LIMIT})`);
+  serveWaitQueue();
 
+  // players are already in the crashed match's region
+  const fleetIds = rankFleets().sort((a, b) => (b === match.fleetId) - (a === match.fleetId));
+  const allocation = (async () => {
+    let credentials;
     try {
-      const targetVM = await getAvailableVM();
-      if (!targetVM) return res.status(503).json({ error: 'No VM available' });
-
-      const payloadMatchType = matchType || (matchPrivacy === 'Private' ? 'CustomPrivate' : 'QuickPlay');
-      const matchData = await launchUnityServerOnVM(
-        targetVM.ip,
-        matchId,
-        gameMode,
-        matchPrivacy,
-        tickRate,
-        payloadMatchType,
-        process.env.PLAYFAB_SECRET_KEY
-      );
-
-      matches[matchId] = { ...matchData, startedAt: nowMs(), vmInstanceId: targetVM.instanceId };
-      // increment the vmPool matchCount optimistically (may be corrected on next status refresh)
-      if (vmPool[targetVM.instanceId]) vmPool[targetVM.instanceId].matchCount++;
-      console.log(`[MATCH] ${matchId} started on ${targetVM.ip}:${matchData.serverPort}`);
+      credentials = await matchmaking.getServerCredentials(match.titleId, match.matchId);
+    } catch (err) {
+      if (isActiveMatch(match)) finishMatch(match, MATCH_STATES.FAILED, { ...crash, error: `Re-home failed: ${err?.message || err}` });
+      return matchError(502, 'PLAYFAB_UNAVAILABLE', 'Could not get PlayFab credentials for the match server');
+    }
+    return allocateMatch(match, { build, fleetIds, credentials, exclude: [crashedOn] });
+  })();
+  allocationsInFlight.set(match.matchId, allocation);
+  allocation.finally(() => allocationsInFlight.delete(match.matchId));
+  return true;
+}
+
+/**
+ * Request a match, from the HTTP API or PlayFab matchmaking. Resolves to { status, body }.
+ * Requests are idempotent by matchId: repeating one while the match is allocating
+ * waits for the same allocation, and once it runs returns its placement.
+ * Only a finished (ended / failed) matchId starts a new match.
+ *
+ * @param {object} params - { matchId, gameMode, tickRate, matchType, matchPrivacy, preferredRegions, pings,
+ *   buildVersion, titleId (PlayFab title, default: the only one configured), playfab (matchmaking details),
+ *   caller ({ key, subject } from apiKeys.js; its quota applies and only it may repeat the request) }
+ */
+async function requestMatch(params) {
+  const { matchId, gameMode, matchType, matchPrivacy = 'Public', preferredRegions, pings, buildVersion, titleId, playfab, caller } = params;
+  const errors = validateMatchParams({ matchId, gameMode, tickRate: params.tickRate, matchType });
+  if (buildVersion !== undefined && (typeof buildVersion !== 'string' || !VERSION_PATTERN.test(buildVersion))) {
+    errors.push('buildVersion must be a build version string');
+  }
+  if (errors.length) {
+    // an unknown game mode or a tick rate it does not allow
+    const code = resolveProfile(gameMode, params.tickRate) ? 'INVALID_REQUEST' : 'INVALID_MODE';
+    return matchError(400, code, 'Missing or invalid match parameters', { details: errors });
+  }
+
+  const existing = matches[matchId];
+  if (existing && isActiveMatch(existing)) {
+    const sameRequest = existing.gameMode === gameMode && existing.matchPrivacy === matchPrivacy &&
+      (buildVersion === undefined || existing.buildVersion === buildVersion) &&
+      (existing.apiKeyId || null) === (caller?.key.id || null);
+    if (!sameRequest) return matchError(409, 'MATCH_CONFLICT', `Match ${matchId} is already ${existing.status} with other parameters`);
+    const inFlight = allocationsInFlight.get(matchId);
+    if (inFlight) return inFlight;
+    if (existing.status === MATCH_STATES.RUNNING) return { status: 200, body: placementOf(existing) };
+    // allocating, but not by this process (restored after a restart)
+    return { status: 202, body: { matchId, status: existing.status } };
+  }
 
-      return res.json(matchData);
+  // clients on a given build only ever get a server of that build
+  const build = rollout.pickMatchBuild(buildVersion);
+  if (!build) {
+    return matchError(409, 'BUILD_UNAVAILABLE', `No servers run build ${buildVersion}`, {
+      activeBuilds: rollout.activeBuilds().map((b) => b.version),
+    });
+  }
+
+  if (caller) {
+    const active = Object.values(matches).filter((m) => m.apiKeyId === caller.key.id && isActiveMatch(m)).length;
+    try {
+      apiKeys.checkQuota(caller.key, active);
     } catch (err) {
-      console.error('[MATCH ERROR]', err?.message || err);
-      return res.status(500).json({ error: 'Internal server error' });
+      apiRejectionsCounter.inc({ key: caller.key.id, reason: 'quota' });
+      return matchError(err.statusCode, err.code, err.message);
     }
+  }
+
+  // a token of the match's own PlayFab game_server entity instead of the title secret key
+  let credentials;
+  try {
+    credentials = await matchmaking.getServerCredentials(titleId, matchId);
+  } catch (err) {
+    console.error(`[MATCH] ${matchId}: no PlayFab credentials:`, err?.message || err);
+    return matchError(502, 'PLAYFAB_UNAVAILABLE', 'Could not get PlayFab credentials for the match server');
+  }
+
+  // validated above, so the profile exists; tickRate defaults to the mode's
+  const { tickRate, resources } = resolveProfile(gameMode, params.tickRate);
+  const payloadMatchType = matchType || (matchPrivacy === 'Private' ? 'CustomPrivate' : 'QuickPlay');
+  const match = createMatch(matchId, {
+    gameMode,
+    matchPrivacy,
+    tickRate,
+    matchType: payloadMatchType,
+    resources,
+    buildVersion: build.version,
+    ...(credentials ? { titleId: credentials.titleId, playfabServerId: credentials.serverId } : {}),
+    ...(playfab ? { playfab } : {}),
+    ...(caller ? { apiKeyId: caller.key.id, subject: caller.subject || undefined } : {}),
+  }, nowMs());
+  saveMatch(match);
+
+  const allocation = allocateMatch(match, { build, fleetIds: rankFleets({ preferredRegions, pings }), credentials });
+  allocationsInFlight.set(matchId, allocation);
+  try {
+    return await allocation;
+  } finally {
+    allocationsInFlight.delete(matchId);
+  }
+}
+
+function handleMatchRequest(matchPrivacy = 'Public') {
+  return async (req, res) => {
+    const details = validateMatchRequest(req.body);
+    if (details.length) {
+      apiRejectionsCounter.inc({ key: req.caller.key.id, reason: 'invalid' });
+      return res.status(400).json({ error: 'Invalid match request', code: 'INVALID_REQUEST', details });
+    }
+    if (matchPrivacy === 'Private' && !req.caller.key.allowPrivate) {
+      apiRejectionsCounter.inc({ key: req.caller.key.id, reason: 'forbidden' });
+      return res.status(403).json({ error: 'This API key may not request private matches', code: 'FORBIDDEN' });
+    }
+    const { matchId, gameMode, tickRate, matchType, preferredRegions, pings, buildVersion } = req.body;
+    const { status, body } = await requestMatch({
+      matchId, gameMode, tickRate, matchType, matchPrivacy, preferredRegions, pings, buildVersion, caller: req.caller,
+    });
+    return res.status(status).json(body);
   };
 }
 
-app.post('/api/request-public-match', handleMatchRequest('Public'));
-app.post('/api/request-private-match', handleMatchRequest('Private'));
+app.post('/api/request-public-match', requireApiKey, handleMatchRequest('Public'));
+app.post('/api/request-private-match', requireApiKey, handleMatchRequest('Private'));
+
+// PlayFab match-found notification { titleId, queueName, matchId }, sent with the title's X-PlayFab-Webhook-Secret
+app.post('/api/playfab/match-found', async (req, res) => {
+  const { titleId, queueName, matchId } = req.body || {};
+  if (!matchmaking.verifyWebhook(titleId, req.get('X-PlayFab-Webhook-Secret'))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (typeof queueName !== 'string' || typeof matchId !== 'string') {
+    return res.status(400).json({ error: 'queueName and matchId are required', code: 'INVALID_REQUEST' });
+  }
+  try {
+    const { status, body } = await matchmaking.handleMatchFound({ titleId, queueName, matchId });
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error(`[PLAYFAB] Match-found ${queueName}/${matchId} failed:`, err?.message || err);
+    return res.status(err.statusCode || 500).json({ error: err.statusCode ? err.message : 'Internal server error', code: err.code || 'INTERNAL' });
+  }
+});
 
+// Where a match runs and its status; the whole match record (caller, PlayFab members, exit, ...) only with the admin key
 app.get('/api/match-details/:matchId', (req, res) => {
   const { matchId } = req.params;
   if (!matchId) return res.status(400).json({ error: 'Missing matchId' });
   const matchData = matches[matchId];
   if (!matchData) return res.status(404).json({ error: 'Match not found' });
-  return res.json(matchData);
+  if (isAdminToken(bearerToken(req.get('authorization')))) return res.json(matchData);
+  return res.json(publicMatchDetails(matchData));
+});
+
+// Called by the VM agent when a match finishes (signed with SecurityKey), see containerMonitor.js.
+// Body: { reason?: string, error?: string, containerId?: string, exit?: { classification, exitCode, oomKilled, finishedAt, restarts } }
+// An error marks the match failed, or re-homes it (MATCH_REHOME_LIMIT) if its server crashed.
+app.post('/api/matches/:matchId/end', requireSignature(), (req, res) => {
+  const match = matches[req.params.matchId];
+  if (!match) return res.status(404).json({ error: 'Match not found' });
+  if (isTerminalMatch(match)) return res.json(match); // already finished, callbacks may repeat
+
+  const { reason, error, containerId, exit } = req.body || {};
+  // about a container this match no longer runs in (it was re-homed since)
+  if (containerId && containerId !== match.containerId) return res.json(match);
+
+  const fields = exit && typeof exit === 'object' ? { exit } : {};
+  if (error && exit && rehomeMatch(match, { endReason: reason || 'crashed', error, ...fields })) return res.json(match);
+  if (error) {
+    finishMatch(match, MATCH_STATES.FAILED, { endReason: reason || 'error', error, ...fields });
+  } else {
+    stopMatch(match, { endReason: reason || 'completed', ...fields });
+  }
+  return res.json(match);
+});
+
+// Last lines of a match server's output, from its agent (kept there for a while after the container exits)
+app.get('/api/matches/:matchId/logs', requireAdmin, async (req, res) => {
+  const match = matches[req.params.matchId];
+  if (!match) return res.status(404).json({ error: 'Match not found' });
+  // while a crashed match is re-homed, the crashed server's logs
+  const vm = vmPool[match.vmInstanceId || match.crashes?.at(-1)?.instanceId];
+  if (!vm) return res.status(404).json({ error: 'The match has no VM to fetch logs from' });
+
+  const tail = Math.max(1, Math.min(Number.parseInt(req.query.tail, 10) || 200, 5000));
+  try {
+    const logs = await runtime.agentRequest(vm.ip, 'GET', `/matches/${encodeURIComponent(match.matchId)}/logs?tail=${tail}`, undefined, {
+      timeout: STATUS_TIMEOUT_MS,
+    });
+    return res.type('text/plain').send(logs);
+  } catch (err) {
+    const status = err.response?.status === 404 ? 404 : 502;
+    return res.status(status).json({ error: `Failed to fetch logs from ${match.vmInstanceId}: ${err?.message || err}` });
+  }
+});
+
+// Spot termination notice from the agent on that VM (spotMonitor.js)
+app.post('/api/vms/:instanceId/interruption', requireSignature(), (req, res) => {
+  const { terminationTime } = req.body || {};
+  if (!handleSpotInterruption(req.params.instanceId, terminationTime || null)) {
+    return res.status(404).json({ error: 'VM not found' });
+  }
+  return res.json({ success: true, instanceId: req.params.instanceId, draining: vmPool[req.params.instanceId].draining });
+});
+
+// Admin: stop placing matches on a VM; it is terminated once empty (see settleDrainingVM)
+app.post('/api/vms/:instanceId/drain', requireAdmin, (req, res) => {
+  const { instanceId } = req.params;
+  if (!vmPool[instanceId]) return res.status(404).json({ error: 'VM not found' });
+  drainVM(instanceId, 'admin');
+  return res.json({ instanceId, ...vmPool[instanceId] });
+});
+
+// Admin: put a draining VM back into service
+app.post('/api/vms/:instanceId/undrain', requireAdmin, (req, res) => {
+  const { instanceId } = req.params;
+  const vm = vmPool[instanceId];
+  if (!vm) return res.status(404).json({ error: 'VM not found' });
+  if (vm.draining?.reason === 'spot_interruption') {
+    return res.status(409).json({ error: 'VM is being reclaimed by the cloud provider' });
+  }
+  if (!rollout.isActive(vm.build)) {
+    return res.status(409).json({ error: `VM runs retired build ${vm.build}` });
+  }
+  undrainVM(instanceId);
+  return res.json({ instanceId, ...vm });
+});
+
+// Admin: stop a match's container on its VM and mark it ended
+app.delete('/api/matches/:matchId', requireAdmin, async (req, res) => {
+  const match = matches[req.params.matchId];
+  if (!match) return res.status(404).json({ error: 'Match not found' });
+  if (isTerminalMatch(match)) return res.json(match);
+
+  try {
+    // an allocating match may have a VM picked but no server yet; its allocation stops whatever it starts
+    const vm = match.status === MATCH_STATES.RUNNING && vmPool[match.vmInstanceId];
+    if (vm) {
+      try {
+        await stopUnityServerOnVM(vm.ip, match.matchId);
+      } catch (err) {
+        return res.status(502).json({ error: `Failed to stop match on VM: ${err?.message || err}` });
+      }
+    }
+    if (isActiveMatch(match)) stopMatch(match, { endReason: 'stopped' });
+    return res.json(match);
+  } catch (err) {
+    console.error(`[MATCH] Failed to stop ${match.matchId}:`, err?.message || err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------- API: admin (allocator-cli.js) --------
+function vmSummary(instanceId) {
+  const vm = vmPool[instanceId];
+  let state = 'serving';
+  if (vm.quarantine) state = 'quarantined';
+  else if (vm.draining) state = 'draining';
+  return {
+    instanceId,
+    fleetId: fleetOf(vm).id,
+    build: vm.build,
+    ip: vm.ip,
+    chargeType: vm.chargeType || null,
+    state,
+    protected: instanceId === protectedVM,
+    matchCount: vm.matchCount,
+    reserved: reservations.countFor(instanceId),
+    capacity: vmCapacity(vm),
+    capacityReported: isResources(vm.capacity),
+    free: vmFree(instanceId, vm),
+    freeSlots: slotsIn(vmFree(instanceId, vm)),
+    liveMatches: liveMatchesOn(instanceId).length,
+    launchedAt: vm.launchedAt,
+    lastSeen: vm.lastSeen,
+    draining: vm.draining || null,
+    quarantine: vm.quarantine || null,
+  };
+}
+
+function fleetSummary(fleet) {
+  const { launchParams, scaling, ...settings } = fleet;
+  const serving = servingVMs(fleet.id);
+  return {
+    ...settings,
+    vms: fleetVMs(fleet.id).length,
+    servingVMs: serving.length,
+    launching: launchesFor(fleet.id).size,
+    freeSlots: slotTotals(serving).freeSlots,
+    // maxVMs as the budget currently allows it
+    budgetMaxVMs: costs.level() === 'hard' ? 0 : fleetMaxVMs(fleet),
+  };
+}
+
+app.get('/api/vms', requireAdmin, (req, res) => {
+  let list = Object.keys(vmPool).map(vmSummary);
+  if (req.query.fleet) list = list.filter((vm) => vm.fleetId === req.query.fleet);
+  return res.json(list);
+});
+
+app.get('/api/vms/:instanceId', requireAdmin, (req, res) => {
+  if (!vmPool[req.params.instanceId]) return res.status(404).json({ error: 'VM not found' });
+  return res.json(vmSummary(req.params.instanceId));
+});
+
+// Terminate now. Refused while matches run on the VM unless ?force=true (they are failed)
+app.delete('/api/vms/:instanceId', requireAdmin, async (req, res) => {
+  const { instanceId } = req.params;
+  if (!vmPool[instanceId]) return res.status(404).json({ error: 'VM not found' });
+  const live = liveMatchesOn(instanceId);
+  if (live.length > 0 && req.query.force !== 'true') {
+    return res.status(409).json({ error: `${live.length} match(es) live on ${instanceId}; drain it or pass force=true` });
+  }
+  console.log(`[ADMIN] Terminating VM ${instanceId}`);
+  if (!(await terminateVM(instanceId, 'admin'))) {
+    return res.status(502).json({ error: `Failed to terminate ${instanceId}` });
+  }
+  for (const match of live) finishMatch(match, MATCH_STATES.FAILED, { endReason: 'vm_terminated' });
+  return res.json({ instanceId, terminated: true, failedMatches: live.map((match) => match.matchId) });
+});
+
+app.get('/api/matches', requireAdmin, (req, res) => {
+  const { vm, status, fleet } = req.query;
+  const list = Object.values(matches).filter((match) =>
+    (!vm || match.vmInstanceId === vm) &&
+    (!status || match.status === status) &&
+    (!fleet || match.fleetId === fleet)
+  );
+  return res.json(list);
+});
+
+app.get('/api/fleets', requireAdmin, (req, res) => {
+  return res.json(FLEETS.map(fleetSummary));
+});
+
+// Spend report for ?period=day|month (the current UTC day / month, default month) or ?from=&to= (ISO dates or ms)
+app.get('/api/costs', requireAdmin, (req, res) => {
+  const t = nowMs();
+  const parseTime = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+  const period = req.query.period || 'month';
+  if (!req.query.from && !['day', 'month'].includes(period)) {
+    return res.status(400).json({ error: 'period must be day or month' });
+  }
+  const from = req.query.from ? parseTime(req.query.from) : period === 'day' ? startOfDay(t) : startOfMonth(t);
+  const to = req.query.to ? parseTime(req.query.to) : t;
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    return res.status(400).json({ error: 'from and to must be ISO dates or ms timestamps, from before to' });
+  }
+
+  // running matches count what they used up to now; finished ones their recorded totals
+  const live = new Map();
+  for (const match of Object.values(matches)) {
+    if (match.status !== MATCH_STATES.RUNNING || match.startedAt >= to) continue;
+    const stretch = { ...matchStretch(match), from: Math.max(match.startedAt, from), to: Math.min(t, to) };
+    live.set(match.matchId, { ...costs.priceMatch(stretch), gameMode: match.gameMode, fleetId: match.fleetId });
+  }
+  const rows = Object.values(matches)
+    .filter((match) => {
+      const finishedAt = match.endedAt || match.failedAt;
+      return live.has(match.matchId) || (match.cost !== undefined && finishedAt >= from && finishedAt <= to);
+    })
+    .map((match) => ({
+      matchId: match.matchId,
+      gameMode: match.gameMode,
+      status: match.status,
+      fleetId: match.fleetId,
+      matchMinutes: (match.matchMinutes || 0) + (live.get(match.matchId)?.minutes || 0),
+      cost: (match.cost || 0) + (live.get(match.matchId)?.cost || 0),
+    }));
+  return res.json(costs.report({ from, to }, { live: [...live.values()], matches: rows }));
+});
+
+// Change a fleet's minVMs / maxVMs at runtime (until restart; FLEETS_FILE / env stay the source of truth)
+app.patch('/api/fleets/:fleetId', requireAdmin, (req, res) => {
+  const fleet = fleetById[req.params.fleetId];
+  if (!fleet) return res.status(404).json({ error: 'Fleet not found' });
+  const { minVMs = fleet.minVMs, maxVMs = fleet.maxVMs } = req.body || {};
+  if (!Number.isInteger(minVMs) || !Number.isInteger(maxVMs) || minVMs < 0 || maxVMs < minVMs) {
+    return res.status(400).json({ error: 'minVMs and maxVMs must be integers with 0 <= minVMs <= maxVMs' });
+  }
+  console.log(`[ADMIN] Fleet ${fleet.id} scaled to min ${minVMs} / max ${maxVMs} (was ${fleet.minVMs} / ${fleet.maxVMs})`);
+  fleet.minVMs = minVMs;
+  fleet.maxVMs = maxVMs;
+  return res.json(fleetSummary(fleet));
+});
+
+app.put('/api/protected-vm', requireAdmin, (req, res) => {
+  const { instanceId } = req.body || {};
+  const vm = vmPool[instanceId];
+  if (!vm) return res.status(404).json({ error: 'VM not found' });
+  if (!isServing(vm)) return res.status(409).json({ error: `VM ${instanceId} is draining or quarantined` });
+  setProtectedVM(instanceId);
+  console.log(`[ADMIN] Protected VM set to ${instanceId}`);
+  return res.json({ protectedVM });
+});
+
+function rolloutSummary() {
+  const vmsByBuild = {};
+  for (const vm of Object.values(vmPool)) vmsByBuild[vm.build] = (vmsByBuild[vm.build] || 0) + 1;
+  return { ...rollout.toJSON(), vmsByBuild };
+}
+
+// Run a rolloutController call, answering with its 400 / 409 errors
+function rolloutAction(action) {
+  return (req, res) => {
+    try {
+      action(req.body || {});
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    // promote / abort leave a build without a place in the rollout
+    retireInactiveBuilds();
+    return res.json(rolloutSummary());
+  };
+}
+
+app.get('/api/rollout', requireAdmin, (req, res) => res.json(rolloutSummary()));
+// { version, serverImage, imageId?, percent? }: start a canary; the next update launches its first VM per fleet
+app.post('/api/rollout', requireAdmin, rolloutAction((body) => rollout.start(body)));
+app.patch('/api/rollout', requireAdmin, rolloutAction(({ percent }) => rollout.setPercent(percent)));
+app.post('/api/rollout/promote', requireAdmin, rolloutAction(() => rollout.promote()));
+app.delete('/api/rollout', requireAdmin, rolloutAction(() => rollout.abort()));
+
+// Prometheus scrape endpoint
+metrics.onCollect(() => {
+  for (const fleet of FLEETS) {
+    poolSizeGauge.set({ fleet: fleet.id }, fleetVMs(fleet.id).length);
+    quarantinedGauge.set({ fleet: fleet.id }, fleetVMs(fleet.id).filter(([, vm]) => vm.quarantine).length);
+    freeSlotsGauge.set({ fleet: fleet.id }, slotTotals(servingVMs(fleet.id)).freeSlots);
+  }
+  vmsByBuildGauge.reset();
+  const byBuild = {};
+  for (const vm of Object.values(vmPool)) {
+    const key = `${fleetOf(vm).id}\n${vm.build}`;
+    byBuild[key] = (byBuild[key] || 0) + 1;
+  }
+  for (const [key, count] of Object.entries(byBuild)) {
+    const [fleet, build] = key.split('\n');
+    vmsByBuildGauge.set({ fleet, build }, count);
+  }
+  canaryPercentGauge.reset();
+  if (rollout.canary()) canaryPercentGauge.set({ build: rollout.canary().version }, rollout.canaryPercent());
+  vmMatchCountGauge.reset();
+  const draining = {};
+  for (const [instanceId, vm] of Object.entries(vmPool)) {
+    vmMatchCountGauge.set({ instance_id: instanceId }, vm.matchCount || 0);
+    if (vm.draining) {
+      const key = `${fleetOf(vm).id}\n${vm.draining.reason}`;
+      draining[key] = (draining[key] || 0) + 1;
+    }
+  }
+  drainingGauge.reset();
+  for (const [key, count] of Object.entries(draining)) {
+    const [fleet, reason] = key.split('\n');
+    drainingGauge.set({ fleet, reason }, count);
+  }
+  protectedVmGauge.reset();
+  if (protectedVM) protectedVmGauge.set({ instance_id: protectedVM }, 1);
+  reservationsGauge.set(reservations.list().length);
+  queuedGauge.set(waitQueue.length);
+  eventSubscribersGauge.set(events.subscriberCount());
+  matchesGauge.reset();
+  for (const status of Object.values(MATCH_STATES)) {
+    matchesGauge.set({ status }, Object.values(matches).filter((m) => m.status === status).length);
+  }
+});
+
+app.get('/metrics', async (req, res) => {
+  res.type(metrics.contentType).send(await metrics.render());
 });
 
 // health & debug endpoints
-app.get('/api/debug/vms', (req, res) => {
-  return res.json({ protectedVM, vmPool, matches });
+app.get('/api/leader', requireAdmin, (req, res) => {
+  return res.json({ self: election.self(), leader: election.leader(), isLeader: election.isLeader() });
 });
 
-// -------- Start server & background tasks --------
-app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`Allocator listening on port ${PORT}`);
-  // initial sync & ensure minimum pool
-  await updateVMs();
-  // schedule periodic updates
-  setInterval(updateVMs, UPDATE_INTERVAL_MS);
+app.get('/api/debug/vms', requireAdmin, (req, res) => {
+  const fleets = FLEETS.map(({ launchParams, ...fleet }) => fleet);
+  return res.json({ fleets, protectedVM, vmPool, matches, reservations: reservations.list(), queued: waitQueue.length });
 });
+
+// -------- Start server & background tasks --------
+// Only when run directly: the simulation harness requires this module and drives it itself
+if (require.main === module) {
+  if (!getSigningKey()) {
+    console.error('[AUTH] SecurityKey is not set; VM agents will reject allocator requests.');
+  }
+  if (!apiKeys.enabled) {
+    console.error('[AUTH] No API keys configured (API_KEYS or API_KEYS_FILE); match requests will be refused.');
+  }
+  if (process.env.PLAYFAB_SECRET_KEY && !matchmaking.enabled) {
+    console.error('[PLAYFAB] PLAYFAB_SECRET_KEY is set but PLAYFAB_TITLE_ID is not; match servers will get no PlayFab credentials.');
+  }
+  if (process.env.LEADER_LOCK && process.env.LEADER_LOCK !== 'none' && store.name === 'memory') {
+    console.error('[LEADER] STATE_STORE=memory is not shared: a new leader starts from the cloud view alone.');
+  }
+  restoreState();
+
+  const server = app.listen(PORT, '0.0.0.0', async () => {
+    console.log(`Allocator listening on port ${PORT}`);
+    // without LEADER_LOCK this replica leads right away
+    await election.start();
+    if (!election.isLeader()) startFollowing();
+  });
+  events.attach(server);
+
+  process.on('SIGTERM', async () => {
+    // hand leadership over now rather than when the lease expires
+    await election.stop();
+    process.exit(0);
+  });
+}
+
+// For the simulation harness and tests (test/harness): the allocator's state and scaling steps
+module.exports = {
+  app,
+  runtime,
+  clouds,
+  FLEETS,
+  vmPool,
+  matches,
+  waitQueue,
+  reservations,
+  costs,
+  events,
+  scalingPolicies,
+  getProtectedVM: () => protectedVM,
+  restoreState,
+  startLeading,
+  stopLeading,
+  updateVMs,
+  refreshVmStatus,
+  recomputeProtectedVM,
+  getAvailableVM,
+  releaseSlot,
+  requestMatch,
+  finishMatch,
+  rehomeMatch,
+  drainVM,
+};
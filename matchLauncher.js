@@ -1,116 +1,495 @@
-// matchLauncher.js
-const { exec } = require('child_process');
-const util = require('util');
-const net = require('net');
-
-const execAsync = util.promisify(exec);
-
-const FULL_MATCH_LIMIT = 25;
-const SCENE_MAP = {
-  VersusMen_Online: 'SelectionScreenMen_Online',
-  VersusWomen_Online: 'SelectionScreenWomen_Online',
-  KunBoran_Online: 'SelectionScreenMen_Online_KunBoran'
-};
-
-// Check running docker containers labeled match_server=true
-function getRunningMatchCount() {
-  return new Promise((resolve) => {
-    exec(`docker ps --filter "label=match_server=true" --format "{{.ID}}" | wc -l`, (err, stdout) => {
-      resolve(err ? 0 : parseInt(stdout.trim()) || 0);
-    });
-  });
-}
-
-// Check if a port is free on local machine
-function isPortAvailable(port) {
-  return new Promise((resolve) => {
-    const server = net.createServer()
-      .once('error', () => resolve(false))
-      .once('listening', () => {
-        server.close();
-        resolve(true);
-      })
-      .listen(port);
-  });
-}
-
-// Try to find a random available port in range
-async function getRandomAvailablePort(min = 7000, max = 7999) {
-  for (let i = 0; i < 20; i++) {
-    const port = Math.floor(Math.random() * (max - min + 1)) + min;
-    if (await isPortAvailable(port)) return port;
-  }
-  return null;
-}
-
-/**
- * Launch a Unity server Docker container with given parameters.
- * Throws if limits exceeded or no port available.
- *
- * @param {string} matchId - Unique match ID
- * @param {number|null} port - Port number or null to auto assign
- * @param {string} gameMode - One of SCENE_MAP keys
- * @param {string} matchPrivacy - e.g. "Public" or "Private"
- * @param {number} tickRate - Server tick rate
- * @param {string} matchType - Match type for tracking
- * @param {string} playfabSecret - PlayFab secret key for env var injection
- * @param {string} publicIP - IP to report back to clients
- * @returns {Promise<object>} matchData with serverIP, serverPort, scene, etc.
- */
-async function launchUnityServer(
-  matchId,
-  port,
-  gameMode,
-  matchPrivacy = 'Public',
-  tickRate = 30,
-  matchType = 'QuickPlay',
-  playfabSecret,
-  publicIP
-) {
-  const runningCount = await getRunningMatchCount();
-  if (runningCount >= FULL_MATCH_LIMIT) {
-    throw new Error(`Match limit reached: ${runningCount} matches running.`);
-  }
-
-  if (!gameMode || !SCENE_MAP[gameMode]) {
-    throw new Error(`Invalid scene: ${gameMode}`);
-  }
-  const scene = SCENE_MAP[gameMode];
-
-  if (!port) {
-    port = await getRandomAvailablePort();
-    if (!port) throw new Error('No available ports');
-  }
-
-  // Compose docker run command
-  const dockerCmd = `docker run -d --name ${matchId} --label match_server=true ` +
-    `-e PLAYFAB_SECRET_KEY=${playfabSecret} ` +
-    `--cpus=0.35 --memory=350m ` +
-    `-p ${port}:7777/udp ` +
-    `kunkhmerserver:latest ` +
-    `Game/KunKhmerLinuxServer.x86_64 -nographics -batchmode ` +
-    `-matchId=${matchId} -scene=${scene} -matchPrivacy=${matchPrivacy} -servertickRate=${tickRate} -matchType=${matchType}`;
-
-  const { stdout } = await execAsync(dockerCmd);
-
-  console.log(`[DOCKER] Started match ${matchId} on port ${port} -> container: ${stdout.trim()}`);
-
-  return {
-    matchId,
-    serverIP: publicIP,
-    serverPort: port,
-    gameMode,
-    matchPrivacy,
-    tickRate,
-    matchType,
-  };
-}
-
-module.exports = {
-  launchUnityServer,
-  getRunningMatchCount,
-  getRandomAvailablePort,
-  isPortAvailable,
-  SCENE_MAP,
-  FULL_MATCH_LIMIT,
-};
+// matchLauncher.js
+const dgram = require('dgram');
+const os = require('os');
+const { createDockerClient } = require('./dockerClient');
+const { validateMatchParams, isValidImage } = require('./matchValidation');
+const { resolveProfile, addResources, subtractResources, fitsIn, RESOURCE_UNIT } = require('./gameProfiles');
+
+const docker = createDockerClient();
+
+const MATCH_LABEL = 'match_server=true';
+// host ports handed to match containers
+const PORT_RANGE = { min: 7000, max: 7999 };
+// leases with no container yet are kept this long for the launch to finish
+const PORT_LEASE_GRACE_MS = 60 * 1000;
+// kept back from the host for the OS, Docker and the agent
+const RESERVED_CPU = Number(process.env.RESERVED_CPU || 0.25);
+const RESERVED_MEMORY_MB = Number(process.env.RESERVED_MEMORY_MB || 512);
+
+// matchIds being stopped by stopUnityServer(), whose exit is not the server's own
+const stoppingMatches = new Set();
+
+// -------- Resources --------
+// matchId -> resources of launches between the capacity check and the container existing
+const pendingLaunches = new Map();
+
+/**
+ * CPU / memory match containers may use on this host: VM_CAPACITY_CPU and
+ * VM_CAPACITY_MEMORY_MB if set, else the host's minus RESERVED_CPU / RESERVED_MEMORY_MB.
+ */
+function getCapacity() {
+  return {
+    cpu: Number(process.env.VM_CAPACITY_CPU || Math.max(0, os.cpus().length - RESERVED_CPU)),
+    memoryMb: Number(process.env.VM_CAPACITY_MEMORY_MB || Math.max(0, Math.floor(os.totalmem() / (1024 * 1024)) - RESERVED_MEMORY_MB)),
+  };
+}
+
+// Resources held by running match containers (from their labels) and launches in progress
+async function getAllocatedResources() {
+  let allocated = { cpu: 0, memoryMb: 0 };
+  for (const c of await listMatchContainers()) {
+    if (c.state === 'running' && !pendingLaunches.has(c.matchId)) allocated = addResources(allocated, c.resources);
+  }
+  for (const resources of pendingLaunches.values()) allocated = addResources(allocated, resources);
+  return allocated;
+}
+
+// -------- Port leases --------
+// port -> { matchId, leasedAt } for every port given to a container or an in-flight launch
+const portLeases = new Map();
+
+// Check if a UDP port is free on local machine (game servers publish 7777/udp)
+function isUdpPortAvailable(port) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', () => {
+      socket.close();
+      resolve(false);
+    });
+    socket.bind(port, '0.0.0.0', () => {
+      socket.close();
+      resolve(true);
+    });
+  });
+}
+
+/**
+ * Lease the lowest free port in PORT_RANGE to a match.
+ * The port is claimed before probing so concurrent launches never get the same one.
+ * Throws (code PORTS_EXHAUSTED) when every port is leased or busy.
+ *
+ * @param {string} matchId
+ * @returns {Promise<number>}
+ */
+async function leasePort(matchId) {
+  for (const [port, lease] of portLeases) {
+    if (lease.matchId === matchId) return port;
+  }
+
+  let busy = 0;
+  for (let port = PORT_RANGE.min; port <= PORT_RANGE.max; port++) {
+    if (portLeases.has(port)) continue;
+    portLeases.set(port, { matchId, leasedAt: Date.now() });
+    if (await isUdpPortAvailable(port)) return port;
+    // bound by something outside our containers
+    portLeases.delete(port);
+    busy++;
+  }
+
+  const err = new Error(
+    `No available ports in ${PORT_RANGE.min}-${PORT_RANGE.max}: ${portLeases.size} leased, ${busy} in use by other processes`
+  );
+  err.code = 'PORTS_EXHAUSTED';
+  err.statusCode = 503;
+  throw err;
+}
+
+// Lease a specific port; throws if another match holds it
+function leaseSpecificPort(matchId, port) {
+  const lease = portLeases.get(port);
+  if (lease && lease.matchId !== matchId) {
+    throw new Error(`Port ${port} is leased to match ${lease.matchId}`);
+  }
+  portLeases.set(port, { matchId, leasedAt: Date.now() });
+}
+
+// Release every port leased to a match
+function releasePort(matchId) {
+  for (const [port, lease] of portLeases) {
+    if (lease.matchId === matchId) portLeases.delete(port);
+  }
+}
+
+function getPortLeases() {
+  return [...portLeases].map(([port, lease]) => ({ port, ...lease }));
+}
+
+// Host ports a container is bound to; stopped containers only list them in HostConfig
+async function containerHostPorts(container) {
+  if (container.ports.length) return container.ports;
+  const info = await docker.inspectContainer(container.containerId);
+  const bindings = Object.values(info?.HostConfig?.PortBindings || {}).flat();
+  return bindings.map((b) => Number(b?.HostPort)).filter(Boolean);
+}
+
+/**
+ * Bring leases in line with the containers Docker actually has:
+ * - exited/dead match containers are removed and their ports released
+ * - ports bound by remaining containers are leased (e.g. after an agent restart)
+ * - leases with no container past PORT_LEASE_GRACE_MS (abandoned launches) are released
+ * Call on startup and periodically.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.onExited] - async (container) -> boolean, called before an exited
+ *   container is removed (containerMonitor.js records its exit); false keeps the container
+ */
+async function reconcilePortLeases({ onExited } = {}) {
+  const containers = await listMatchContainers();
+  const present = new Set();
+
+  for (const c of containers) {
+    if ((c.state === 'exited' || c.state === 'dead') && !stoppingMatches.has(c.matchId)) {
+      try {
+        if (onExited && !(await onExited(c))) {
+          present.add(c.matchId);
+          continue;
+        }
+        // onExited may have removed it already
+        await docker.removeContainer(c.containerId).catch((err) => {
+          if (err.statusCode !== 404) throw err;
+        });
+        releasePort(c.matchId);
+        console.log(`[PORTS] Removed exited container for ${c.matchId}, released its port`);
+        continue;
+      } catch (err) {
+        console.error(`[PORTS] Failed to remove exited container ${c.matchId}:`, err?.message || err);
+      }
+    }
+
+    present.add(c.matchId);
+    for (const port of await containerHostPorts(c)) {
+      if (!portLeases.has(port)) {
+        portLeases.set(port, { matchId: c.matchId, leasedAt: Date.now() });
+        console.log(`[PORTS] Leased port ${port} to existing container ${c.matchId}`);
+      }
+    }
+  }
+
+  const now = Date.now();
+  for (const [port, lease] of portLeases) {
+    if (!present.has(lease.matchId) && now - lease.leasedAt > PORT_LEASE_GRACE_MS) {
+      portLeases.delete(port);
+      console.log(`[PORTS] Released port ${port}: no container for ${lease.matchId}`);
+    }
+  }
+}
+
+// Values end up in the container env, not a shell; still keep them to plain token characters
+function isValidPlayFabCredentials(playfab) {
+  return typeof playfab === 'object' &&
+    /^[A-Za-z0-9]{1,16}$/.test(String(playfab.titleId)) &&
+    typeof playfab.entityToken === 'string' && /^[A-Za-z0-9+/=_.-]{1,4096}$/.test(playfab.entityToken) &&
+    (playfab.expiresAt === undefined || Number.isFinite(playfab.expiresAt));
+}
+
+// The server authenticates to PlayFab with X-EntityToken; it never sees the title secret key
+function playfabEnv(playfab) {
+  if (!playfab) return [];
+  const env = [`PLAYFAB_TITLE_ID=${playfab.titleId}`, `PLAYFAB_ENTITY_TOKEN=${playfab.entityToken}`];
+  if (playfab.expiresAt) env.push(`PLAYFAB_ENTITY_TOKEN_EXPIRATION=${new Date(playfab.expiresAt).toISOString()}`);
+  return env;
+}
+
+// Throws 503 CAPACITY_EXHAUSTED unless the profile's resources fit in `free`
+function assertFits(profile, free) {
+  const { resources } = profile;
+  if (fitsIn(resources, free)) return;
+  const err = new Error(`Not enough capacity for ${profile.gameMode}@${profile.tickRate}: needs ${resources.cpu} CPU / ${resources.memoryMb} MB, ${free.cpu.toFixed(2)} CPU / ${free.memoryMb} MB free`);
+  err.code = 'CAPACITY_EXHAUSTED';
+  err.statusCode = 503;
+  throw err;
+}
+
+/**
+ * Launch a Unity server Docker container with given parameters.
+ * Scene and CPU / memory limits come from the game mode's profile (gameProfiles.js), and so
+ * does the image unless the allocator pins the VM's build to another one.
+ * Throws if parameters are invalid, the host lacks the resources (statusCode 503) or no port is available.
+ *
+ * @param {string} matchId - Unique match ID
+ * @param {number|null} port - Port number or null to auto assign
+ * @param {string} gameMode - A game profile name
+ * @param {string} matchPrivacy - e.g. "Public" or "Private"
+ * @param {number} [tickRate] - Server tick rate, one of the profile's; defaults to its defaultTickRate
+ * @param {string} matchType - Match type for tracking
+ * @param {object} [playfab] - { titleId, entityToken, expiresAt } short-lived PlayFab credentials for the server's env
+ * @param {string} publicIP - IP to report back to clients
+ * @param {string} [serverImage] - Image of the build to run, defaults to the profile's
+ * @returns {Promise<object>} matchData with serverIP, serverPort, scene, etc.
+ */
+async function launchUnityServer(
+  matchId,
+  port,
+  gameMode,
+  matchPrivacy = 'Public',
+  tickRate,
+  matchType = 'QuickPlay',
+  playfab,
+  publicIP,
+  serverImage
+) {
+  const errors = validateMatchParams({ matchId, gameMode, matchPrivacy, tickRate, matchType });
+  if (serverImage !== undefined && serverImage !== null && !isValidImage(serverImage)) {
+    errors.push('serverImage must be a Docker image reference');
+  }
+  if (playfab !== undefined && playfab !== null && !isValidPlayFabCredentials(playfab)) {
+    errors.push('playfab must be { titleId, entityToken, expiresAt }');
+  }
+  if (errors.length) {
+    const err = new Error(`Invalid match parameters: ${errors.join('; ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const profile = { ...resolveProfile(gameMode, tickRate), ...(serverImage ? { image: serverImage } : {}) };
+  const { resources } = profile;
+
+  if (pendingLaunches.has(matchId)) {
+    const err = new Error(`Match ${matchId} is already being launched`);
+    err.code = 'LAUNCH_IN_PROGRESS';
+    err.statusCode = 409;
+    throw err;
+  }
+
+  // claim the resources before any await so concurrent launches see each other
+  let claimed = { cpu: 0, memoryMb: 0 };
+  for (const pending of pendingLaunches.values()) claimed = addResources(claimed, pending);
+  assertFits(profile, subtractResources(getCapacity(), claimed));
+  pendingLaunches.set(matchId, resources);
+  try {
+    // then against the running containers as well; allocated already includes this claim
+    assertFits(profile, subtractResources(getCapacity(), subtractResources(await getAllocatedResources(), resources)));
+    if (port) {
+      leaseSpecificPort(matchId, port);
+    } else {
+      port = await leasePort(matchId);
+    }
+    return await startMatchContainer(matchId, port, profile, matchPrivacy, matchType, playfab, publicIP);
+  } finally {
+    pendingLaunches.delete(matchId);
+  }
+}
+
+// Create and start the container for a launch that already holds its port and resources
+async function startMatchContainer(matchId, port, profile, matchPrivacy, matchType, playfab, publicIP) {
+  const { gameMode, scene, tickRate, resources, image } = profile;
+
+  // Arguments go to the Engine API as an array and the secret as env, never through a shell
+  const containerConfig = {
+    Image: image,
+    Cmd: [
+      'Game/KunKhmerLinuxServer.x86_64', '-nographics', '-batchmode',
+      `-matchId=${matchId}`, `-scene=${scene}`, `-matchPrivacy=${matchPrivacy}`,
+      `-servertickRate=${tickRate}`, `-matchType=${matchType}`,
+    ],
+    Env: playfabEnv(playfab),
+    // the allocator and getAllocatedResources() read the match's cost back from these
+    Labels: {
+      match_server: 'true',
+      match_id: matchId,
+      match_game_mode: gameMode,
+      match_tick_rate: String(tickRate),
+      match_cpu: String(resources.cpu),
+      match_memory_mb: String(resources.memoryMb),
+    },
+    ExposedPorts: { '7777/udp': {} },
+    HostConfig: {
+      NanoCpus: Math.round(resources.cpu * 1e9),
+      Memory: resources.memoryMb * 1024 * 1024,
+      PortBindings: { '7777/udp': [{ HostPort: String(port) }] },
+    },
+  };
+
+  let container;
+  try {
+    container = await docker.createContainer(matchId, containerConfig);
+  } catch (err) {
+    releasePort(matchId);
+    throw err;
+  }
+  const containerId = container.Id;
+
+  try {
+    await docker.startContainer(containerId);
+  } catch (err) {
+    // don't leave a created-but-dead container holding the matchId name
+    await docker.removeContainer(containerId, { force: true }).catch(() => {});
+    releasePort(matchId);
+    throw err;
+  }
+
+  console.log(`[DOCKER] Started match ${matchId} on port ${port} -> container: ${containerId}`);
+
+  return {
+    matchId,
+    containerId,
+    serverIP: publicIP,
+    serverPort: port,
+    gameMode,
+    matchPrivacy,
+    tickRate,
+    matchType,
+    resources,
+    serverImage: image,
+  };
+}
+
+/**
+ * Stop and remove the Docker container for a match (named after matchId).
+ *
+ * @param {string} matchId - Match ID the container was started with
+ * @returns {Promise<boolean>} true if a container was removed, false if none existed
+ */
+async function stopUnityServer(matchId) {
+  stoppingMatches.add(matchId);
+  try {
+    try {
+      await docker.stopContainer(matchId, 10);
+    } catch (err) {
+      if (err.statusCode === 404) {
+        releasePort(matchId);
+        return false;
+      }
+      throw err;
+    }
+    // container stopped; remove it so the name (matchId) can be reused
+    await docker.removeContainer(matchId);
+    releasePort(matchId);
+  } finally {
+    stoppingMatches.delete(matchId);
+  }
+
+  console.log(`[DOCKER] Stopped match ${matchId}`);
+  return true;
+}
+
+// True while stopUnityServer() is stopping the match, so its exit is expected
+function isStopping(matchId) {
+  return stoppingMatches.has(matchId);
+}
+
+/**
+ * How a match container stopped, from docker inspect. Null if there is no such container.
+ * @returns {Promise<null|{containerId: string, running: boolean, exitCode: number, oomKilled: boolean, error: string, finishedAt: number|null, health: string|null}>}
+ */
+async function inspectMatchExit(matchId) {
+  let info;
+  try {
+    info = await docker.inspectContainer(matchId);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+  const state = info?.State || {};
+  const finishedAt = Date.parse(state.FinishedAt);
+  return {
+    containerId: info.Id,
+    running: Boolean(state.Running),
+    exitCode: state.ExitCode,
+    oomKilled: Boolean(state.OOMKilled),
+    error: state.Error || '',
+    // Docker reports 0001-01-01 for containers that never finished
+    finishedAt: finishedAt > 0 ? finishedAt : null,
+    health: state.Health?.Status || null,
+  };
+}
+
+// Start an exited match container again, on the same port with the same arguments
+async function restartMatchContainer(matchId) {
+  await docker.startContainer(matchId);
+  console.log(`[DOCKER] Restarted match ${matchId}`);
+}
+
+// Stop a match container without removing it, so its exit is still handled (e.g. unhealthy servers)
+async function killMatchContainer(matchId) {
+  await docker.stopContainer(matchId, 10);
+}
+
+// Remove an exited match container and release its port
+async function removeMatchContainer(matchId) {
+  try {
+    await docker.removeContainer(matchId);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+  releasePort(matchId);
+}
+
+/**
+ * Follow die / oom / health_status events of match containers.
+ * @param {Function} onEvent - ({ action, matchId, containerId, exitCode }) -> void; action is
+ *   'die', 'oom' or 'health_status: <status>'
+ * @param {Function} [onEnd] - (err|null) when the stream closes
+ * @returns {{ close: Function }}
+ */
+function watchMatchEvents(onEvent, onEnd) {
+  const filters = { type: ['container'], event: ['die', 'oom', 'health_status'], label: [MATCH_LABEL] };
+  return docker.streamEvents(filters, (event) => {
+    const attributes = event.Actor?.Attributes || {};
+    onEvent({
+      action: event.Action,
+      matchId: attributes.match_id || attributes.name,
+      containerId: event.Actor?.ID || event.id,
+      exitCode: attributes.exitCode === undefined ? null : Number(attributes.exitCode),
+    });
+  }, onEnd);
+}
+
+/**
+ * List match containers (running and stopped) labeled match_server=true.
+ *
+ * Containers started before game profiles carry no resource labels and count as a standard match.
+ *
+ * @returns {Promise<Array<{containerId: string, matchId: string, image: string, gameMode: string, tickRate: number, resources: object, state: string, status: string, ports: number[], createdAt: number}>>}
+ */
+async function listMatchContainers() {
+  const containers = await docker.listContainers({ all: true, label: MATCH_LABEL });
+  return containers.map((c) => ({
+    containerId: c.Id,
+    matchId: c.Labels?.match_id || (c.Names?.[0] || '').replace(/^\//, ''),
+    image: c.Image,
+    gameMode: c.Labels?.match_game_mode || null,
+    tickRate: c.Labels?.match_tick_rate ? Number(c.Labels.match_tick_rate) : null,
+    resources: {
+      cpu: Number(c.Labels?.match_cpu || RESOURCE_UNIT.cpu),
+      memoryMb: Number(c.Labels?.match_memory_mb || RESOURCE_UNIT.memoryMb),
+    },
+    state: c.State,
+    status: c.Status,
+    // host ports published by the container
+    ports: [...new Set((c.Ports || []).filter((p) => p.PublicPort).map((p) => p.PublicPort))],
+    createdAt: c.Created * 1000,
+  }));
+}
+
+/**
+ * Fetch the last lines of a match container's output (stdout and stderr).
+ *
+ * @param {string} matchId - Match ID the container was started with
+ * @param {number} tail - Number of lines
+ * @returns {Promise<string>}
+ */
+async function getMatchLogs(matchId, tail = 200) {
+  const lines = Math.max(1, Math.min(Number.parseInt(tail, 10) || 200, 5000));
+  return docker.containerLogs(matchId, lines);
+}
+
+module.exports = {
+  launchUnityServer,
+  stopUnityServer,
+  listMatchContainers,
+  getMatchLogs,
+  isUdpPortAvailable,
+  leasePort,
+  releasePort,
+  getPortLeases,
+  reconcilePortLeases,
+  isStopping,
+  inspectMatchExit,
+  restartMatchContainer,
+  killMatchContainer,
+  removeMatchContainer,
+  watchMatchEvents,
+  getCapacity,
+  getAllocatedResources,
+  PORT_RANGE,
+};
@@ -0,0 +1,87 @@
+// matchLifecycle.js
+// Match states and the transitions the allocator allows between them.
+//
+//   allocating -> running -> ended
+//        \    <-----'  \
+//         -> failed    -> failed
+//
+// running -> allocating re-homes a crashed match to another VM.
+
+const MATCH_STATES = {
+  ALLOCATING: 'allocating',
+  RUNNING: 'running',
+  ENDED: 'ended',
+  FAILED: 'failed',
+};
+
+const TRANSITIONS = {
+  allocating: ['running', 'failed'],
+  running: ['ended', 'failed', 'allocating'],
+  ended: [],
+  failed: [],
+};
+
+// timestamp field recorded when a match enters each state
+const STATE_TIMESTAMPS = {
+  allocating: 'createdAt',
+  running: 'startedAt',
+  ended: 'endedAt',
+  failed: 'failedAt',
+};
+
+/**
+ * Create a match record in the allocating state.
+ * @param {string} matchId
+ * @param {object} fields - Extra fields (gameMode, matchPrivacy, ...)
+ * @param {number} now - Timestamp in ms
+ */
+function createMatch(matchId, fields, now) {
+  return {
+    matchId,
+    ...fields,
+    status: MATCH_STATES.ALLOCATING,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Move a match to a new state, recording its timestamp and any extra fields.
+ * Throws if the transition is not allowed (e.g. ended -> running).
+ *
+ * @param {object} match
+ * @param {string} status - One of MATCH_STATES
+ * @param {object} [fields] - Extra fields to merge (serverPort, endReason, error, ...)
+ * @param {number} now - Timestamp in ms
+ * @returns {object} the same match, mutated
+ */
+function transitionMatch(match, status, fields = {}, now = Date.now()) {
+  const allowed = TRANSITIONS[match.status] || [];
+  if (!allowed.includes(status)) {
+    throw new Error(`Invalid match transition for ${match.matchId}: ${match.status} -> ${status}`);
+  }
+  Object.assign(match, fields);
+  match.status = status;
+  // allocating again is a re-home; createdAt stays the match's creation time
+  match[status === MATCH_STATES.ALLOCATING ? 'rehomedAt' : STATE_TIMESTAMPS[status]] = now;
+  match.updatedAt = now;
+  return match;
+}
+
+// allocating or running, i.e. occupying (or about to occupy) a slot on a VM
+function isActiveMatch(match) {
+  return match.status === MATCH_STATES.ALLOCATING || match.status === MATCH_STATES.RUNNING;
+}
+
+// ended or failed: no further transitions
+function isTerminalMatch(match) {
+  return match.status === MATCH_STATES.ENDED || match.status === MATCH_STATES.FAILED;
+}
+
+module.exports = {
+  MATCH_STATES,
+  createMatch,
+  transitionMatch,
+  isActiveMatch,
+  isTerminalMatch,
+};
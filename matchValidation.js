@@ -0,0 +1,96 @@
+// matchValidation.js
+// Strict checks for values that end up in container names, labels and the
+// game server's command line.
+
+const { gameModes, allowedTickRates } = require('./gameProfiles');
+
+// Docker container names: [a-zA-Z0-9][a-zA-Z0-9_.-]*, kept short
+const MATCH_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+// match types the game server knows; MATCH_TYPES (comma separated) replaces the list
+const MATCH_TYPES = process.env.MATCH_TYPES
+  ? process.env.MATCH_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+  : ['QuickPlay', 'CustomPrivate', 'Ranked', 'Matchmaking'];
+const MATCH_PRIVACY_VALUES = ['Public', 'Private'];
+// [registry[:port]/]repository[:tag][@sha256:digest], lower-case repository as Docker requires
+const IMAGE_PATTERN = /^[a-z0-9][a-z0-9._\/:-]*(?::[A-Za-z0-9_][A-Za-z0-9_.-]{0,127})?(?:@sha256:[a-f0-9]{64})?$/;
+
+/**
+ * Validate match parameters against the game profiles (gameProfiles.js).
+ *
+ * @param {object} params - { matchId, gameMode, matchPrivacy, tickRate, matchType }
+ * @returns {string[]} error messages, empty when valid
+ */
+function validateMatchParams({ matchId, gameMode, matchPrivacy, tickRate, matchType }) {
+  const errors = [];
+  if (typeof matchId !== 'string' || !MATCH_ID_PATTERN.test(matchId)) {
+    errors.push('matchId must be 1-64 characters of letters, digits, "_", "." or "-", starting with a letter or digit');
+  }
+  const modes = gameModes();
+  if (typeof gameMode !== 'string' || !modes.includes(gameMode)) {
+    errors.push(`gameMode must be one of ${modes.join(', ')}`);
+  }
+  if (matchPrivacy !== undefined && !MATCH_PRIVACY_VALUES.includes(matchPrivacy)) {
+    errors.push(`matchPrivacy must be one of ${MATCH_PRIVACY_VALUES.join(', ')}`);
+  }
+  if (tickRate !== undefined && modes.includes(gameMode)) {
+    const rates = allowedTickRates(gameMode);
+    if (!/^\d{1,3}$/.test(String(tickRate)) || !rates.includes(Number(tickRate))) {
+      errors.push(`tickRate for ${gameMode} must be one of ${rates.join(', ')}`);
+    }
+  }
+  if (matchType !== undefined && !MATCH_TYPES.includes(matchType)) {
+    errors.push(`matchType must be one of ${MATCH_TYPES.join(', ')}`);
+  }
+  return errors;
+}
+
+// Fields a client may send to /api/request-public-match and /api/request-private-match, and their JSON types
+const MATCH_REQUEST_FIELDS = {
+  matchId: 'string',
+  gameMode: 'string',
+  tickRate: 'number',
+  matchType: 'string',
+  preferredRegions: 'array',
+  pings: 'object',
+  buildVersion: 'string',
+};
+
+/**
+ * Shape of a match request body, before validateMatchParams() checks the values:
+ * a JSON object with only known fields of the right types, bounded region lists.
+ * @returns {string[]} error messages, empty when valid
+ */
+function validateMatchRequest(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) return ['body must be a JSON object'];
+  const errors = [];
+  for (const [field, value] of Object.entries(body)) {
+    const type = MATCH_REQUEST_FIELDS[field];
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (!type) errors.push(`unknown field ${field}`);
+    else if (actual !== type) errors.push(`${field} must be a JSON ${type}`);
+  }
+  if (typeof body.tickRate === 'number' && !Number.isInteger(body.tickRate)) errors.push('tickRate must be an integer');
+  const { preferredRegions, pings } = body;
+  if (Array.isArray(preferredRegions) && (preferredRegions.length > 20 || !preferredRegions.every((r) => typeof r === 'string' && r.length <= 64))) {
+    errors.push('preferredRegions must be at most 20 region names');
+  }
+  if (pings && typeof pings === 'object' && !Array.isArray(pings)) {
+    const entries = Object.entries(pings);
+    if (entries.length > 20 || !entries.every(([region, ms]) => region.length <= 64 && Number.isFinite(ms) && ms >= 0)) {
+      errors.push('pings must map at most 20 region names to round-trip times in ms');
+    }
+  }
+  return errors;
+}
+
+// matchId on its own, for stop/logs routes
+function isValidMatchId(matchId) {
+  return typeof matchId === 'string' && MATCH_ID_PATTERN.test(matchId);
+}
+
+// Server image chosen by the allocator for a build (rolloutController.js)
+function isValidImage(image) {
+  return typeof image === 'string' && image.length <= 255 && IMAGE_PATTERN.test(image);
+}
+
+module.exports = { validateMatchParams, validateMatchRequest, isValidMatchId, isValidImage, MATCH_ID_PATTERN, MATCH_TYPES };
@@ -0,0 +1,142 @@
+// metrics.js
+// Small Prometheus registry (counters, gauges, histograms) rendered in the
+// text exposition format, used by both the allocator and the VM agent.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// Stable key for a label set, in labelNames order
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels = {}) {
+  const out = {};
+  for (const name of labelNames) out[name] = labels[name] ?? '';
+  return out;
+}
+
+function createRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // key -> { labels, value }
+    const metric = {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { labels, value } of values.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+        return lines;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const values = new Map();
+    const metric = {
+      set(labels, value) {
+        if (typeof labels === 'number') {
+          value = labels;
+          labels = {};
+        }
+        values.set(labelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+      },
+      // drop every series, e.g. before re-filling per-VM gauges at scrape time
+      reset() {
+        values.clear();
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        for (const { labels, value } of values.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+        return lines;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const values = new Map(); // key -> { labels, counts[], sum, count }
+    const metric = {
+      observe(labels, value) {
+        if (typeof labels === 'number') {
+          value = labels;
+          labels = {};
+        }
+        const key = labelKey(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+        entry.sum += value;
+        entry.count++;
+        values.set(key, entry);
+      },
+      // returns a function that observes the seconds elapsed since startTimer()
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          metric.observe({ ...labels, ...extraLabels }, seconds);
+          return seconds;
+        };
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of values.values()) {
+          buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`));
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // fn() runs before each render, to refresh gauges from current state
+  function onCollect(fn) {
+    collectors.push(fn);
+  }
+
+  async function render() {
+    for (const fn of collectors) await fn();
+    return metrics.flatMap((m) => m.render()).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, onCollect, render, contentType: 'text/plain; version=0.0.4' };
+}
+
+/**
+ * Express middleware counting 5xx responses per route.
+ * @param {object} counter - Counter with labels route, status
+ */
+function countServerErrors(counter) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        counter.inc({ route: req.route?.path || req.path, status: res.statusCode });
+      }
+    });
+    next();
+  };
+}
+
+module.exports = { createRegistry, countServerErrors };
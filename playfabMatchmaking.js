@@ -0,0 +1,282 @@
+// playfabMatchmaking.js
+// Allocates servers for PlayFab matchmaking. Match-found notifications arrive on
+// the allocator's webhook (from a CloudScript / Azure Function rule on the
+// queue) or are polled from PLAYFAB_POLL_URL (a relay or local mock). Each is
+// checked against PlayFab's GetMatch, its queue mapped to a game mode and the
+// match allocated through the allocator's normal path; the placement is then
+// written back through a CloudScript function so the players can connect.
+//
+// The title secret keys stay on the allocator, and so does its title entity
+// token: each match server authenticates as a game_server entity of its own,
+// created for the match and deleted (revoking its token) when the match finishes.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const PLAYFAB_TIMEOUT_MS = 10 * 1000;
+const PLAYFAB_POLL_INTERVAL_MS = Number(process.env.PLAYFAB_POLL_INTERVAL_MS || 5 * 1000);
+// fetch a new title entity token once the cached one has less than this left
+const TOKEN_REFRESH_MARGIN_MS = 60 * 60 * 1000;
+// polled notifications are remembered this long so a feed repeating them does not restart ended matches
+const HANDLED_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Titles from PLAYFAB_TITLES_FILE (JSON array), or a single title from the env:
+ * { titleId, secretKey, webhookSecret, queues: { queueName: gameMode | { gameMode, tickRate } }, writebackFunction }
+ * PLAYFAB_TITLE_ID, PLAYFAB_SECRET_KEY, PLAYFAB_WEBHOOK_SECRET, PLAYFAB_QUEUE_MODES (JSON), PLAYFAB_WRITEBACK_FUNCTION.
+ */
+function loadTitles() {
+  if (process.env.PLAYFAB_TITLES_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.PLAYFAB_TITLES_FILE, 'utf8'));
+  }
+  if (!process.env.PLAYFAB_TITLE_ID) return [];
+  return [{
+    titleId: process.env.PLAYFAB_TITLE_ID,
+    secretKey: process.env.PLAYFAB_SECRET_KEY,
+    webhookSecret: process.env.PLAYFAB_WEBHOOK_SECRET,
+    queues: process.env.PLAYFAB_QUEUE_MODES ? JSON.parse(process.env.PLAYFAB_QUEUE_MODES) : {},
+    writebackFunction: process.env.PLAYFAB_WRITEBACK_FUNCTION,
+  }];
+}
+
+function playfabError(status, code, message) {
+  const err = new Error(message);
+  err.statusCode = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * @param {object} options
+ * @param {Function} options.allocate - async ({ matchId, gameMode, tickRate, matchPrivacy, matchType, titleId, playfab }) -> { status, body },
+ *   the allocator's idempotent match request path
+ * @param {object[]} [options.titles] - Defaults to loadTitles()
+ * @param {string} [options.apiUrl] - PlayFab API base (PLAYFAB_API_URL), defaults to https://<titleId>.playfabapi.com
+ * @param {string} [options.pollUrl] - PLAYFAB_POLL_URL; GET returning { matches: [{ titleId, queueName, matchId }] }
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createPlayFabMatchmaking(options) {
+  const allocate = options.allocate;
+  const titles = options.titles || loadTitles();
+  const apiUrl = options.apiUrl ?? process.env.PLAYFAB_API_URL;
+  const pollUrl = options.pollUrl ?? process.env.PLAYFAB_POLL_URL;
+  const now = options.now || Date.now;
+
+  const titleById = new Map(titles.map((title) => [title.titleId, title]));
+  for (const title of titles) {
+    if (!title.titleId || !title.secretKey) throw new Error('Every PlayFab title needs a titleId and secretKey');
+  }
+  // titleId -> { entityToken, expiresAt } | pending promise
+  const tokens = new Map();
+  // matchId -> expiry (ms) of polled notifications already handled
+  const handled = new Map();
+  let timer = null;
+  let polling = false;
+
+  // The title for a request; without a titleId only an unambiguous single title is used
+  function getTitle(titleId) {
+    if (titleId) return titleById.get(titleId) || null;
+    return titles.length === 1 ? titles[0] : null;
+  }
+
+  async function call(title, path, body, headers) {
+    const base = apiUrl || `https://${title.titleId}.playfabapi.com`;
+    try {
+      const res = await axios.post(`${base}${path}`, body, { headers, timeout: PLAYFAB_TIMEOUT_MS });
+      return res.data?.data;
+    } catch (err) {
+      const detail = err.response?.data?.errorMessage || err.message;
+      throw playfabError(502, 'PLAYFAB_UNAVAILABLE', `PlayFab ${path} failed for ${title.titleId}: ${detail}`);
+    }
+  }
+
+  async function fetchEntityToken(title) {
+    const data = await call(title, '/Authentication/GetEntityToken', {}, { 'X-SecretKey': title.secretKey });
+    const expiresAt = data?.TokenExpiration ? Date.parse(data.TokenExpiration) : now() + 24 * 60 * 60 * 1000;
+    console.log(`[PLAYFAB] New entity token for title ${title.titleId}, expires ${new Date(expiresAt).toISOString()}`);
+    return { entityToken: data.EntityToken, expiresAt };
+  }
+
+  /**
+   * Title entity token for the title, cached until TOKEN_REFRESH_MARGIN_MS before it expires.
+   * Concurrent callers share one GetEntityToken call.
+   */
+  async function getEntityToken(title) {
+    const cached = tokens.get(title.titleId);
+    if (cached?.then) return cached;
+    if (cached && cached.expiresAt - now() > TOKEN_REFRESH_MARGIN_MS) return cached;
+
+    const pending = fetchEntityToken(title);
+    tokens.set(title.titleId, pending);
+    try {
+      const token = await pending;
+      tokens.set(title.titleId, token);
+      return token;
+    } catch (err) {
+      tokens.delete(title.titleId);
+      throw err;
+    }
+  }
+
+  /**
+   * What a match server gets instead of the secret key: a token of the match's own game_server
+   * entity, { titleId, entityToken, expiresAt, serverId }, or null when PlayFab is not configured
+   * (or titleId matches no title). Repeating it for a match (a re-home) reuses its entity.
+   * releaseServerCredentials() deletes the entity once the match is over.
+   */
+  async function getServerCredentials(titleId, matchId) {
+    const title = getTitle(titleId);
+    if (!title) return null;
+    const data = await call(title, '/GameServerIdentity/AuthenticateGameServerWithCustomId', {
+      CustomId: `match_${matchId}`,
+      CreateAccount: true,
+    }, { 'X-SecretKey': title.secretKey });
+    const token = data?.EntityToken;
+    if (!token?.EntityToken || !token.Entity?.Id) {
+      throw playfabError(502, 'PLAYFAB_UNAVAILABLE', `PlayFab returned no game server token for ${matchId}`);
+    }
+    return {
+      titleId: title.titleId,
+      entityToken: token.EntityToken,
+      expiresAt: token.TokenExpiration ? Date.parse(token.TokenExpiration) : undefined,
+      serverId: token.Entity.Id,
+    };
+  }
+
+  // Delete a match's game_server entity, which revokes the token its server was started with
+  async function releaseServerCredentials(titleId, serverId) {
+    const title = getTitle(titleId);
+    if (!title || !serverId) return;
+    await call(title, '/GameServerIdentity/Delete', { GameServerId: serverId }, { 'X-SecretKey': title.secretKey });
+  }
+
+  // Queue settings for a queue: { gameMode, tickRate? } or null
+  function queueMode(title, queueName) {
+    const entry = title.queues?.[queueName];
+    if (!entry) return null;
+    return typeof entry === 'string' ? { gameMode: entry } : entry;
+  }
+
+  async function writeBack(title, placement) {
+    if (!title.writebackFunction) return false;
+    const { entityToken } = await getEntityToken(title);
+    await call(title, '/CloudScript/ExecuteFunction', {
+      FunctionName: title.writebackFunction,
+      FunctionParameter: placement,
+      GeneratePlayStreamEvent: false,
+    }, { 'X-EntityToken': entityToken });
+    return true;
+  }
+
+  /**
+   * Allocate a server for a PlayFab match: verify it with GetMatch, map its queue to a
+   * game mode, allocate, and write the placement back. Safe to repeat for the same match.
+   * @returns {Promise<{ status: number, body: object }>}
+   */
+  async function handleMatchFound({ titleId, queueName, matchId }) {
+    const title = getTitle(titleId);
+    if (!title) throw playfabError(404, 'UNKNOWN_TITLE', `Unknown PlayFab title ${titleId || '(none)'}`);
+    const mode = queueMode(title, queueName);
+    if (!mode) throw playfabError(400, 'UNKNOWN_QUEUE', `Queue ${queueName} of title ${title.titleId} is not mapped to a game mode`);
+
+    const { entityToken } = await getEntityToken(title);
+    const match = await call(title, '/Match/GetMatch', {
+      QueueName: queueName,
+      MatchId: matchId,
+      ReturnMemberAttributes: false,
+    }, { 'X-EntityToken': entityToken });
+    if (!match?.MatchId) throw playfabError(404, 'UNKNOWN_MATCH', `PlayFab has no match ${matchId} in ${queueName}`);
+
+    const result = await allocate({
+      matchId,
+      gameMode: mode.gameMode,
+      tickRate: mode.tickRate,
+      matchPrivacy: 'Public',
+      matchType: 'Matchmaking',
+      titleId: title.titleId,
+      playfab: {
+        queueName,
+        members: (match.Members || []).map((member) => member.Entity?.Id).filter(Boolean),
+        regionPreferences: match.RegionPreferences || [],
+      },
+    });
+    if (result.status !== 200) {
+      console.warn(`[PLAYFAB] Allocation for ${queueName}/${matchId} failed: ${result.body?.code || result.status}`);
+      return result;
+    }
+
+    const { serverIP, serverPort, region } = result.body;
+    try {
+      if (await writeBack(title, { matchId, queueName, serverIP, serverPort, region })) {
+        console.log(`[PLAYFAB] Wrote ${serverIP}:${serverPort} back to ${queueName}/${matchId}`);
+      }
+    } catch (err) {
+      // players can still find the server through /api/match-details
+      console.error(`[PLAYFAB] Write-back for ${matchId} failed:`, err?.message || err);
+    }
+    return result;
+  }
+
+  // Constant-time check of the webhook secret sent with a notification
+  function verifyWebhook(titleId, secret) {
+    const title = getTitle(titleId);
+    if (!title?.webhookSecret || typeof secret !== 'string') return false;
+    const a = Buffer.from(secret);
+    const b = Buffer.from(title.webhookSecret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // -------- Polling --------
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const t = now();
+      for (const [matchId, expiresAt] of handled) if (expiresAt <= t) handled.delete(matchId);
+
+      const res = await axios.get(pollUrl, { timeout: PLAYFAB_TIMEOUT_MS });
+      for (const event of res.data?.matches || []) {
+        if (handled.has(event.matchId)) continue;
+        try {
+          const { status } = await handleMatchFound(event);
+          // capacity problems are worth another try on the next poll
+          if (status < 500) handled.set(event.matchId, now() + HANDLED_TTL_MS);
+        } catch (err) {
+          console.error(`[PLAYFAB] Match-found ${event.queueName}/${event.matchId} failed:`, err?.message || err);
+          if (err.statusCode && err.statusCode < 500) handled.set(event.matchId, now() + HANDLED_TTL_MS);
+        }
+      }
+    } catch (err) {
+      console.error('[PLAYFAB] Polling match-found notifications failed:', err?.message || err);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (!pollUrl || timer) return;
+    timer = setInterval(poll, PLAYFAB_POLL_INTERVAL_MS);
+    poll();
+    console.log(`[PLAYFAB] Polling ${pollUrl} every ${PLAYFAB_POLL_INTERVAL_MS}ms`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    enabled: titles.length > 0,
+    getTitle,
+    getServerCredentials,
+    releaseServerCredentials,
+    handleMatchFound,
+    verifyWebhook,
+    poll,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createPlayFabMatchmaking, loadTitles };
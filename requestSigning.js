@@ -0,0 +1,98 @@
+// requestSigning.js
+// HMAC-SHA256 request signing shared by the allocator and the VM agents.
+//
+// The signature covers `${timestamp}\n${nonce}\n${METHOD}\n${path}\n${sha256(body)}`
+// and travels in these headers:
+//   X-Signature-Timestamp  ms since epoch, must be within SIGNATURE_MAX_SKEW_MS
+//   X-Signature-Nonce      random, rejected if seen again inside the skew window
+//   X-Signature            hex HMAC
+// The key is the SecurityKey env var on both sides.
+
+const crypto = require('crypto');
+
+const SIGNATURE_MAX_SKEW_MS = Number(process.env.SIGNATURE_MAX_SKEW_MS || 5 * 60 * 1000);
+
+function getSigningKey() {
+  return process.env.SecurityKey || '';
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function computeSignature(secret, timestamp, nonce, method, path, body) {
+  const payload = [timestamp, nonce, method.toUpperCase(), path, sha256(body)].join('\n');
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Build signature headers for an outgoing request.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including query string, e.g. /status
+ * @param {string} [body] - Exact body string that will be sent ('' for none)
+ * @param {string} [secret] - Defaults to SecurityKey
+ * @returns {object} headers to merge into the request
+ */
+function signRequest(method, path, body = '', secret = getSigningKey()) {
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(12).toString('hex');
+  return {
+    'X-Signature-Timestamp': timestamp,
+    'X-Signature-Nonce': nonce,
+    'X-Signature': computeSignature(secret, timestamp, nonce, method, path, body),
+  };
+}
+
+/**
+ * Express middleware rejecting requests without a valid signature.
+ * Needs the raw body: mount express.json({ verify: captureRawBody }) first.
+ *
+ * @param {string} [secret] - Defaults to SecurityKey
+ */
+function requireSignature(secret = getSigningKey()) {
+  // nonce -> expiry; pruned as requests arrive
+  const seenNonces = new Map();
+
+  return (req, res, next) => {
+    if (!secret) {
+      console.error('[AUTH] SecurityKey is not set, rejecting signed route');
+      return res.status(401).json({ success: false, message: 'Request signing is not configured' });
+    }
+
+    const timestamp = req.get('x-signature-timestamp');
+    const nonce = req.get('x-signature-nonce');
+    const signature = req.get('x-signature');
+    if (!timestamp || !nonce || !signature) {
+      return res.status(401).json({ success: false, message: 'Missing signature' });
+    }
+
+    const now = Date.now();
+    if (Math.abs(now - Number(timestamp)) > SIGNATURE_MAX_SKEW_MS) {
+      return res.status(401).json({ success: false, message: 'Signature expired' });
+    }
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, nonce, req.method, req.originalUrl, req.rawBody));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+
+    for (const [seen, expiresAt] of seenNonces) {
+      if (expiresAt <= now) seenNonces.delete(seen);
+    }
+    if (seenNonces.has(nonce)) {
+      return res.status(401).json({ success: false, message: 'Replayed request' });
+    }
+    seenNonces.set(nonce, now + 2 * SIGNATURE_MAX_SKEW_MS);
+
+    return next();
+  };
+}
+
+// express.json({ verify }) hook keeping the exact bytes that were signed
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+module.exports = { signRequest, requireSignature, captureRawBody, getSigningKey };
@@ -0,0 +1,161 @@
+// rolloutController.js
+// Which game server builds the allocator runs. A build is a version name, the
+// server container image the agents start for it and optionally its own CVM
+// image. Normally one build (stable) takes every match; a rollout adds a
+// canary build that gets canaryPercent of new matches until it is promoted
+// (it becomes stable) or aborted. VMs are pinned to one build when launched,
+// and VMs of a build that is no longer active are retired by the allocator.
+
+const { isValidImage } = require('./matchValidation');
+const { SERVER_IMAGE } = require('./gameProfiles');
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.+-]{0,63}$/;
+
+// The build VMs run before any rollout: SERVER_BUILD named, SERVER_IMAGE on the fleet's IMAGE_ID
+function defaultBuild() {
+  return { version: process.env.SERVER_BUILD || 'default', serverImage: SERVER_IMAGE, imageId: null };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+}
+
+function checkPercent(percent) {
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw badRequest('percent must be a number between 0 and 100');
+  return percent;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.state] - A previous toJSON() to resume from (e.g. from the state store)
+ * @param {Function} [options.onChange] - Called with toJSON() after every change, for persistence
+ * @param {Function} [options.random] - RNG in [0, 1), defaults to Math.random
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createRolloutController(options = {}) {
+  const random = options.random || Math.random;
+  const now = options.now || Date.now;
+  const onChange = options.onChange || (() => {});
+
+  // { stable: build, canary: null | build, canaryPercent, startedAt }
+  let state = options.state?.stable
+    ? { ...options.state }
+    : { stable: defaultBuild(), canary: null, canaryPercent: 0, startedAt: null };
+
+  function changed() {
+    onChange(toJSON());
+  }
+
+  function activeBuilds() {
+    return state.canary ? [state.stable, state.canary] : [state.stable];
+  }
+
+  // The build spec of an active version, or null
+  function get(version) {
+    return activeBuilds().find((build) => build.version === version) || null;
+  }
+
+  function isActive(version) {
+    return get(version) !== null;
+  }
+
+  /**
+   * Build a new match runs on: the client's requested version if it is active (null if not),
+   * else the canary for canaryPercent of matches and stable for the rest.
+   */
+  function pickMatchBuild(requestedVersion) {
+    if (requestedVersion !== undefined && requestedVersion !== null) return get(requestedVersion);
+    if (state.canary && random() * 100 < state.canaryPercent) return state.canary;
+    return state.stable;
+  }
+
+  /**
+   * Build for a VM launched for fleet capacity rather than for a waiting match:
+   * the canary while its share of the fleet is below canaryPercent, else stable.
+   * @param {object} vmsByVersion - version -> VMs serving or launching in the fleet
+   */
+  function pickLaunchBuild(vmsByVersion = {}) {
+    if (!state.canary) return state.stable;
+    const total = Object.values(vmsByVersion).reduce((sum, n) => sum + n, 0);
+    const canaryVMs = vmsByVersion[state.canary.version] || 0;
+    return canaryVMs < Math.floor((total + 1) * state.canaryPercent / 100) ? state.canary : state.stable;
+  }
+
+  /**
+   * Start a canary rollout of a new build.
+   * @param {{ version: string, serverImage: string, imageId?: string, percent?: number }} build
+   */
+  function start({ version, serverImage, imageId = null, percent = 10 }) {
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      throw badRequest('version must be 1-64 letters, digits, "_", ".", "+" or "-"');
+    }
+    if (!isValidImage(serverImage)) throw badRequest('serverImage must be a Docker image reference');
+    if (imageId !== null && (typeof imageId !== 'string' || !imageId)) throw badRequest('imageId must be a CVM image id');
+    checkPercent(percent);
+    if (state.canary) throw conflict(`Rollout of ${state.canary.version} already in progress`);
+    if (version === state.stable.version) throw conflict(`${version} is already the stable build`);
+
+    state = { ...state, canary: { version, serverImage, imageId }, canaryPercent: percent, startedAt: now() };
+    console.log(`[ROLLOUT] Started ${version} (${serverImage}) at ${percent}% of new matches`);
+    changed();
+    return toJSON();
+  }
+
+  function setPercent(percent) {
+    if (!state.canary) throw conflict('No rollout in progress');
+    state = { ...state, canaryPercent: checkPercent(percent) };
+    console.log(`[ROLLOUT] ${state.canary.version} now gets ${percent}% of new matches`);
+    changed();
+    return toJSON();
+  }
+
+  // Make the canary the stable build. Returns the retired version.
+  function promote() {
+    if (!state.canary) throw conflict('No rollout in progress');
+    const retired = state.stable.version;
+    state = { stable: state.canary, canary: null, canaryPercent: 0, startedAt: null };
+    console.log(`[ROLLOUT] Promoted ${state.stable.version}, retiring ${retired}`);
+    changed();
+    return retired;
+  }
+
+  // Drop the canary. Returns the retired version.
+  function abort() {
+    if (!state.canary) throw conflict('No rollout in progress');
+    const retired = state.canary.version;
+    state = { ...state, canary: null, canaryPercent: 0, startedAt: null };
+    console.log(`[ROLLOUT] Aborted ${retired}`);
+    changed();
+    return retired;
+  }
+
+  function toJSON() {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  return {
+    activeBuilds,
+    get,
+    isActive,
+    stable: () => state.stable,
+    canary: () => state.canary,
+    canaryPercent: () => state.canaryPercent,
+    pickMatchBuild,
+    pickLaunchBuild,
+    start,
+    setPercent,
+    promote,
+    abort,
+    toJSON,
+  };
+}
+
+module.exports = { createRolloutController, VERSION_PATTERN };
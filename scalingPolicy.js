@@ -0,0 +1,190 @@
+// scalingPolicy.js
+// Decides how many VMs a fleet should run. The allocator feeds it the fleet's
+// current usage every update tick and launches or drains VMs to match.
+//
+// The desired size is the largest value proposed by the enabled rules, clamped
+// to the fleet's [minVMs, maxVMs]. Rules are plain functions in RULES, picked
+// by name through the `rules` setting, so new ones can be plugged in there.
+
+const fs = require('fs');
+
+const DEFAULTS = {
+  rules: ['schedule', 'threshold', 'targetFree', 'forecast'],
+  nearCapacityThreshold: 1,     // threshold: scale up when free slots (incl. launching VMs) drop to this
+  targetFreePercent: 0,         // targetFree: keep this % of slots free; 0 disables
+  maxStep: 1,                   // most VMs launched in parallel per tick
+  schedule: {},                 // schedule: { "18": 4, "19-22": 6 } minimum VMs per hour of day
+  utcOffsetMinutes: 0,          // schedule hours are in this timezone
+  forecastWindowMs: 15 * 60 * 1000, // forecast: allocation rate measured over this window...
+  forecastLookaheadMs: 0,       // ...projected this far ahead (about a VM boot time); 0 disables
+  dryRun: false,                // log decisions without launching or draining
+};
+
+function envList(value) {
+  return value ? value.split(',').map((s) => s.trim()).filter(Boolean) : undefined;
+}
+
+function envNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+// Drop unset keys so they do not override lower layers
+function defined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Scaling settings for one fleet: DEFAULTS, then the SCALING_* env vars, then
+ * SCALING_POLICY_FILE (JSON object), then the fleet's own `scaling` object.
+ * @param {object} [fleetOverrides] - `scaling` from the fleet definition
+ */
+function loadScalingConfig(fleetOverrides = {}) {
+  const env = defined({
+    rules: envList(process.env.SCALING_RULES),
+    nearCapacityThreshold: envNumber(process.env.NEAR_CAPACITY_THRESHOLD),
+    targetFreePercent: envNumber(process.env.SCALING_TARGET_FREE_PERCENT),
+    maxStep: envNumber(process.env.SCALING_MAX_STEP),
+    schedule: process.env.SCALING_SCHEDULE ? JSON.parse(process.env.SCALING_SCHEDULE) : undefined,
+    utcOffsetMinutes: envNumber(process.env.SCALING_UTC_OFFSET_MINUTES),
+    forecastWindowMs: envNumber(process.env.SCALING_FORECAST_WINDOW_MS),
+    forecastLookaheadMs: envNumber(process.env.SCALING_FORECAST_LOOKAHEAD_MS),
+    dryRun: process.env.SCALING_DRY_RUN ? process.env.SCALING_DRY_RUN === 'true' : undefined,
+  });
+  const file = process.env.SCALING_POLICY_FILE
+    ? JSON.parse(fs.readFileSync(process.env.SCALING_POLICY_FILE, 'utf8'))
+    : {};
+
+  const config = { ...DEFAULTS, ...env, ...file, ...fleetOverrides };
+  for (const name of config.rules) {
+    if (!RULES[name]) throw new Error(`Unknown scaling rule: ${name} (expected one of ${Object.keys(RULES).join(', ')})`);
+  }
+  if (!(config.targetFreePercent >= 0 && config.targetFreePercent < 100)) {
+    throw new Error(`targetFreePercent must be in [0, 100): ${config.targetFreePercent}`);
+  }
+  config.hourlyMinimums = parseSchedule(config.schedule);
+  return config;
+}
+
+/**
+ * Expand { "18": 4, "19-22": 6, "23-2": 2 } into a 24-entry array of minimums (null = none).
+ * Ranges are inclusive and may wrap past midnight.
+ */
+function parseSchedule(schedule = {}) {
+  const hours = new Array(24).fill(null);
+  for (const [key, minVMs] of Object.entries(schedule)) {
+    const match = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(key);
+    const from = match && Number(match[1]);
+    const to = match && Number(match[2] ?? match[1]);
+    if (!match || from > 23 || to > 23 || !Number.isInteger(minVMs) || minVMs < 0) {
+      throw new Error(`Invalid scaling schedule entry "${key}": ${minVMs}`);
+    }
+    for (let h = from; ; h = (h + 1) % 24) {
+      hours[h] = Math.max(hours[h] ?? 0, minVMs);
+      if (h === to) break;
+    }
+  }
+  return hours;
+}
+
+// -------- Rules --------
+// Each rule gets the evaluation input and returns a desired VM count, or null to abstain.
+// input: { vms, launching, usedSlots, freeSlots, matchLimit, now, config, forecastRate }
+const RULES = {
+  // per-hour minimums from config.schedule
+  schedule({ now, config }) {
+    const hour = new Date(now + config.utcOffsetMinutes * 60 * 1000).getUTCHours();
+    return config.hourlyMinimums[hour];
+  },
+
+  // reactive: one more VM when free slots, counting VMs still booting, run low.
+  // An empty fleet stays empty until a request falls through to it.
+  threshold({ vms, launching, freeSlots, matchLimit, config }) {
+    if (vms + launching === 0) return null;
+    if (freeSlots + launching * matchLimit > config.nearCapacityThreshold) return null;
+    return vms + launching + 1;
+  },
+
+  // enough VMs that targetFreePercent of all slots are free
+  targetFree({ usedSlots, matchLimit, config }) {
+    if (!config.targetFreePercent) return null;
+    const slots = Math.ceil(usedSlots / (1 - config.targetFreePercent / 100));
+    return Math.ceil(slots / matchLimit);
+  },
+
+  // enough VMs for current usage plus the allocations expected during the lookahead
+  forecast({ usedSlots, matchLimit, config, forecastRate }) {
+    if (!config.forecastLookaheadMs) return null;
+    const expected = forecastRate * config.forecastLookaheadMs;
+    if (expected === 0) return null;
+    return Math.ceil((usedSlots + expected) / matchLimit);
+  },
+};
+
+/**
+ * Create the policy for one fleet. It keeps the fleet's recent allocation
+ * history for the forecast rule.
+ *
+ * @param {object} config - From loadScalingConfig()
+ * @param {object} [options]
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createScalingPolicy(config, options = {}) {
+  const now = options.now || Date.now;
+  const allocations = []; // timestamps, oldest first
+
+  function prune(t) {
+    while (allocations.length && allocations[0] <= t - config.forecastWindowMs) allocations.shift();
+  }
+
+  // Count one match request placed in (or aimed at) this fleet
+  function recordDemand() {
+    const t = now();
+    allocations.push(t);
+    prune(t);
+  }
+
+  // Allocations per ms over the forecast window
+  function forecastRate() {
+    prune(now());
+    return allocations.length / config.forecastWindowMs;
+  }
+
+  /**
+   * @param {object} state
+   * @param {number} state.vms - VMs taking placements
+   * @param {number} state.launching - Launches in flight
+   * @param {number} state.usedSlots - Matches + reservations on those VMs
+   * @param {number} state.freeSlots
+   * @param {number} state.matchLimit - Slots per VM
+   * @param {number} state.minVMs
+   * @param {number} state.maxVMs
+   * @returns {{ desiredVMs: number, launch: number, excess: number, reasons: string[] }}
+   *   launch: VMs to start now (at most maxStep unless below minVMs); excess: serving VMs above the desired size
+   */
+  function evaluate(state) {
+    const input = { ...state, now: now(), config, forecastRate: forecastRate() };
+    let desiredVMs = state.minVMs;
+    const reasons = [`min ${state.minVMs}`];
+    for (const name of config.rules) {
+      const proposed = RULES[name](input);
+      if (proposed === null || proposed === undefined) continue;
+      reasons.push(`${name} ${proposed}`);
+      desiredVMs = Math.max(desiredVMs, proposed);
+    }
+    desiredVMs = Math.min(desiredVMs, state.maxVMs);
+
+    // maxStep paces scale-out, but a fleet below its minimum is brought up to it at once
+    const missing = desiredVMs - state.vms - state.launching;
+    const belowMin = state.minVMs - state.vms - state.launching;
+    return {
+      desiredVMs,
+      launch: Math.max(0, Math.min(missing, config.maxStep), belowMin),
+      excess: Math.max(0, state.vms - desiredVMs),
+      reasons,
+    };
+  }
+
+  return { config, recordDemand, forecastRate, evaluate };
+}
+
+module.exports = { createScalingPolicy, loadScalingConfig, parseSchedule, RULES, DEFAULTS };
@@ -0,0 +1,86 @@
+// slotReservations.js
+// Short-lived claims on a VM slot, taken synchronously when a VM is picked for a
+// match and released once the match is started (or fails, or the TTL passes).
+// Counting reserved resources alongside the VM's allocated ones stops
+// concurrent requests from overbooking the same VM.
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] - Reservations older than this are dropped
+ * @param {Function} [options.now] - Clock, defaults to Date.now
+ */
+function createSlotReservations(options = {}) {
+  const ttlMs = options.ttlMs ?? 30 * 1000;
+  const now = options.now || Date.now;
+
+  // reservationId -> { reservationId, instanceId, matchId, resources, expiresAt }
+  const reservations = new Map();
+  let nextId = 1;
+
+  // Drop expired reservations; returns the ones removed
+  function sweep() {
+    const t = now();
+    const expired = [];
+    for (const r of reservations.values()) {
+      if (r.expiresAt <= t) {
+        reservations.delete(r.reservationId);
+        expired.push(r);
+      }
+    }
+    for (const r of expired) {
+      console.warn(`[RESERVE] Reservation ${r.reservationId} for ${r.matchId} on ${r.instanceId} expired`);
+    }
+    return expired;
+  }
+
+  /**
+   * Reserve a match's resources on a VM. Callers must check capacity first, in
+   * the same tick, so the check and the reservation are atomic.
+   * @param {{cpu: number, memoryMb: number}} resources - The match's profile cost
+   */
+  function reserve(instanceId, matchId, resources) {
+    const reservation = {
+      reservationId: `r${nextId++}`,
+      instanceId,
+      matchId,
+      resources,
+      expiresAt: now() + ttlMs,
+    };
+    reservations.set(reservation.reservationId, reservation);
+    return reservation;
+  }
+
+  // Returns true if the reservation was still held
+  function release(reservationId) {
+    return reservations.delete(reservationId);
+  }
+
+  // Live reservations on a VM
+  function countFor(instanceId) {
+    sweep();
+    let count = 0;
+    for (const r of reservations.values()) if (r.instanceId === instanceId) count++;
+    return count;
+  }
+
+  // Resources held by live reservations on a VM
+  function resourcesFor(instanceId) {
+    sweep();
+    const total = { cpu: 0, memoryMb: 0 };
+    for (const r of reservations.values()) {
+      if (r.instanceId !== instanceId) continue;
+      total.cpu += r.resources.cpu;
+      total.memoryMb += r.resources.memoryMb;
+    }
+    return total;
+  }
+
+  function list() {
+    sweep();
+    return [...reservations.values()];
+  }
+
+  return { reserve, release, countFor, resourcesFor, sweep, list };
+}
+
+module.exports = { createSlotReservations };
@@ -0,0 +1,99 @@
+// spotMonitor.js
+// Runs inside the VM agent: polls the CVM instance metadata for a spot
+// termination notice and reports it to the allocator, which then drains this VM.
+
+const axios = require('axios');
+const { signRequest } = require('./requestSigning');
+
+const METADATA_URL = process.env.METADATA_URL || 'http://metadata.tencentyun.com/latest/meta-data';
+const SPOT_POLL_INTERVAL_MS = Number(process.env.SPOT_POLL_INTERVAL_MS || 5 * 1000);
+const METADATA_TIMEOUT_MS = 2000;
+
+/**
+ * Create a monitor for the termination notice of this instance.
+ *
+ * @param {object} [options]
+ * @param {string} [options.metadataUrl] - Metadata base URL, defaults to METADATA_URL
+ * @param {string} [options.allocatorUrl] - Allocator base URL (ALLOCATOR_URL); without it the
+ *   notice is only exposed through getNotice() / the agent's /status
+ * @param {string} [options.instanceId] - Defaults to INSTANCE_ID, else read from metadata
+ * @param {number} [options.intervalMs] - Poll interval
+ * @returns {{ start: Function, stop: Function, check: Function, getNotice: Function }}
+ */
+function createSpotMonitor(options = {}) {
+  const metadataUrl = options.metadataUrl || METADATA_URL;
+  const allocatorUrl = options.allocatorUrl ?? process.env.ALLOCATOR_URL;
+  const intervalMs = options.intervalMs || SPOT_POLL_INTERVAL_MS;
+  let instanceId = options.instanceId || process.env.INSTANCE_ID || null;
+
+  let notice = null; // { terminationTime, seenAt }
+  let reported = false;
+  let failing = false;
+  let timer = null;
+
+  async function metadata(path) {
+    const res = await axios.get(`${metadataUrl}${path}`, {
+      timeout: METADATA_TIMEOUT_MS,
+      responseType: 'text',
+      validateStatus: (status) => status === 200 || status === 404,
+    });
+    return res.status === 404 ? null : String(res.data).trim();
+  }
+
+  async function report() {
+    const path = `/api/vms/${encodeURIComponent(instanceId)}/interruption`;
+    const data = JSON.stringify({ terminationTime: notice.terminationTime });
+    await axios.post(`${allocatorUrl}${path}`, data, {
+      headers: { ...signRequest('POST', path, data), 'Content-Type': 'application/json' },
+      timeout: METADATA_TIMEOUT_MS * 2,
+      transformRequest: [(d) => d],
+    });
+    reported = true;
+    console.log(`[SPOT] Reported termination notice for ${instanceId} to the allocator`);
+  }
+
+  // One poll: fetch the notice, then (re)try reporting it until the allocator accepts it
+  async function check() {
+    try {
+      if (!notice) {
+        // 404 until CVM schedules the reclamation
+        const terminationTime = await metadata('/spot/termination-time');
+        if (terminationTime) {
+          notice = { terminationTime, seenAt: Date.now() };
+          console.warn(`[SPOT] Termination notice received, instance reclaimed at ${terminationTime}`);
+        }
+      }
+      failing = false;
+    } catch (err) {
+      // expected off-CVM (local runs); log once per outage
+      if (!failing) console.warn('[SPOT] Metadata unavailable:', err?.message || err);
+      failing = true;
+      return notice;
+    }
+
+    if (notice && !reported && allocatorUrl) {
+      try {
+        if (!instanceId) instanceId = await metadata('/instance-id');
+        await report();
+      } catch (err) {
+        console.error('[SPOT] Reporting termination notice failed:', err?.message || err);
+      }
+    }
+    return notice;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(check, intervalMs);
+    check();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, check, getNotice: () => notice };
+}
+
+module.exports = { createSpotMonitor };
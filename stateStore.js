@@ -0,0 +1,189 @@
+// stateStore.js
+// Persistence for the allocator's vmPool, matches, protectedVM, build rollout and cost ledger.
+//
+// Every store exposes:
+//   load({ quiet })            -> { vmPool, matches, protectedVM, rollout, costs }
+//   version()                  -> changes whenever the stored state does (also by another process)
+//   recordVm(instanceId, vm)   -> persist a VM launch / change
+//   removeVm(instanceId)
+//   recordMatch(matchId, match)
+//   removeMatch(matchId)
+//   setProtectedVM(instanceId|null)
+//   setRollout(rollout)        -> rolloutController state
+//   recordCost(kind, id, data) -> costTracker ledger entry ('vm' | 'day')
+//   removeCost(kind, id)
+//   compact(state)             -> rewrite storage from the given state
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPACT_EVERY = Number(process.env.STATE_COMPACT_EVERY || 1000); // journal entries between compactions
+
+function emptyState() {
+  return { vmPool: {}, matches: {}, protectedVM: null, rollout: null, costs: { vms: {}, days: {} } };
+}
+
+// Apply one journal entry to a state object
+function applyEntry(state, entry) {
+  switch (entry.type) {
+    case 'snapshot':
+      state.vmPool = entry.state.vmPool || {};
+      state.matches = entry.state.matches || {};
+      state.protectedVM = entry.state.protectedVM || null;
+      state.rollout = entry.state.rollout || null;
+      state.costs = entry.state.costs || { vms: {}, days: {} };
+      break;
+    case 'vm.upsert':
+      state.vmPool[entry.id] = entry.data;
+      break;
+    case 'vm.remove':
+      delete state.vmPool[entry.id];
+      if (state.protectedVM === entry.id) state.protectedVM = null;
+      break;
+    case 'match.upsert':
+      state.matches[entry.id] = entry.data;
+      break;
+    case 'match.remove':
+      delete state.matches[entry.id];
+      break;
+    case 'protected':
+      state.protectedVM = entry.id;
+      break;
+    case 'rollout':
+      state.rollout = entry.data;
+      break;
+    case 'cost.upsert':
+      state.costs[`${entry.kind}s`][entry.id] = entry.data;
+      break;
+    case 'cost.remove':
+      delete state.costs[`${entry.kind}s`][entry.id];
+      break;
+    default:
+      console.warn(`[STATE] Ignoring unknown journal entry type: ${entry.type}`);
+  }
+}
+
+/**
+ * Store that keeps nothing across restarts (STATE_STORE=memory).
+ */
+function createMemoryStore() {
+  return {
+    name: 'memory',
+    load: () => emptyState(),
+    version: () => 0,
+    recordVm() {},
+    removeVm() {},
+    recordMatch() {},
+    removeMatch() {},
+    setProtectedVM() {},
+    setRollout() {},
+    recordCost() {},
+    removeCost() {},
+    compact() {},
+  };
+}
+
+/**
+ * Append-only JSON-lines journal. Each change is one line; load() replays them
+ * in order. Once the journal passes COMPACT_EVERY entries it is rewritten as a
+ * single snapshot line (via a temp file + rename so a crash never loses state).
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {number} [options.compactEvery]
+ */
+function createFileStore(filePath, options = {}) {
+  const compactEvery = options.compactEvery || COMPACT_EVERY;
+  // in-memory mirror so compaction does not depend on the caller
+  let state = emptyState();
+  let entriesSinceCompact = 0;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function load({ quiet = false } = {}) {
+    state = emptyState();
+    entriesSinceCompact = 0;
+    if (!fs.existsSync(filePath)) return clone(state);
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        applyEntry(state, JSON.parse(line));
+        entriesSinceCompact++;
+      } catch (err) {
+        // a torn last line after a crash is expected; anything else is worth a warning too
+        console.warn(`[STATE] Skipping unreadable journal line ${i + 1} in ${filePath}: ${err.message}`);
+      }
+    });
+    if (!quiet) console.log(`[STATE] Replayed ${entriesSinceCompact} journal entries from ${filePath}`);
+    return clone(state);
+  }
+
+  // Size and mtime of the journal: appends grow it, compaction replaces it
+  function version() {
+    try {
+      const stat = fs.statSync(filePath);
+      return `${stat.size}:${stat.mtimeMs}:${stat.ino}`;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function append(entry) {
+    entry.t = Date.now();
+    applyEntry(state, entry);
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error(`[STATE] Failed to write journal ${filePath}:`, err?.message || err);
+      return;
+    }
+    if (++entriesSinceCompact >= compactEvery) compact(state);
+  }
+
+  function compact(current) {
+    state = clone(current);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify({ type: 'snapshot', t: Date.now(), state }) + '\n');
+      fs.renameSync(tmpPath, filePath);
+      entriesSinceCompact = 1;
+    } catch (err) {
+      console.error(`[STATE] Compaction of ${filePath} failed:`, err?.message || err);
+    }
+  }
+
+  return {
+    name: 'file',
+    load,
+    version,
+    recordVm: (id, vm) => append({ type: 'vm.upsert', id, data: vm }),
+    removeVm: (id) => append({ type: 'vm.remove', id }),
+    recordMatch: (id, match) => append({ type: 'match.upsert', id, data: match }),
+    removeMatch: (id) => append({ type: 'match.remove', id }),
+    setProtectedVM: (id) => append({ type: 'protected', id }),
+    setRollout: (rollout) => append({ type: 'rollout', data: rollout }),
+    recordCost: (kind, id, data) => append({ type: 'cost.upsert', kind, id, data }),
+    removeCost: (kind, id) => append({ type: 'cost.remove', kind, id }),
+    compact,
+  };
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create the store selected by STATE_STORE (file | memory), defaulting to a
+ * journal at STATE_FILE.
+ */
+function createStateStore(type = process.env.STATE_STORE || 'file') {
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'file') {
+    return createFileStore(process.env.STATE_FILE || path.join(__dirname, 'data', 'allocator-state.jsonl'));
+  }
+  throw new Error(`Unknown state store: ${type} (expected file or memory)`);
+}
+
+module.exports = { createStateStore, createFileStore, createMemoryStore };
@@ -0,0 +1,102 @@
+// tencentProvider.js
+// Cloud provider backed by Tencent Cloud CVM.
+
+const DESCRIBE_PAGE_SIZE = 100;
+
+// RunInstances error codes meaning spot capacity is unavailable right now: sold out,
+// insufficient stock, spot quota or a MaxPrice below the current spot price
+const SPOT_UNAVAILABLE_CODE = /^(ResourceInsufficient|ResourcesSoldOut)\.|Spot/;
+
+// Normalize a CVM Instance object into the provider-neutral shape
+function toInstance(inst) {
+  return {
+    instanceId: inst.InstanceId,
+    state: inst.InstanceState,
+    ip: inst.PublicIpAddresses?.[0] || null,
+    zone: inst.Placement?.Zone || null,
+    launchedAt: inst.CreatedTime ? Date.parse(inst.CreatedTime) : null,
+    chargeType: inst.InstanceChargeType,
+  };
+}
+
+/**
+ * Create a provider that talks to Tencent CVM.
+ *
+ * @param {object} [options]
+ * @param {string} [options.region] - CVM region, defaults to TENCENT_REGION
+ * @param {object} [options.client] - Pre-built CVM client (mainly for tests)
+ * @returns {{ name: string, describe: Function, launch: Function, terminate: Function, getPublicIp: Function }}
+ */
+function createTencentProvider(options = {}) {
+  let client = options.client;
+  if (!client) {
+    // required lazily so the fake provider works without the SDK installed
+    const tencentcloud = require('tencentcloud-sdk-nodejs');
+    const CvmClient = tencentcloud.cvm.v20170312.Client;
+    client = new CvmClient({
+      credential: {
+        secretId: process.env.TENCENT_SECRET_ID,
+        secretKey: process.env.TENCENT_SECRET_KEY,
+      },
+      region: options.region || process.env.TENCENT_REGION || 'ap-singapore',
+      profile: { httpProfile: { reqMethod: 'POST', reqTimeout: 30 } },
+    });
+  }
+
+  /**
+   * Describe instances. With no ids, pages through every instance in the region.
+   * @param {string[]} [instanceIds]
+   * @returns {Promise<object[]>}
+   */
+  async function describe(instanceIds) {
+    if (instanceIds && instanceIds.length) {
+      const res = await client.DescribeInstances({ InstanceIds: instanceIds });
+      return (res.InstanceSet || []).map(toInstance);
+    }
+
+    const instances = [];
+    for (let offset = 0; ; offset += DESCRIBE_PAGE_SIZE) {
+      const res = await client.DescribeInstances({ Offset: offset, Limit: DESCRIBE_PAGE_SIZE });
+      const page = res.InstanceSet || [];
+      instances.push(...page.map(toInstance));
+      if (page.length < DESCRIBE_PAGE_SIZE || instances.length >= (res.TotalCount || 0)) break;
+    }
+    return instances;
+  }
+
+  /**
+   * Request a new instance. Resolves with the instanceId as soon as CVM accepts it.
+   * Spot launches rejected for stock or price reject with err.spotUnavailable = true.
+   * @param {object} params - RunInstances parameters (see vmConfig.js)
+   * @returns {Promise<string>}
+   */
+  async function launch(params) {
+    let res;
+    try {
+      res = await client.RunInstances(params);
+    } catch (err) {
+      if (params.InstanceChargeType === 'SPOTPAID' && SPOT_UNAVAILABLE_CODE.test(err?.code || '')) {
+        err.spotUnavailable = true;
+      }
+      throw err;
+    }
+    const instanceId = res.InstanceIdSet?.[0];
+    if (!instanceId) throw new Error('RunInstances did not return instanceId');
+    return instanceId;
+  }
+
+  async function terminate(instanceIds) {
+    await client.TerminateInstances({ InstanceIds: instanceIds });
+  }
+
+  // Returns the public IP once the instance is RUNNING, otherwise null
+  async function getPublicIp(instanceId) {
+    const [inst] = await describe([instanceId]);
+    if (!inst || inst.state !== 'RUNNING') return null;
+    return inst.ip;
+  }
+
+  return { name: 'tencent', describe, launch, terminate, getPublicIp };
+}
+
+module.exports = { createTencentProvider };
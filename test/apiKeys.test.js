@@ -0,0 +1,107 @@
+// apiKeys.js: authenticating callers, signed tokens, rate limits and quotas
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createApiKeys } = require('../apiKeys');
+
+const KEY = 'lobby-key-0123456789';
+const T0 = Date.UTC(2024, 0, 1);
+
+function keysAt(clock, entries = [{ id: 'lobby', key: KEY, ratePerMinute: 6, burst: 2, maxConcurrentMatches: 3 }]) {
+  return createApiKeys({ keys: entries, now: () => clock.t });
+}
+
+// An HS256 JWT signed with `secret`
+function token(claims, { secret = KEY, kid = 'lobby', alg = 'HS256' } = {}) {
+  const part = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${part({ alg, typ: 'JWT', kid })}.${part(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+test('authenticates a key sent as a bearer token or X-Api-Key', () => {
+  const apiKeys = keysAt({ t: T0 });
+
+  assert.equal(apiKeys.authenticate({ authorization: `Bearer ${KEY}` }).key.id, 'lobby');
+  assert.equal(apiKeys.authenticate({ 'x-api-key': KEY }).subject, null);
+  assert.equal(apiKeys.authenticate({ 'x-api-key': `${KEY}x` }), null);
+  assert.equal(apiKeys.authenticate({}), null);
+});
+
+test('accepts a signed token until it expires and records its subject', () => {
+  const clock = { t: T0 };
+  const apiKeys = keysAt(clock);
+  const exp = T0 / 1000 + 600;
+
+  assert.equal(apiKeys.authenticate({ authorization: `Bearer ${token({ sub: 'player-1', exp })}` }).subject, 'player-1');
+
+  clock.t = T0 + 600 * 1000;
+  assert.equal(apiKeys.authenticate({ authorization: `Bearer ${token({ sub: 'player-1', exp })}` }), null);
+});
+
+test('rejects tokens that are forged, unsigned or valid for too long', () => {
+  const apiKeys = keysAt({ t: T0 });
+  const exp = T0 / 1000 + 600;
+  const bearer = (value) => ({ authorization: `Bearer ${value}` });
+
+  assert.equal(apiKeys.authenticate(bearer(token({ exp }, { secret: 'another-key-0123456789' }))), null);
+  assert.equal(apiKeys.authenticate(bearer(token({ exp }, { alg: 'none' }))), null);
+  assert.equal(apiKeys.authenticate(bearer(token({ exp }, { kid: 'unknown' }))), null);
+  assert.equal(apiKeys.authenticate(bearer(token({}))), null);
+  // past API_TOKEN_MAX_TTL_SEC (1h)
+  assert.equal(apiKeys.authenticate(bearer(token({ exp: T0 / 1000 + 2 * 3600 }))), null);
+});
+
+test('a key stored as a SHA-256 digest authenticates but cannot verify tokens', () => {
+  const digest = crypto.createHash('sha256').update(KEY).digest('hex');
+  const apiKeys = keysAt({ t: T0 }, [{ id: 'lobby', keySha256: digest }]);
+
+  assert.equal(apiKeys.authenticate({ 'x-api-key': KEY }).key.id, 'lobby');
+  assert.equal(apiKeys.authenticate({ 'x-api-key': token({ exp: T0 / 1000 + 60 }) }), null);
+});
+
+test('refuses keys that are short, contain dots or have no id', () => {
+  assert.throws(() => keysAt({ t: T0 }, [{ id: 'lobby', key: 'short' }]), /at least 16 characters/);
+  assert.throws(() => keysAt({ t: T0 }, [{ id: 'lobby', key: 'has.a.dot.0123456789' }]), /without "\."/);
+  assert.throws(() => keysAt({ t: T0 }, [{ id: 'bad id', key: KEY }]), /need an id/);
+});
+
+test('allows a burst, then refills at the per-minute rate', () => {
+  const clock = { t: T0 };
+  const apiKeys = keysAt(clock);
+  const { key } = apiKeys.authenticate({ 'x-api-key': KEY });
+
+  apiKeys.consumeRate(key);
+  apiKeys.consumeRate(key);
+  assert.throws(() => apiKeys.consumeRate(key), (err) => err.statusCode === 429 && err.code === 'RATE_LIMITED' && err.retryAfterSec === 10);
+
+  // 6 per minute: one more every 10s, never more than the burst
+  clock.t += 10 * 1000;
+  apiKeys.consumeRate(key);
+  assert.throws(() => apiKeys.consumeRate(key), { code: 'RATE_LIMITED' });
+  clock.t += 60 * 60 * 1000;
+  apiKeys.consumeRate(key);
+  apiKeys.consumeRate(key);
+  assert.throws(() => apiKeys.consumeRate(key), { code: 'RATE_LIMITED' });
+});
+
+test('keeps separate buckets per key', () => {
+  const apiKeys = keysAt({ t: T0 }, [
+    { id: 'a', key: 'key-a-0123456789abcdef', burst: 1 },
+    { id: 'b', key: 'key-b-0123456789abcdef', burst: 1 },
+  ]);
+  const a = apiKeys.authenticate({ 'x-api-key': 'key-a-0123456789abcdef' }).key;
+  const b = apiKeys.authenticate({ 'x-api-key': 'key-b-0123456789abcdef' }).key;
+
+  apiKeys.consumeRate(a);
+  assert.throws(() => apiKeys.consumeRate(a), { code: 'RATE_LIMITED' });
+  apiKeys.consumeRate(b);
+});
+
+test('refuses a match once the key has maxConcurrentMatches active', () => {
+  const apiKeys = keysAt({ t: T0 });
+  const { key } = apiKeys.authenticate({ 'x-api-key': KEY });
+
+  apiKeys.checkQuota(key, 2);
+  assert.throws(() => apiKeys.checkQuota(key, 3), (err) => err.statusCode === 429 && err.code === 'QUOTA_EXCEEDED');
+});
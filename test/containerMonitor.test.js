@@ -0,0 +1,170 @@
+// containerMonitor.js: classifying match container exits, restarting crashed servers
+// and reporting exits to the allocator, on a fake Docker Engine
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { withAgentHarness } = require('./harness/agent');
+const { classifyExit, tailBytes } = require('../containerMonitor');
+const { requireSignature, captureRawBody } = require('../requestSigning');
+
+const SECRET = 'monitor-test-signing-key';
+const AGENT_ENV = { SecurityKey: SECRET, VM_CAPACITY_CPU: 2, VM_CAPACITY_MEMORY_MB: 2000 };
+
+// The allocator's signed /api/matches/:matchId/end callback; failNext answers 500 that many times
+async function startAllocator() {
+  const allocator = { reports: [], failNext: 0 };
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/api/matches/:matchId/end', requireSignature(SECRET), (req, res) => {
+    if (allocator.failNext > 0) {
+      allocator.failNext--;
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    allocator.reports.push({ matchId: req.params.matchId, ...req.body });
+    return res.json({ success: true });
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  allocator.url = `http://127.0.0.1:${server.address().port}`;
+  allocator.close = () => new Promise((resolve) => server.close(resolve));
+  return allocator;
+}
+
+// A running match container and a monitor reporting to a stub allocator
+function withMonitor(options, fn) {
+  return withAgentHarness({ env: { ...AGENT_ENV, ...options.env } }, async (agent) => {
+    const allocator = await startAllocator();
+    const restarted = [];
+    const monitor = agent.monitor.createContainerMonitor({
+      allocatorUrl: allocator.url,
+      restartLimit: options.restartLimit ?? 0,
+      onRestart: (matchId, classification) => restarted.push([matchId, classification]),
+    });
+    try {
+      await agent.launcher.launchUnityServer('m1', null, 'VersusMen_Online', 'Public', undefined, 'QuickPlay', undefined, '203.0.113.5');
+      return await fn({ ...agent, allocator, monitor, restarted });
+    } finally {
+      monitor.stop();
+      await allocator.close();
+    }
+  });
+}
+
+// Wait (in real time) for something the event stream sets off
+async function until(check, limitMs = 2000) {
+  for (const started = Date.now(); !check(); await new Promise((resolve) => setTimeout(resolve, 10))) {
+    if (Date.now() - started > limitMs) throw new Error('Timed out waiting for the monitor');
+  }
+}
+
+test('classifies exits by OOM kill, health check and exit code', () => {
+  assert.equal(classifyExit({ exitCode: 0 }), 'normal');
+  assert.equal(classifyExit({ exitCode: 139 }), 'crash');
+  assert.equal(classifyExit({ exitCode: 137, oomKilled: true }), 'oom');
+  assert.equal(classifyExit({ exitCode: 143 }, { unhealthy: true }), 'unhealthy');
+  // the kernel's OOM kill wins over our own stop
+  assert.equal(classifyExit({ exitCode: 137, oomKilled: true }, { unhealthy: true }), 'oom');
+});
+
+test('keeps the last KB of a log from a line start', () => {
+  const log = Array.from({ length: 100 }, (_, i) => `line ${String(i).padStart(3, '0')} ${'x'.repeat(40)}`).join('\n');
+
+  assert.equal(tailBytes('short\nlog', 1), 'short\nlog');
+  const tail = tailBytes(log, 1);
+  assert.ok(Buffer.byteLength(tail) <= 1024);
+  assert.ok(tail.startsWith('line '));
+  assert.ok(log.endsWith(tail));
+});
+
+test('reports a normal end, keeps its logs and frees its port', () => withMonitor({}, async ({ docker, launcher, monitor, allocator }) => {
+  const { Id: containerId } = docker.containers.get('m1');
+  docker.exit('m1', { exitCode: 0, logs: 'loading\nmatch over\n' });
+
+  assert.equal(await monitor.handleExit('m1'), true);
+
+  assert.equal(docker.containers.has('m1'), false);
+  assert.deepEqual(launcher.getPortLeases(), []);
+  const record = monitor.getExit('m1');
+  assert.equal(record.classification, 'normal');
+  assert.match(record.logs, /match over/);
+  assert.equal(allocator.reports.length, 1);
+  const [report] = allocator.reports;
+  assert.equal(report.reason, 'completed');
+  assert.equal(report.containerId, containerId);
+  assert.equal(report.error, undefined);
+  assert.equal(report.exit.exitCode, 0);
+}));
+
+test('reports an OOM kill as a failure', () => withMonitor({}, async ({ docker, monitor, allocator }) => {
+  docker.exit('m1', { exitCode: 137, oomKilled: true });
+
+  await monitor.handleExit('m1');
+
+  const [report] = allocator.reports;
+  assert.equal(report.reason, 'oom_killed');
+  assert.equal(report.exit.oomKilled, true);
+  assert.equal(report.error, 'oom (exit code 137)');
+}));
+
+test('restarts a crashed server up to the limit, then reports the crash', () => withMonitor({ restartLimit: 1 }, async ({ docker, monitor, allocator, restarted }) => {
+  docker.exit('m1', { exitCode: 139 });
+
+  assert.equal(await monitor.handleExit('m1'), false);
+  assert.deepEqual(restarted, [['m1', 'crash']]);
+  assert.equal(docker.containers.get('m1').State.Running, true);
+  assert.equal(allocator.reports.length, 0);
+
+  docker.exit('m1', { exitCode: 139 });
+  assert.equal(await monitor.handleExit('m1'), true);
+
+  const [report] = allocator.reports;
+  assert.equal(report.reason, 'crashed');
+  assert.equal(report.exit.restarts, 1);
+  assert.equal(docker.containers.has('m1'), false);
+}));
+
+test('retries a failed report on the next sweep', () => withMonitor({}, async ({ docker, monitor, allocator }) => {
+  allocator.failNext = 1;
+  docker.exit('m1', { exitCode: 0 });
+
+  await monitor.handleExit('m1');
+  assert.equal(monitor.getExit('m1').reported, false);
+
+  await monitor.sweep();
+
+  assert.equal(monitor.getExit('m1').reported, true);
+  assert.deepEqual(allocator.reports.map((report) => report.matchId), ['m1']);
+}));
+
+test('a sweep handles an exit the event stream missed', () => withMonitor({}, async ({ docker, monitor, allocator }) => {
+  docker.exit('m1', { exitCode: 1 });
+
+  await monitor.sweep();
+
+  assert.equal(docker.containers.has('m1'), false);
+  assert.equal(allocator.reports[0].reason, 'crashed');
+}));
+
+test('stops a server that fails its health check and reports it unhealthy', () => withMonitor({}, async ({ docker, monitor, allocator }) => {
+  monitor.start();
+  await until(() => docker.eventStreams() > 0);
+
+  docker.emit('health_status: unhealthy', 'm1');
+  await until(() => allocator.reports.length > 0);
+
+  assert.equal(allocator.reports[0].reason, 'unhealthy');
+  assert.equal(docker.containers.has('m1'), false);
+}));
+
+test('does not report a match the agent stopped itself', () => withMonitor({}, async ({ docker, launcher, monitor, allocator }) => {
+  monitor.start();
+  await until(() => docker.eventStreams() > 0);
+
+  await launcher.stopUnityServer('m1');
+  await monitor.sweep();
+
+  assert.equal(docker.containers.has('m1'), false);
+  assert.equal(monitor.getExit('m1'), null);
+  assert.equal(allocator.reports.length, 0);
+}));
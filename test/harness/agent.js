@@ -0,0 +1,61 @@
+// agent.js
+// Loads the VM agent's modules (matchLauncher.js, containerMonitor.js) fresh
+// against a fake Docker Engine (docker.js). Like harness.js, settings are env
+// vars read when the modules load; close() puts process.env back.
+
+const path = require('path');
+const { createFakeDocker } = require('./docker');
+const { unloadRepoModules } = require('./harness');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.env] - Agent settings (VM_CAPACITY_CPU, VM_CAPACITY_MEMORY_MB, MATCH_LOG_KB, ...)
+ * @param {boolean} [options.quiet] - Silence console.log / console.warn / console.error (default true)
+ * @returns {Promise<{ docker: object, launcher: object, monitor: object, close: Function }>}
+ *   launcher and monitor are the matchLauncher.js and containerMonitor.js exports
+ */
+async function createAgentHarness(options = {}) {
+  const docker = createFakeDocker();
+  await docker.listen();
+
+  const env = { ...options.env, DOCKER_SOCKET: docker.socketPath };
+  const savedEnv = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, Object.fromEntries(Object.entries(env).map(([key, value]) => [key, String(value)])));
+
+  const quiet = options.quiet !== false;
+  const savedConsole = { log: console.log, warn: console.warn, error: console.error };
+  if (quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  unloadRepoModules();
+  const launcher = require(path.join(ROOT, 'matchLauncher'));
+  const monitor = require(path.join(ROOT, 'containerMonitor'));
+
+  async function close() {
+    Object.assign(console, savedConsole);
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await docker.close();
+  }
+
+  return { docker, launcher, monitor, close };
+}
+
+// Run `fn` with an agent harness and close it afterwards, e.g. as a test body
+async function withAgentHarness(options, fn) {
+  const harness = await createAgentHarness(options);
+  try {
+    return await fn(harness);
+  } finally {
+    await harness.close();
+  }
+}
+
+module.exports = { createAgentHarness, withAgentHarness };
@@ -0,0 +1,102 @@
+// clock.js
+// Virtual clock for the simulation harness: now() and timers that only move when
+// the harness advances time, so hours of allocator activity replay in moments
+// and every run with the same inputs gives the same result.
+
+const DEFAULT_START = Date.UTC(2024, 0, 1);
+
+// Let promise chains started by a timer run to their next real wait (there is none: every wait is a virtual timer)
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.start] - Initial time in ms, defaults to 2024-01-01T00:00:00Z
+ */
+function createVirtualClock(options = {}) {
+  let current = options.start ?? DEFAULT_START;
+  // id -> { id, at, fn, every }
+  const timers = new Map();
+  let nextId = 1;
+
+  function schedule(fn, ms, every) {
+    const timer = { id: nextId++, at: current + Math.max(0, Number(ms) || 0), fn, every };
+    timers.set(timer.id, timer);
+    return timer.id;
+  }
+
+  function cancel(id) {
+    timers.delete(id);
+  }
+
+  // Earliest timer due by `limit`; timers due together fire in the order they were set
+  function nextDue(limit) {
+    let next = null;
+    for (const timer of timers.values()) {
+      if (timer.at > limit) continue;
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  async function fire(timer) {
+    current = Math.max(current, timer.at);
+    if (timer.every) timer.at = current + timer.every;
+    else timers.delete(timer.id);
+    timer.fn();
+    await flush();
+  }
+
+  /**
+   * Move time forward by `ms`, firing every timer that falls due on the way in order.
+   */
+  async function advance(ms) {
+    const target = current + ms;
+    await flush();
+    for (let timer = nextDue(target); timer; timer = nextDue(target)) await fire(timer);
+    current = Math.max(current, target);
+    await flush();
+  }
+
+  async function advanceTo(time) {
+    await advance(Math.max(0, time - current));
+  }
+
+  /**
+   * Advance time until `promise` settles and return its result. Throws if it is still
+   * pending after `limitMs` of virtual time, or when no timer is left that could settle it.
+   */
+  async function run(promise, { limitMs = 24 * 60 * 60 * 1000 } = {}) {
+    let settled = false;
+    const tracked = Promise.resolve(promise).finally(() => { settled = true; });
+    tracked.catch(() => {});
+    const deadline = current + limitMs;
+    await flush();
+    while (!settled) {
+      const timer = nextDue(deadline);
+      if (!timer) {
+        throw new Error(timers.size ? `Still pending after ${limitMs}ms of virtual time` : 'Still pending with no timer left to fire');
+      }
+      await fire(timer);
+    }
+    return tracked;
+  }
+
+  return {
+    now: () => current,
+    setTimeout: (fn, ms) => schedule(fn, ms, 0),
+    clearTimeout: cancel,
+    setInterval: (fn, ms) => schedule(fn, ms, Math.max(1, Number(ms) || 0)),
+    clearInterval: cancel,
+    sleep: (ms) => new Promise((resolve) => schedule(resolve, ms, 0)),
+    advance,
+    advanceTo,
+    run,
+    pendingTimers: () => timers.size,
+    // drop every timer, e.g. the allocator's update loop at the end of a run
+    clear: () => timers.clear(),
+  };
+}
+
+module.exports = { createVirtualClock, DEFAULT_START };
@@ -0,0 +1,214 @@
+// docker.js
+// A stand-in Docker Engine for the VM agent's modules: serves the parts of the
+// Engine API dockerClient.js uses (containers, logs, events) over a Unix socket
+// in a temp dir, so matchLauncher.js and containerMonitor.js run unchanged with
+// DOCKER_SOCKET pointing at it. Containers never run; tests end them with exit().
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+function engineError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ message }));
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      resolve(text ? JSON.parse(text) : null);
+    });
+  });
+}
+
+// Non-TTY log frames: [stream (1 = stdout), 0, 0, 0, size (uint32 BE)] + payload
+function frameLogs(text) {
+  const payload = Buffer.from(text, 'utf8');
+  const header = Buffer.alloc(8);
+  header[0] = 1;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * @returns {{ socketPath: string, containers: Map, listen: Function, close: Function,
+ *   exit: Function, emit: Function, eventStreams: Function }}
+ */
+function createFakeDocker() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-docker-'));
+  const socketPath = path.join(dir, 'docker.sock');
+  // name -> { Id, Name, Image, Labels, HostConfig, State: { Status, Running, ExitCode, OOMKilled, Error, FinishedAt }, Created, logs }
+  const containers = new Map();
+  // open GET /events responses
+  const streams = new Set();
+  let nextId = 1;
+
+  function find(idOrName) {
+    if (containers.has(idOrName)) return containers.get(idOrName);
+    return [...containers.values()].find((c) => c.Id === idOrName) || null;
+  }
+
+  function hostPorts(c) {
+    return Object.values(c.HostConfig?.PortBindings || {}).flat().map((b) => Number(b.HostPort));
+  }
+
+  function summary(c) {
+    return {
+      Id: c.Id,
+      Names: [`/${c.Name}`],
+      Image: c.Image,
+      Labels: c.Labels,
+      State: c.State.Status,
+      Status: c.State.Running ? 'Up' : `Exited (${c.State.ExitCode})`,
+      // only running containers publish their ports
+      Ports: c.State.Running ? hostPorts(c).map((port) => ({ PrivatePort: 7777, PublicPort: port, Type: 'udp' })) : [],
+      Created: Math.floor(c.Created / 1000),
+    };
+  }
+
+  function matchesLabel(c, label) {
+    if (!label) return true;
+    const [key, value] = label.split('=');
+    return value === undefined ? key in (c.Labels || {}) : c.Labels?.[key] === value;
+  }
+
+  // One event, as the Engine streams it
+  function emit(action, c, attributes = {}) {
+    const event = {
+      Type: 'container',
+      Action: action,
+      id: c.Id,
+      Actor: { ID: c.Id, Attributes: { ...c.Labels, name: c.Name, ...attributes } },
+      time: Math.floor(Date.now() / 1000),
+    };
+    for (const res of streams) res.write(`${JSON.stringify(event)}\n`);
+  }
+
+  function stop(c, { exitCode, oomKilled = false, error = '' }) {
+    Object.assign(c.State, {
+      Status: 'exited', Running: false, ExitCode: exitCode, OOMKilled: oomKilled, Error: error, FinishedAt: new Date().toISOString(),
+    });
+    if (oomKilled) emit('oom', c);
+    emit('die', c, { exitCode: String(exitCode) });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://docker');
+    const route = url.pathname.replace(/^\/v[\d.]+/, '');
+    const parts = route.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === 'GET' && route === '/events') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      streams.add(res);
+      res.on('close', () => streams.delete(res));
+      return;
+    }
+    if (parts[0] !== 'containers') return engineError(res, 404, 'page not found');
+
+    if (req.method === 'GET' && parts[1] === 'json') {
+      const all = url.searchParams.get('all') === '1';
+      const label = JSON.parse(url.searchParams.get('filters') || '{}').label?.[0];
+      const list = [...containers.values()].filter((c) => (all || c.State.Running) && matchesLabel(c, label));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(list.map(summary)));
+    }
+    if (req.method === 'POST' && parts[1] === 'create') {
+      const name = url.searchParams.get('name');
+      if (containers.has(name)) return engineError(res, 409, `Conflict. The container name "/${name}" is already in use`);
+      const config = await readJson(req);
+      const c = {
+        Id: `c${String(nextId++).padStart(63, '0')}`,
+        Name: name,
+        Image: config.Image,
+        Cmd: config.Cmd,
+        Env: config.Env,
+        Labels: config.Labels || {},
+        HostConfig: config.HostConfig || {},
+        State: { Status: 'created', Running: false, ExitCode: 0, OOMKilled: false, Error: '', FinishedAt: '0001-01-01T00:00:00Z' },
+        Created: Date.now(),
+        logs: '',
+      };
+      containers.set(name, c);
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ Id: c.Id, Warnings: [] }));
+    }
+
+    const c = find(parts[1]);
+    if (!c) return engineError(res, 404, `No such container: ${parts[1]}`);
+    if (req.method === 'POST' && parts[2] === 'start') {
+      if (c.State.Running) {
+        res.writeHead(304);
+        return res.end();
+      }
+      Object.assign(c.State, { Status: 'running', Running: true, ExitCode: 0, OOMKilled: false, Error: '' });
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === 'POST' && parts[2] === 'stop') {
+      if (!c.State.Running) {
+        res.writeHead(304);
+        return res.end();
+      }
+      stop(c, { exitCode: 143 });
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === 'DELETE' && parts.length === 2) {
+      if (c.State.Running && url.searchParams.get('force') !== '1') {
+        return engineError(res, 409, `You cannot remove a running container ${c.Id}. Stop the container before attempting removal or force remove`);
+      }
+      containers.delete(c.Name);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === 'GET' && parts[2] === 'json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ Id: c.Id, Name: `/${c.Name}`, State: c.State, HostConfig: c.HostConfig, Config: { Labels: c.Labels, Env: c.Env } }));
+    }
+    if (req.method === 'GET' && parts[2] === 'logs') {
+      const tail = Number(url.searchParams.get('tail')) || Infinity;
+      const lines = c.logs.split('\n');
+      res.writeHead(200, { 'Content-Type': 'application/vnd.docker.raw-stream' });
+      return res.end(frameLogs(lines.slice(-tail).join('\n')));
+    }
+    return engineError(res, 404, 'page not found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => engineError(res, 500, err.message));
+  });
+
+  return {
+    socketPath,
+    // name -> container, as created by the launcher
+    containers,
+    listen: () => new Promise((resolve) => server.listen(socketPath, resolve)),
+    close() {
+      for (const res of streams) res.end();
+      return new Promise((resolve) => server.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+      }));
+    },
+    /**
+     * End a running container the way the server process would.
+     * @param {string} name - The matchId it was created with
+     * @param {object} [how] - { exitCode = 0, oomKilled, error, logs }
+     */
+    exit(name, how = {}) {
+      const c = containers.get(name);
+      if (how.logs !== undefined) c.logs = how.logs;
+      stop(c, { exitCode: how.exitCode ?? 0, oomKilled: how.oomKilled, error: how.error });
+    },
+    // Stream an event about a container, e.g. emit('health_status: unhealthy', name)
+    emit: (action, name) => emit(action, containers.get(name)),
+    // GET /events clients connected
+    eventStreams: () => streams.size,
+  };
+}
+
+module.exports = { createFakeDocker };
@@ -0,0 +1,112 @@
+// harness.js
+// Loads a fresh allocator (match-allocator.js and the modules it requires) wired
+// to a virtual clock, a stubbed CVM client per region and stubbed VM agents.
+//
+// Settings are env vars read when the allocator loads, so each harness takes its
+// own `env`; one harness runs at a time, and close() puts process.env back.
+
+const path = require('path');
+const { createVirtualClock } = require('./clock');
+const { createStubCvmClient, createStubAgents } = require('./stubs');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Defaults that keep a run in memory and off the network, whatever a local .env says
+const BASE_ENV = {
+  STATE_STORE: 'memory',
+  CLOUD_PROVIDER: 'fake', // replaced by tencentProvider.js over the stubbed CVM clients below
+  LEADER_LOCK: 'none',
+  PLAYFAB_TITLE_ID: '',
+  PLAYFAB_TITLES_FILE: '',
+};
+
+// Forget the repo's own modules so the next require() re-reads their settings
+function unloadRepoModules() {
+  for (const file of Object.keys(require.cache)) {
+    if (file.startsWith(ROOT) && !file.includes(`${path.sep}node_modules${path.sep}`) && !file.startsWith(__dirname)) {
+      delete require.cache[file];
+    }
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.env] - Allocator settings (MIN_BACKUP_VMS, SCALING_*, FLEETS_FILE, ...)
+ * @param {number} [options.start] - Virtual start time in ms (the scaling schedule follows it)
+ * @param {number} [options.bootDelayMs] - Stubbed CVM boot time, default 60s
+ * @param {object} [options.agents] - Defaults of every stubbed agent (see createStubAgents)
+ * @param {boolean} [options.quiet] - Silence the allocator's console.log / console.warn (default true)
+ */
+function createHarness(options = {}) {
+  const env = Object.fromEntries(Object.entries({ ...BASE_ENV, ...options.env }).filter(([, value]) => value !== undefined));
+  const savedEnv = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, Object.fromEntries(Object.entries(env).map(([key, value]) => [key, String(value)])));
+
+  const quiet = options.quiet !== false;
+  const savedConsole = { log: console.log, warn: console.warn };
+  if (quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const clock = createVirtualClock({ start: options.start });
+  const agents = createStubAgents({ clock, defaults: options.agents });
+  const cvms = {};
+  let allocator;
+  try {
+    unloadRepoModules();
+    allocator = require(path.join(ROOT, 'match-allocator'));
+    const { createTencentProvider } = require(path.join(ROOT, 'tencentProvider'));
+    Object.assign(allocator.runtime, {
+      now: clock.now,
+      setTimeout: clock.setTimeout,
+      clearTimeout: clock.clearTimeout,
+      setInterval: clock.setInterval,
+      clearInterval: clock.clearInterval,
+      agentRequest: agents.agentRequest,
+    });
+    for (const region of Object.keys(allocator.clouds)) {
+      cvms[region] = createStubCvmClient({ clock, region, bootDelayMs: options.bootDelayMs });
+      allocator.clouds[region] = createTencentProvider({ region, client: cvms[region].client });
+    }
+    allocator.restoreState({ quiet: true });
+  } catch (err) {
+    close();
+    throw err;
+  }
+
+  function close() {
+    clock.clear();
+    Object.assign(console, savedConsole);
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+
+  return {
+    allocator,
+    clock,
+    agents,
+    // region -> stubbed CVM client controls (see createStubCvmClient)
+    cvms,
+    cvm: (region = allocator.FLEETS[0].region) => cvms[region],
+    // [instanceId, vm] of a fleet, default the first
+    vms: (fleetId = allocator.FLEETS[0].id) => Object.entries(allocator.vmPool).filter(([, vm]) => vm.fleetId === fleetId),
+    // one update tick, run to completion (launches included)
+    tick: () => clock.run(allocator.updateVMs()),
+    close,
+  };
+}
+
+// Run `fn` with a harness and close it afterwards, e.g. as a test body
+async function withHarness(options, fn) {
+  const harness = createHarness(options);
+  try {
+    return await fn(harness);
+  } finally {
+    harness.close();
+  }
+}
+
+module.exports = { createHarness, withHarness, unloadRepoModules };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// run-scenario.js
+// Replay a match-request trace offline under one or more sets of allocator
+// settings and compare the outcomes (see scenario.js).
+//
+//   node test/harness/run-scenario.js <trace> [--settings <file.json>]... [--json]
+//   node test/harness/run-scenario.js --synthetic '{"hours": 24, "peakPerMinute": 3}' [--settings ...]
+//
+// A settings file is a JSON object of allocator env vars, e.g.
+// { "MIN_BACKUP_VMS": 2, "SCALING_TARGET_FREE_PERCENT": 20 }; without one the
+// current environment's settings are used.
+
+const fs = require('fs');
+const path = require('path');
+const { runScenario, loadTrace, syntheticTrace } = require('./scenario');
+
+const USAGE = `Usage: run-scenario.js <trace.json|trace.jsonl|state-journal.jsonl> [options]
+       run-scenario.js --synthetic '<options JSON>' [options]
+
+Options:
+  --settings <file>       JSON object of allocator env vars; repeat to compare several
+  --synthetic <json>      Generate the trace: { hours, peakPerMinute, offPeakPerMinute, peakHour, matchMinutes, modes, seed }
+  --boot-delay-ms <ms>    Time a stubbed VM takes to boot (default 60000)
+  --match-minutes <n>     Duration of trace requests without durationMs (default 15)
+  --tail-minutes <n>      Keep simulating this long after the last match ends (default 0)
+  --json                  Print the reports as JSON
+  --verbose               Show the allocator's logs`;
+
+const BOOLEAN_FLAGS = new Set(['json', 'verbose', 'help']);
+
+// Split argv into positional args and --flags; --settings may repeat
+function parseArgs(argv) {
+  const args = [];
+  const flags = { settings: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    let value;
+    if (inline !== undefined) value = inline;
+    else if (BOOLEAN_FLAGS.has(name)) value = true;
+    else if (i + 1 < argv.length) value = argv[++i];
+    else throw new Error(`--${name} needs a value`);
+    if (name === 'settings') flags.settings.push(value);
+    else flags[name] = value;
+  }
+  return { args, flags };
+}
+
+// Render rows as an aligned text table with the given [header, accessor] columns
+function table(rows, columns) {
+  const cells = rows.map((row) => columns.map(([, get]) => String(get(row) ?? '-')));
+  const headers = columns.map(([header]) => header);
+  const widths = headers.map((h, i) => Math.max(h.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), ...cells.map(line)].join('\n');
+}
+
+const counts = (obj) => Object.entries(obj).map(([key, n]) => `${key}:${n}`).join(' ') || '-';
+
+const REPORT_COLUMNS = [
+  ['SETTINGS', (r) => r.name],
+  ['REQUESTS', (r) => r.requests],
+  ['PLACED', (r) => r.placed],
+  ['503', (r) => r.unavailable],
+  ['OTHER FAILURES', (r) => counts(Object.fromEntries(Object.entries(r.outcomes).filter(([key]) => key !== '200' && !key.startsWith('503'))))],
+  ['WAIT P95', (r) => `${(r.waitMs.p95 / 1000).toFixed(1)}s`],
+  ['VM-HOURS', (r) => r.vmHours],
+  ['COST', (r) => `${r.cost} ${r.currency}`],
+  ['MIN/VMH', (r) => r.matchMinutesPerVmHour],
+  ['LAUNCHES', (r) => r.launches],
+  ['PEAK VMS', (r) => r.peakVMs],
+  ['TERMINATIONS', (r) => counts(r.terminations)],
+];
+
+async function main() {
+  const { args, flags } = parseArgs(process.argv.slice(2));
+  if (flags.help || (!args[0] && !flags.synthetic)) {
+    console.log(USAGE);
+    process.exit(flags.help ? 0 : 1);
+  }
+
+  const trace = flags.synthetic ? syntheticTrace(JSON.parse(flags.synthetic)) : loadTrace(args[0]);
+  const runs = flags.settings.length
+    ? flags.settings.map((file) => ({ name: path.basename(file, '.json'), env: JSON.parse(fs.readFileSync(file, 'utf8')) }))
+    : [{ name: 'current', env: {} }];
+
+  const reports = [];
+  for (const run of runs) {
+    // one at a time: each run loads its own allocator with its settings
+    const report = await runScenario(trace, {
+      env: run.env,
+      bootDelayMs: flags['boot-delay-ms'] !== undefined ? Number(flags['boot-delay-ms']) : undefined,
+      matchMinutes: flags['match-minutes'] !== undefined ? Number(flags['match-minutes']) : undefined,
+      tailMs: Number(flags['tail-minutes'] || 0) * 60 * 1000,
+      quiet: !flags.verbose,
+    });
+    reports.push({ name: run.name, settings: run.env, ...report });
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+  console.log(`${trace.requests.length} request(s) from ${new Date(trace.start).toISOString()}\n`);
+  console.log(table(reports, REPORT_COLUMNS));
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
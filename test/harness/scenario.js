@@ -0,0 +1,234 @@
+// scenario.js
+// Replays a trace of match requests against a fresh allocator on the harness
+// (virtual clock, stubbed CVM and agents) and reports what the scaling settings
+// did with it: placements, 503s, waits, VM-hours and terminations.
+//
+// A trace is a list of requests { at (ms from the trace start), gameMode,
+// tickRate?, matchPrivacy?, preferredRegions?, pings?, buildVersion?, matchId?,
+// durationMs? } in a JSON array or JSONL file, a recorded allocator state journal
+// (STATE_FILE), or a synthetic day from syntheticTrace().
+
+const fs = require('fs');
+const { createHarness } = require('./harness');
+const { DEFAULT_START } = require('./clock');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_MATCH_MINUTES = 15;
+
+// Seeded RNG in [0, 1) (mulberry32), so a synthetic trace is the same on every run
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Requests arriving at random with a daily peak: the rate follows a cosine from
+ * offPeakPerMinute to peakPerMinute at peakHour (UTC), and matches last
+ * matchMinutes ± 50%.
+ * @param {object} [options] - { hours = 24, peakPerMinute = 2, offPeakPerMinute = peak / 4, peakHour = 20,
+ *   matchMinutes = 15, modes = { gameMode: weight }, start, seed = 1 }
+ * @returns {{ start: number, requests: object[] }}
+ */
+function syntheticTrace(options = {}) {
+  const hours = options.hours ?? 24;
+  const peak = options.peakPerMinute ?? 2;
+  const offPeak = options.offPeakPerMinute ?? peak / 4;
+  const peakHour = options.peakHour ?? 20;
+  const matchMinutes = options.matchMinutes ?? DEFAULT_MATCH_MINUTES;
+  const modes = Object.entries(options.modes || { VersusMen_Online: 2, VersusWomen_Online: 1, KunBoran_Online: 1 });
+  const start = options.start ?? DEFAULT_START;
+  const random = seededRandom(options.seed ?? 1);
+
+  const totalWeight = modes.reduce((sum, [, weight]) => sum + weight, 0);
+  const pickMode = () => {
+    let r = random() * totalWeight;
+    for (const [mode, weight] of modes) {
+      if ((r -= weight) < 0) return mode;
+    }
+    return modes[modes.length - 1][0];
+  };
+  const rateAt = (ms) => {
+    const hour = new Date(start + ms).getUTCHours() + new Date(start + ms).getUTCMinutes() / 60;
+    return offPeak + (peak - offPeak) * (1 + Math.cos((2 * Math.PI * (hour - peakHour)) / 24)) / 2;
+  };
+
+  // arrivals at the peak rate, each kept with probability rate / peak (thinning)
+  const requests = [];
+  const maxRate = Math.max(peak, offPeak) / MINUTE_MS;
+  for (let at = 0; ;) {
+    at += -Math.log(1 - random()) / maxRate;
+    if (at >= hours * 60 * MINUTE_MS) break;
+    if (random() * maxRate * MINUTE_MS > rateAt(at)) continue;
+    requests.push({
+      at: Math.round(at),
+      matchId: `sim-${requests.length + 1}`,
+      gameMode: pickMode(),
+      durationMs: Math.round(matchMinutes * MINUTE_MS * (0.5 + random())),
+    });
+  }
+  return { start, requests };
+}
+
+/**
+ * Requests of the matches recorded in a state journal: each match.upsert's last
+ * version, requested at its createdAt and running as long as it did.
+ * Compaction folds finished matches away, so older history is gone from it.
+ * @param {object[]} entries - Parsed journal lines
+ */
+function traceFromJournal(entries) {
+  const recorded = {};
+  for (const entry of entries) {
+    if (entry.type === 'snapshot') Object.assign(recorded, entry.state?.matches);
+    if (entry.type === 'match.upsert') recorded[entry.id] = entry.data;
+  }
+  const list = Object.values(recorded).filter((match) => Number.isFinite(match.createdAt)).sort((a, b) => a.createdAt - b.createdAt);
+  const start = list.length ? list[0].createdAt : DEFAULT_START;
+  return {
+    start,
+    requests: list.map((match) => {
+      const endedAt = match.endedAt ?? match.failedAt;
+      return {
+        at: match.createdAt - start,
+        matchId: match.matchId,
+        gameMode: match.gameMode,
+        tickRate: match.tickRate,
+        matchPrivacy: match.matchPrivacy,
+        // matches that never ran (or still run) last the default
+        durationMs: match.startedAt && endedAt > match.startedAt ? endedAt - match.startedAt : undefined,
+      };
+    }),
+  };
+}
+
+/**
+ * Read a trace file: a JSON array (or { start, requests }), JSONL requests, or a state journal.
+ * @returns {{ start: number, requests: object[] }}
+ */
+function loadTrace(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let entries;
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return { start: DEFAULT_START, requests: parsed };
+    if (Array.isArray(parsed.requests)) return { start: parsed.start ?? DEFAULT_START, requests: parsed.requests };
+    entries = [parsed];
+  } catch (err) {
+    entries = text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+  // journal entries have a type, requests do not
+  if (entries.some((entry) => entry.type)) return traceFromJournal(entries);
+  return { start: DEFAULT_START, requests: entries };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Replay a trace and report the outcome.
+ * @param {{ start?: number, requests: object[] }} trace
+ * @param {object} [options] - createHarness() options (env, bootDelayMs, agents, quiet), plus
+ *   matchMinutes (duration of requests without one, default 15) and tailMs (time simulated after the
+ *   last match ends, default 0)
+ */
+async function runScenario(trace, options = {}) {
+  const matchMs = (options.matchMinutes ?? DEFAULT_MATCH_MINUTES) * MINUTE_MS;
+  const start = trace.start ?? DEFAULT_START;
+  const requests = trace.requests
+    .map((request, i) => ({ ...request, matchId: request.matchId || `trace-${i + 1}`, durationMs: request.durationMs ?? matchMs }))
+    .sort((a, b) => a.at - b.at);
+
+  const harness = createHarness({ ...options, start });
+  const { allocator, clock, agents } = harness;
+  const outcomes = {};
+  const placedByRegion = {};
+  const waits = [];
+  const terminations = {};
+  let placed = 0;
+  let peakVMs = 0;
+  const endings = [];
+
+  const publish = allocator.events.publish;
+  allocator.events.publish = (type, fields) => {
+    if (type === 'vm.launched') peakVMs = Math.max(peakVMs, Object.keys(allocator.vmPool).length);
+    if (type === 'vm.terminated') increment(terminations, fields.reason);
+    return publish(type, fields);
+  };
+
+  // the match's server exits on its own after durationMs, as the agent would report it
+  function endLater(request, placement) {
+    endings.push(new Promise((resolve) => {
+      clock.setTimeout(() => {
+        agents.endMatch(placement.serverIP, request.matchId);
+        const match = allocator.matches[request.matchId];
+        if (match?.status === 'running' && match.serverIP === placement.serverIP) {
+          allocator.finishMatch(match, 'ended', { endReason: 'completed' });
+        }
+        resolve();
+      }, request.durationMs);
+    }));
+  }
+
+  try {
+    allocator.startLeading();
+    const allocations = [];
+    for (const request of requests) {
+      await clock.advanceTo(start + request.at);
+      const requestedAt = clock.now();
+      const { at, durationMs, ...params } = request;
+      allocations.push(allocator.requestMatch(params).then(({ status, body }) => {
+        increment(outcomes, status === 200 ? '200' : `${status} ${body.code}`);
+        if (status !== 200) return;
+        placed++;
+        increment(placedByRegion, body.region);
+        waits.push(clock.now() - requestedAt);
+        endLater(request, body);
+      }));
+    }
+    await clock.run(Promise.all(allocations));
+    await clock.run(Promise.all(endings));
+    await clock.advance(options.tailMs ?? 0);
+
+    const end = clock.now();
+    const costs = allocator.costs.report({ from: start, to: end });
+    waits.sort((a, b) => a - b);
+    const vmHours = Object.values(harness.cvms).reduce((sum, cvm) => sum + cvm.vmHours(end), 0);
+    return {
+      requests: requests.length,
+      placed,
+      outcomes,
+      unavailable: Object.entries(outcomes).filter(([key]) => key.startsWith('503')).reduce((sum, [, n]) => sum + n, 0),
+      placedByRegion,
+      waitMs: { p50: percentile(waits, 50), p95: percentile(waits, 95), max: waits.length ? waits[waits.length - 1] : 0 },
+      hours: round((end - start) / (60 * MINUTE_MS)),
+      // billed from RunInstances to termination, booting included
+      vmHours: round(vmHours),
+      cost: costs.total,
+      currency: costs.currency,
+      matchMinutes: round(costs.matchMinutes, 1),
+      matchMinutesPerVmHour: vmHours ? round(costs.matchMinutes / vmHours, 1) : 0,
+      launches: Object.values(harness.cvms).reduce((sum, cvm) => sum + cvm.launched(), 0),
+      peakVMs,
+      vmsAtEnd: Object.keys(allocator.vmPool).length,
+      terminations,
+      startFailures: agents.counts().startFailures,
+    };
+  } finally {
+    harness.close();
+  }
+}
+
+module.exports = { runScenario, loadTrace, syntheticTrace, traceFromJournal };
@@ -0,0 +1,239 @@
+// stubs.js
+// Stand-ins for what the allocator talks to, on the harness's virtual clock:
+// - a CVM client (DescribeInstances / RunInstances / TerminateInstances) for
+//   tencentProvider.js, with boot delays, sold-out spot stock and failing launches
+// - the VM agents behind agentRequest(), answering /status, /start-match and
+//   /stop-match, or failing the way real agents do: down, timing out, rejecting starts
+
+const { RESOURCE_UNIT, resolveProfile, addResources, scaleResources, fitsIn, subtractResources } = require('../../gameProfiles');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function cvmError(code, message) {
+  const err = new Error(`[TencentCloudSDKException] ${message}`);
+  err.code = code;
+  return err;
+}
+
+/**
+ * CVM client for one region.
+ * @param {object} options
+ * @param {object} options.clock - From createVirtualClock()
+ * @param {string} [options.region]
+ * @param {number} [options.bootDelayMs] - RunInstances until RUNNING with a public IP, default 60s
+ */
+function createStubCvmClient(options) {
+  const { clock } = options;
+  const region = options.region || 'ap-singapore';
+  const bootDelayMs = options.bootDelayMs ?? 60 * 1000;
+  // instanceId -> { InstanceId, InstanceState, PublicIpAddresses, Placement, CreatedTime, InstanceChargeType, readyAt, launchedAt, terminatedAt }
+  const instances = new Map();
+  // every instance ever launched, for billed VM-hours
+  const history = [];
+  let nextId = 1;
+  let spotSoldOut = false;
+  let failLaunches = 0;
+  // region-unique public IPs that are never reused, so agent state can be keyed by IP
+  let nextHost = 0;
+  const regionOctet = 10 + (region.length * 7) % 200;
+
+  function advance() {
+    const t = clock.now();
+    for (const inst of instances.values()) {
+      if (inst.InstanceState === 'PENDING' && t >= inst.readyAt) {
+        inst.InstanceState = 'RUNNING';
+        nextHost++;
+        inst.PublicIpAddresses = [`10.${regionOctet}.${Math.floor(nextHost / 250)}.${(nextHost % 250) + 1}`];
+      }
+    }
+  }
+
+  function view(inst) {
+    const { readyAt, launchedAt, terminatedAt, ...cvm } = inst;
+    return { ...cvm, PublicIpAddresses: inst.PublicIpAddresses ? [...inst.PublicIpAddresses] : null };
+  }
+
+  const client = {
+    async DescribeInstances(params = {}) {
+      advance();
+      let list = [...instances.values()];
+      if (params.InstanceIds?.length) list = list.filter((inst) => params.InstanceIds.includes(inst.InstanceId));
+      const offset = params.Offset || 0;
+      const limit = params.Limit || list.length;
+      return { TotalCount: list.length, InstanceSet: list.slice(offset, offset + limit).map(view) };
+    },
+
+    async RunInstances(params = {}) {
+      if (failLaunches > 0) {
+        failLaunches--;
+        throw cvmError('InternalError', 'RunInstances failed');
+      }
+      if (spotSoldOut && params.InstanceChargeType === 'SPOTPAID') {
+        throw cvmError('ResourcesSoldOut.SpecifiedInstanceType', 'The specified instance type is sold out');
+      }
+      const t = clock.now();
+      const inst = {
+        InstanceId: `ins-${region}-${String(nextId++).padStart(4, '0')}`,
+        InstanceState: 'PENDING',
+        PublicIpAddresses: null,
+        Placement: { Zone: params.Placement?.Zone || null },
+        CreatedTime: new Date(t).toISOString(),
+        InstanceChargeType: params.InstanceChargeType || 'POSTPAID_BY_HOUR',
+        readyAt: t + bootDelayMs,
+        launchedAt: t,
+        terminatedAt: null,
+      };
+      instances.set(inst.InstanceId, inst);
+      history.push(inst);
+      return { InstanceIdSet: [inst.InstanceId] };
+    },
+
+    async TerminateInstances(params = {}) {
+      for (const id of params.InstanceIds || []) {
+        const inst = instances.get(id);
+        if (!inst) throw cvmError('InvalidInstanceId.NotFound', `Instance ${id} not found`);
+        inst.terminatedAt = clock.now();
+        instances.delete(id);
+      }
+      return {};
+    },
+  };
+
+  return {
+    client,
+    setSpotSoldOut: (value) => { spotSoldOut = Boolean(value); },
+    // the next `count` RunInstances calls fail
+    failNextLaunches: (count = 1) => { failLaunches = count; },
+    // reclaim an instance as spot does: it disappears without TerminateInstances
+    reclaim(instanceId) {
+      const inst = instances.get(instanceId);
+      if (!inst) return false;
+      inst.terminatedAt = clock.now();
+      instances.delete(instanceId);
+      return true;
+    },
+    running: () => [...instances.values()].filter((inst) => inst.InstanceState === 'RUNNING').map(view),
+    launched: () => history.length,
+    // instance-hours billed from RunInstances until termination (or `until`), booting included
+    vmHours(until = clock.now()) {
+      return history.reduce((sum, inst) => sum + Math.max(0, (inst.terminatedAt ?? until) - inst.launchedAt), 0) / HOUR_MS;
+    },
+  };
+}
+
+// -------- Agents --------
+
+function connectionError(ip, code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.address = ip;
+  return err;
+}
+
+// Shaped like the axios error agentClient.js rethrows for a non-2xx answer
+function httpError(status, data) {
+  const err = new Error(data.message || `Request failed with status code ${status}`);
+  err.response = { status, data };
+  return err;
+}
+
+/**
+ * The agents of every VM, keyed by IP. Each starts from `defaults` and can be
+ * changed through agent(ip): { mode: 'up' | 'down' | 'timeout', latencyMs,
+ * failStarts (count of /start-match calls to fail, Infinity for all), startFailure
+ * ({ status, message }), capacity (null: not reported), spotTermination }.
+ *
+ * @param {object} options
+ * @param {object} options.clock - From createVirtualClock()
+ * @param {object} [options.defaults] - Initial settings of every agent; capacity defaults to 5 standard matches
+ */
+function createStubAgents(options) {
+  const { clock } = options;
+  const defaults = {
+    mode: 'up',
+    latencyMs: 0,
+    failStarts: 0,
+    startFailure: { status: 500, message: 'docker: container failed to start' },
+    capacity: scaleResources(RESOURCE_UNIT, 5),
+    spotTermination: null,
+    ...options.defaults,
+  };
+  // ip -> agent
+  const agents = new Map();
+  const counts = { status: 0, starts: 0, startFailures: 0, stops: 0, unreachable: 0 };
+
+  function agent(ip) {
+    if (!agents.has(ip)) {
+      agents.set(ip, { ip, ...defaults, matches: new Map(), nextPort: 7800, nextContainer: 1 });
+    }
+    return agents.get(ip);
+  }
+
+  function allocated(a) {
+    return [...a.matches.values()].reduce((sum, m) => addResources(sum, m.resources), { cpu: 0, memoryMb: 0 });
+  }
+
+  function handle(a, method, path, body) {
+    if (method === 'GET' && path === '/status') {
+      counts.status++;
+      return {
+        activeMatches: a.matches.size,
+        ...(a.capacity ? { capacity: a.capacity, allocated: allocated(a) } : {}),
+        spotTermination: a.spotTermination,
+      };
+    }
+    if (method === 'POST' && path === '/start-match') {
+      counts.starts++;
+      if (a.failStarts > 0) {
+        a.failStarts--;
+        counts.startFailures++;
+        throw httpError(a.startFailure.status, { success: false, message: a.startFailure.message });
+      }
+      if (a.spotTermination) throw httpError(503, { success: false, message: 'VM is being reclaimed' });
+      if (a.matches.has(body.matchId)) throw httpError(409, { success: false, message: `Container for ${body.matchId} already exists` });
+      const resources = resolveProfile(body.gameMode, body.tickRate)?.resources || RESOURCE_UNIT;
+      if (a.capacity && !fitsIn(resources, subtractResources(a.capacity, allocated(a)))) {
+        throw httpError(503, { success: false, code: 'CAPACITY_EXHAUSTED', message: 'Not enough free CPU / memory' });
+      }
+      const match = { matchId: body.matchId, gameMode: body.gameMode, resources, serverPort: a.nextPort++, containerId: `c${a.nextContainer++}` };
+      a.matches.set(body.matchId, match);
+      return { success: true, matchId: body.matchId, serverPort: match.serverPort, containerId: match.containerId };
+    }
+    if (method === 'POST' && path === '/stop-match') {
+      counts.stops++;
+      return { success: true, matchId: body.matchId, removed: a.matches.delete(body.matchId) };
+    }
+    throw httpError(404, { success: false, message: `No stub for ${method} ${path}` });
+  }
+
+  /**
+   * Drop-in for agentClient.agentRequest(ip, method, path, body, { timeout }).
+   */
+  async function agentRequest(ip, method, path, body, { timeout = 0 } = {}) {
+    const a = agent(ip);
+    if (a.mode === 'down') {
+      counts.unreachable++;
+      throw connectionError(ip, 'ECONNREFUSED', `connect ECONNREFUSED ${ip}:7777`);
+    }
+    const delay = a.mode === 'timeout' ? Infinity : a.latencyMs;
+    if (timeout && delay >= timeout) {
+      await clock.sleep(timeout);
+      counts.unreachable++;
+      throw connectionError(ip, 'ECONNABORTED', `timeout of ${timeout}ms exceeded`);
+    }
+    if (delay > 0) await clock.sleep(delay);
+    return handle(a, method, path, body);
+  }
+
+  return {
+    agentRequest,
+    agent,
+    // the match's server exits on its own; the caller reports it to the allocator
+    endMatch(ip, matchId) {
+      return agents.get(ip)?.matches.delete(matchId) || false;
+    },
+    counts: () => ({ ...counts }),
+  };
+}
+
+module.exports = { createStubCvmClient, createStubAgents };
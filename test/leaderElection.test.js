@@ -0,0 +1,94 @@
+// leaderElection.js: electing a leader through a shared lock and keeping it while taking over
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLeaderElection } = require('../leaderElection');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A lease shared by the replicas in this process; acquireMs makes every lock call that slow
+function createMemoryLock({ acquireMs = 0 } = {}) {
+  const lock = { name: 'memory', holder: null, expiresAt: 0, acquires: 0, inFlight: 0, maxInFlight: 0 };
+  lock.acquire = async (holder, ttlMs) => {
+    lock.acquires++;
+    lock.inFlight++;
+    lock.maxInFlight = Math.max(lock.maxInFlight, lock.inFlight);
+    await sleep(acquireMs);
+    lock.inFlight--;
+    if (!lock.holder || lock.expiresAt <= Date.now() || lock.holder.id === holder.id) {
+      Object.assign(lock, { holder, expiresAt: Date.now() + ttlMs });
+    }
+    return lock.holder;
+  };
+  lock.release = async (holder) => {
+    if (lock.holder?.id === holder.id) lock.holder = null;
+  };
+  return lock;
+}
+
+function quietly(fn) {
+  return async () => {
+    const saved = { log: console.log, warn: console.warn, error: console.error };
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    try {
+      return await fn();
+    } finally {
+      Object.assign(console, saved);
+    }
+  };
+}
+
+test('one of two replicas leads, and the other takes over once it steps down', quietly(async () => {
+  const lock = createMemoryLock();
+  const a = createLeaderElection({ lock, id: 'a', url: 'http://a', leaseMs: 200, renewMs: 20 });
+  const b = createLeaderElection({ lock, id: 'b', url: 'http://b', leaseMs: 200, renewMs: 20 });
+
+  await a.start();
+  await b.start();
+  assert.equal(a.isLeader(), true);
+  assert.equal(b.isLeader(), false);
+  assert.deepEqual(b.leader(), { id: 'a', url: 'http://a' });
+
+  await a.stop();
+  await sleep(60);
+
+  assert.equal(b.isLeader(), true);
+  await b.stop();
+}));
+
+test('keeps renewing the lease while a slow takeover runs', quietly(async () => {
+  const lock = createMemoryLock({ acquireMs: 30 });
+  let elections = 0;
+  const election = createLeaderElection({
+    lock, id: 'a', url: 'http://a', leaseMs: 100, renewMs: 10,
+    onElected: async () => {
+      elections++;
+      await sleep(300);
+    },
+  });
+
+  await election.start();
+
+  assert.equal(elections, 1);
+  assert.equal(election.isLeader(), true);
+  // renewed throughout the takeover, never two lock calls at once
+  assert.ok(lock.acquires >= 5);
+  assert.equal(lock.maxInFlight, 1);
+  await election.stop();
+}));
+
+test('steps down when the lock cannot be renewed before the lease runs out', quietly(async () => {
+  const lock = createMemoryLock();
+  let demoted = 0;
+  const election = createLeaderElection({ lock, id: 'a', url: 'http://a', leaseMs: 100, renewMs: 20, onDemoted: () => demoted++ });
+  await election.start();
+
+  lock.acquire = async () => { throw new Error('lock store down'); };
+  await sleep(150);
+
+  assert.equal(election.isLeader(), false);
+  assert.equal(demoted, 1);
+  await election.stop();
+}));
@@ -0,0 +1,92 @@
+// matchLauncher.js: capacity checks, port leases and reconciling them with Docker, on a fake Docker Engine
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withAgentHarness } = require('./harness/agent');
+
+// room for one VersusMen_Online@30 (0.35 CPU / 350 MB) but not two
+const ONE_SLOT = { VM_CAPACITY_CPU: 0.5, VM_CAPACITY_MEMORY_MB: 500 };
+
+const launch = (launcher, matchId, extra = {}) => launcher.launchUnityServer(
+  matchId, extra.port ?? null, extra.gameMode || 'VersusMen_Online', 'Public', extra.tickRate, 'QuickPlay', undefined, '203.0.113.5'
+);
+
+test('of two concurrent launches that fit only one at a time, starts one', () => withAgentHarness({ env: ONE_SLOT }, async ({ docker, launcher }) => {
+  const results = await Promise.allSettled([launch(launcher, 'm1'), launch(launcher, 'm2')]);
+
+  assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+  const { reason } = results.find((r) => r.status === 'rejected');
+  assert.equal(reason.code, 'CAPACITY_EXHAUSTED');
+  assert.equal(reason.statusCode, 503);
+  assert.equal(docker.containers.size, 1);
+  assert.deepEqual(await launcher.getAllocatedResources(), { cpu: 0.35, memoryMb: 350 });
+}));
+
+test('frees the claim of a launch that fails', () => withAgentHarness({ env: { VM_CAPACITY_CPU: 0.7, VM_CAPACITY_MEMORY_MB: 700 } }, async ({ docker, launcher }) => {
+  await launch(launcher, 'm1');
+  const [{ ports: [taken] }] = await launcher.listMatchContainers();
+
+  // m1's port is leased, so m2 fails after claiming its resources
+  await assert.rejects(launch(launcher, 'm2', { port: taken }), /leased to match m1/);
+  await launch(launcher, 'm3');
+
+  assert.deepEqual([...docker.containers.keys()], ['m1', 'm3']);
+}));
+
+test('gives concurrent launches different ports and releases them when matches stop', () => withAgentHarness({ env: { VM_CAPACITY_CPU: 2, VM_CAPACITY_MEMORY_MB: 2000 } }, async ({ docker, launcher }) => {
+  const started = await Promise.all(['m1', 'm2', 'm3'].map((matchId) => launch(launcher, matchId)));
+
+  const ports = started.map((match) => match.serverPort);
+  assert.equal(new Set(ports).size, 3);
+  assert.ok(ports.every((port) => port >= launcher.PORT_RANGE.min && port <= launcher.PORT_RANGE.max));
+  assert.deepEqual(docker.containers.get('m2').HostConfig.PortBindings, { '7777/udp': [{ HostPort: String(started[1].serverPort) }] });
+
+  assert.equal(await launcher.stopUnityServer('m2'), true);
+  assert.deepEqual(launcher.getPortLeases().map((lease) => lease.matchId).sort(), ['m1', 'm3']);
+  assert.equal(await launcher.stopUnityServer('m2'), false);
+}));
+
+test('a match keeps the port it already leased', () => withAgentHarness({}, async ({ launcher }) => {
+  const port = await launcher.leasePort('m1');
+
+  assert.equal(await launcher.leasePort('m1'), port);
+  assert.notEqual(await launcher.leasePort('m2'), port);
+  launcher.releasePort('m1');
+  assert.deepEqual(launcher.getPortLeases().map((lease) => lease.matchId), ['m2']);
+}));
+
+test('counts running containers by their resource labels', () => withAgentHarness({ env: { VM_CAPACITY_CPU: 3, VM_CAPACITY_MEMORY_MB: 3000 } }, async ({ docker, launcher }) => {
+  await launch(launcher, 'm1', { tickRate: 60 });
+  await launch(launcher, 'm2');
+  docker.exit('m2', { exitCode: 0 });
+
+  assert.deepEqual(launcher.getCapacity(), { cpu: 3, memoryMb: 3000 });
+  // the exited container no longer holds anything
+  assert.deepEqual(await launcher.getAllocatedResources(), { cpu: 0.6, memoryMb: 400 });
+}));
+
+test('reconciling leases the ports of containers it finds and removes exited ones', () => withAgentHarness({ env: { VM_CAPACITY_CPU: 2, VM_CAPACITY_MEMORY_MB: 2000 } }, async ({ docker, launcher }) => {
+  const first = await launch(launcher, 'm1');
+  const second = await launch(launcher, 'm2');
+  // as after an agent restart: Docker still has the containers, the agent no leases
+  launcher.releasePort('m1');
+  launcher.releasePort('m2');
+  docker.exit('m2', { exitCode: 1 });
+
+  const handled = [];
+  await launcher.reconcilePortLeases({ onExited: async (container) => handled.push(container.matchId) });
+
+  assert.deepEqual(handled, ['m2']);
+  assert.deepEqual([...docker.containers.keys()], ['m1']);
+  assert.deepEqual(launcher.getPortLeases().map(({ port, matchId }) => [port, matchId]), [[first.serverPort, 'm1']]);
+  // the freed port is handed out again
+  assert.equal(await launcher.leasePort('m3'), second.serverPort);
+}));
+
+test('rejects invalid parameters before touching Docker', () => withAgentHarness({}, async ({ docker, launcher }) => {
+  await assert.rejects(launch(launcher, 'bad id; rm -rf /'), (err) => err.statusCode === 400);
+  await assert.rejects(launch(launcher, 'm1', { gameMode: 'NoSuchMode' }), (err) => err.statusCode === 400);
+  await assert.rejects(launch(launcher, 'm1', { tickRate: 45 }), (err) => err.statusCode === 400);
+
+  assert.equal(docker.containers.size, 0);
+}));
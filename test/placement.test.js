@@ -0,0 +1,185 @@
+// getAvailableVM() / requestMatch(): best-fit placement, waiting for launches, start failures
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness } = require('./harness/harness');
+const { RESOURCE_UNIT, scaleResources } = require('../gameProfiles');
+
+const slots = (n) => scaleResources(RESOURCE_UNIT, n);
+
+// VMs of the first fleet with the given agent capacities (in standard slots), oldest first
+async function vmsWithCapacity(h, capacities) {
+  h.allocator.FLEETS[0].minVMs = capacities.length;
+  await h.tick();
+  const entries = h.vms().sort(([a], [b]) => a.localeCompare(b));
+  entries.forEach(([, vm], i) => { h.agents.agent(vm.ip).capacity = slots(capacities[i]); });
+  return entries;
+}
+
+const need = (h, extra = {}) => ({ resources: RESOURCE_UNIT, build: Object.values(h.allocator.vmPool)[0].build, ...extra });
+
+test('places a match on the VM it leaves the least room on', () => withHarness({ env: { MIN_BACKUP_VMS: 0 } }, async (h) => {
+  const [[roomy], [tight]] = await vmsWithCapacity(h, [5, 2]);
+
+  const slot = await h.clock.run(h.allocator.getAvailableVM('m1', need(h)));
+
+  assert.equal(slot.instanceId, tight);
+  assert.notEqual(slot.instanceId, roomy);
+  // reserved until released, so the next request sees one slot left there
+  const next = await h.clock.run(h.allocator.getAvailableVM('m2', need(h)));
+  assert.equal(next.instanceId, tight);
+  const third = await h.clock.run(h.allocator.getAvailableVM('m3', need(h)));
+  assert.equal(third.instanceId, roomy);
+  [slot, next, third].forEach(h.allocator.releaseSlot);
+}));
+
+test('skips excluded VMs and VMs of other builds', () => withHarness({ env: { MIN_BACKUP_VMS: 0 } }, async (h) => {
+  const [[first], [second]] = await vmsWithCapacity(h, [5, 5]);
+
+  const slot = await h.clock.run(h.allocator.getAvailableVM('m1', need(h, { exclude: new Set([first]) })));
+  assert.equal(slot.instanceId, second);
+  h.allocator.releaseSlot(slot);
+
+  h.allocator.vmPool[second].build = 'other';
+  const other = await h.clock.run(h.allocator.getAvailableVM('m2', need(h, { build: 'other' })));
+  assert.equal(other.instanceId, second);
+  h.allocator.releaseSlot(other);
+}));
+
+test('parks the request and launches a VM when every VM is full', () => withHarness({ env: { MIN_BACKUP_VMS: 0 }, bootDelayMs: 90 * 1000 }, async (h) => {
+  await vmsWithCapacity(h, [1]);
+  assert.equal((await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }))).status, 200);
+  const before = h.clock.now();
+
+  const { status, body } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' }));
+
+  assert.equal(status, 200);
+  assert.equal(h.cvm().launched(), 2);
+  assert.equal(h.allocator.vmPool[h.allocator.matches.m2.vmInstanceId].ip, body.serverIP);
+  // waited for the new VM to boot
+  assert.ok(h.clock.now() - before >= 90 * 1000);
+}));
+
+test('answers 503 NO_CAPACITY when the fleet is full at maxVMs', () => withHarness({ env: { MIN_BACKUP_VMS: 1, MAX_BACKUP_VMS: 1 } }, async (h) => {
+  await vmsWithCapacity(h, [1]);
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+
+  const { status, body } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' }));
+
+  assert.equal(status, 503);
+  assert.equal(body.code, 'NO_CAPACITY');
+  assert.equal(h.allocator.matches.m2.status, 'failed');
+}));
+
+test('gives up on a request still waiting after QUEUE_TIMEOUT_MS', () => withHarness({ env: { MIN_BACKUP_VMS: 0, QUEUE_TIMEOUT_MS: 60 * 1000 }, bootDelayMs: 5 * 60 * 1000 }, async (h) => {
+  await vmsWithCapacity(h, [1]);
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+
+  const { status } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' }));
+
+  assert.equal(status, 503);
+  assert.equal(h.allocator.waitQueue.length, 0);
+}));
+
+test('retries a failed start on the next VM', () => withHarness({ env: { MIN_BACKUP_VMS: 0 } }, async (h) => {
+  const [[roomy], [tight, tightVm]] = await vmsWithCapacity(h, [5, 2]);
+  h.agents.agent(tightVm.ip).failStarts = 1;
+
+  const { status } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+
+  assert.equal(status, 200);
+  const match = h.allocator.matches.m1;
+  assert.equal(match.vmInstanceId, roomy);
+  assert.deepEqual(match.startAttempts.map((attempt) => attempt.instanceId), [tight]);
+}));
+
+test('fails with 502 VM_START_FAILED after MATCH_START_ATTEMPTS failed starts', () => withHarness({ env: { MIN_BACKUP_VMS: 0, MATCH_START_ATTEMPTS: 2 }, agents: { failStarts: Infinity } }, async (h) => {
+  await vmsWithCapacity(h, [5, 5, 5]);
+
+  const { status, body } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+
+  assert.equal(status, 502);
+  assert.equal(body.code, 'VM_START_FAILED');
+  assert.equal(body.attempts.length, 2);
+  assert.equal(h.agents.counts().startFailures, 2);
+}));
+
+test('does not retry a start the agent rejected as invalid', () => withHarness({ env: { MIN_BACKUP_VMS: 0 }, agents: { failStarts: 1, startFailure: { status: 400, message: 'Missing matchId/gameMode' } } }, async (h) => {
+  await vmsWithCapacity(h, [5, 5]);
+
+  const { status } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+
+  assert.equal(status, 502);
+  assert.equal(h.agents.counts().starts, 1);
+}));
+
+test('DELETE on a match still waiting for a VM fails it as stopped and never starts it', () => withHarness({ env: { MIN_BACKUP_VMS: 0, ADMIN_API_KEY: 'admin-test-key' }, bootDelayMs: 90 * 1000 }, async (h) => {
+  await vmsWithCapacity(h, [1]);
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  const pending = h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' });
+  await h.clock.advance(0);
+  assert.equal(h.allocator.waitQueue.length, 1);
+
+  const server = h.allocator.app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/matches/m2`, {
+      method: 'DELETE',
+      headers: { authorization: 'Bearer admin-test-key' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'failed');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  const { status, body } = await h.clock.run(pending);
+  assert.equal(status, 409);
+  assert.equal(body.code, 'MATCH_CANCELLED');
+  assert.equal(h.allocator.waitQueue.length, 0);
+  // the VM launched for it boots and takes nothing
+  await h.clock.advance(2 * 60 * 1000);
+  await h.tick();
+  const match = h.allocator.matches.m2;
+  assert.equal(match.status, 'failed');
+  assert.equal(match.endReason, 'stopped');
+  assert.equal(h.agents.counts().starts, 1);
+}));
+
+test('a re-homed match is timed from its re-home, not from its request', () => withHarness({ env: { MIN_BACKUP_VMS: 0, MATCH_REHOME_LIMIT: 1, ALLOCATING_TIMEOUT_MS: 10 * 60 * 1000 }, bootDelayMs: 90 * 1000 }, async (h) => {
+  await vmsWithCapacity(h, [1, 1]);
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' }));
+  const match = h.allocator.matches.m1;
+  const crashedOn = match.vmInstanceId;
+  await h.clock.advance(15 * 60 * 1000);
+
+  // the other VM is full, so the re-home waits for a new one
+  h.agents.endMatch(h.allocator.vmPool[crashedOn].ip, 'm1');
+  assert.equal(h.allocator.rehomeMatch(match, { endReason: 'crashed', error: 'exit code 139', exit: { exitCode: 139 } }), true);
+  await h.clock.advance(0);
+  assert.equal(h.allocator.waitQueue.length, 1);
+  await h.tick();
+  assert.equal(match.status, 'allocating');
+
+  const { status } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  assert.equal(status, 200);
+  assert.equal(match.status, 'running');
+  assert.equal(h.cvm().launched(), 3);
+  assert.notEqual(match.vmInstanceId, crashedOn);
+}));
+
+test('leaves a match allocating past ALLOCATING_TIMEOUT_MS to the allocation still working on it', () => withHarness({ env: { MIN_BACKUP_VMS: 0, MAX_BACKUP_VMS: 3, ALLOCATING_TIMEOUT_MS: 60 * 1000 }, bootDelayMs: 3 * 60 * 1000 }, async (h) => {
+  await vmsWithCapacity(h, [1, 1]);
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' }));
+  const pending = h.allocator.requestMatch({ matchId: 'm3', gameMode: 'VersusMen_Online' });
+  await h.clock.advance(70 * 1000);
+
+  // still waiting for its VM to boot
+  await h.tick();
+  assert.equal(h.allocator.matches.m3.status, 'allocating');
+
+  assert.equal((await h.clock.run(pending)).status, 200);
+  assert.equal(h.allocator.matches.m3.status, 'running');
+}));
@@ -0,0 +1,68 @@
+// recomputeProtectedVM(): choosing, moving and rotating the protected VM
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness } = require('./harness/harness');
+
+const MINUTE_MS = 60 * 1000;
+
+// An older and a newer VM, launched a minute apart
+async function olderAndNewer(h) {
+  await h.tick();
+  const [[older]] = h.vms();
+  await h.clock.advance(MINUTE_MS);
+  h.allocator.FLEETS[0].minVMs = 2;
+  await h.tick();
+  const [newer] = h.vms().map(([id]) => id).filter((id) => id !== older);
+  return [older, newer];
+}
+
+test('protects the oldest serving VM', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  const [older] = await olderAndNewer(h);
+
+  assert.equal(h.allocator.getProtectedVM(), older);
+}));
+
+test('moves protection off a VM that starts draining', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  const [older, newer] = await olderAndNewer(h);
+
+  h.allocator.drainVM(older, 'admin');
+
+  assert.equal(h.allocator.getProtectedVM(), newer);
+}));
+
+test('rotates protection away from a VM not seen for over an hour', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  const [older, newer] = await olderAndNewer(h);
+  h.agents.agent(h.allocator.vmPool[older].ip).mode = 'down';
+
+  await h.clock.advance(30 * MINUTE_MS);
+  h.allocator.recomputeProtectedVM();
+  assert.equal(h.allocator.getProtectedVM(), older);
+
+  await h.clock.advance(31 * MINUTE_MS);
+  await h.clock.run(h.allocator.refreshVmStatus(older, h.allocator.vmPool[older]));
+  h.allocator.recomputeProtectedVM();
+
+  assert.equal(h.allocator.getProtectedVM(), newer);
+}));
+
+test('keeps protection when there is no other serving VM to rotate to', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  await h.tick();
+  const [[only]] = h.vms();
+  h.agents.agent(h.allocator.vmPool[only].ip).mode = 'down';
+  await h.clock.advance(61 * MINUTE_MS);
+
+  h.allocator.recomputeProtectedVM();
+
+  assert.equal(h.allocator.getProtectedVM(), only);
+}));
+
+test('picks a new protected VM once the protected one is gone', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  const [older, newer] = await olderAndNewer(h);
+
+  h.cvm().reclaim(older);
+  await h.tick();
+
+  assert.equal(h.allocator.vmPool[older], undefined);
+  assert.equal(h.allocator.getProtectedVM(), newer);
+}));
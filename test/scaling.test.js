@@ -0,0 +1,82 @@
+// updateVMs(): fleet sizing, scale-out and drain-then-terminate scale-in
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness } = require('./harness/harness');
+
+const MINUTE_MS = 60 * 1000;
+
+test('launches up to minVMs on the first tick', () => withHarness({ env: { MIN_BACKUP_VMS: 2 } }, async (h) => {
+  await h.tick();
+
+  assert.equal(h.vms().length, 2);
+  assert.equal(h.cvm().running().length, 2);
+  assert.ok(h.allocator.vmPool[h.allocator.getProtectedVM()]);
+}));
+
+test('launches one more VM when free slots run low', () => withHarness({ env: { MIN_BACKUP_VMS: 1, NEAR_CAPACITY_THRESHOLD: 1 } }, async (h) => {
+  await h.tick();
+  // 4 of the VM's 5 standard slots
+  for (let i = 1; i <= 4; i++) {
+    const { status } = await h.clock.run(h.allocator.requestMatch({ matchId: `m${i}`, gameMode: 'VersusMen_Online' }));
+    assert.equal(status, 200);
+  }
+  assert.equal(h.vms().length, 1);
+
+  await h.tick();
+
+  assert.equal(h.vms().length, 2);
+  assert.equal(h.cvm().launched(), 2);
+}));
+
+test('never grows past maxVMs', () => withHarness({ env: { MIN_BACKUP_VMS: 1, MAX_BACKUP_VMS: 1 }, agents: { capacity: { cpu: 0.35, memoryMb: 350 } } }, async (h) => {
+  await h.tick();
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+
+  await h.tick();
+
+  assert.equal(h.cvm().launched(), 1);
+}));
+
+test('drains idle VMs above the desired size and terminates them after the cool-down', () => withHarness({ env: { MIN_BACKUP_VMS: 3, DRAIN_COOLDOWN_MS: 2 * MINUTE_MS } }, async (h) => {
+  await h.tick();
+  assert.equal(h.vms().length, 3);
+  h.allocator.FLEETS[0].minVMs = 1;
+
+  // too young to scale in
+  await h.tick();
+  assert.equal(h.vms().filter(([, vm]) => vm.draining).length, 0);
+
+  await h.clock.advance(6 * MINUTE_MS);
+  await h.tick();
+  const draining = h.vms().filter(([, vm]) => vm.draining);
+  assert.equal(draining.length, 2);
+  assert.ok(draining.every(([id, vm]) => vm.draining.reason === 'scale_in' && id !== h.allocator.getProtectedVM()));
+
+  // reported empty, then empty for the whole cool-down
+  await h.tick();
+  assert.equal(h.vms().length, 3);
+  await h.clock.advance(2 * MINUTE_MS);
+  await h.tick();
+
+  assert.equal(h.vms().length, 1);
+  assert.equal(h.cvm().running().length, 1);
+}));
+
+test('keeps a draining VM until its matches end', () => withHarness({ env: { MIN_BACKUP_VMS: 1, DRAIN_COOLDOWN_MS: 0 } }, async (h) => {
+  await h.tick();
+  const { body } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  const [[instanceId]] = h.vms();
+  h.allocator.drainVM(instanceId, 'admin');
+
+  await h.tick();
+  await h.tick();
+  assert.ok(h.allocator.vmPool[instanceId]);
+
+  h.agents.endMatch(body.serverIP, 'm1');
+  h.allocator.finishMatch(h.allocator.matches.m1, 'ended', { endReason: 'completed' });
+  await h.tick();
+  await h.tick();
+
+  assert.equal(h.allocator.vmPool[instanceId], undefined);
+}));
@@ -0,0 +1,85 @@
+// runScenario(): replaying traces and comparing scaling settings offline
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runScenario, loadTrace, syntheticTrace } = require('./harness/scenario');
+
+const MINUTE_MS = 60 * 1000;
+
+test('synthetic traces are repeatable and follow the daily peak', () => {
+  const trace = syntheticTrace({ hours: 24, peakPerMinute: 2, peakHour: 20, seed: 7 });
+
+  assert.deepEqual(syntheticTrace({ hours: 24, peakPerMinute: 2, peakHour: 20, seed: 7 }), trace);
+  const inHour = (hour) => trace.requests.filter((r) => Math.floor(r.at / (60 * MINUTE_MS)) === hour).length;
+  assert.ok(inHour(20) > 2 * inHour(8));
+});
+
+test('reports placements, 503s, VM-hours and terminations', async () => {
+  const trace = syntheticTrace({ hours: 3, peakPerMinute: 2, peakHour: 1 });
+
+  const report = await runScenario(trace, { env: { MIN_BACKUP_VMS: 1, MAX_BACKUP_VMS: 3 } });
+
+  assert.equal(report.requests, trace.requests.length);
+  assert.equal(report.placed + Object.entries(report.outcomes).filter(([key]) => key !== '200').reduce((sum, [, n]) => sum + n, 0), report.requests);
+  assert.ok(report.unavailable > 0);
+  assert.equal(report.outcomes['503 NO_CAPACITY'], report.unavailable);
+  assert.ok(report.peakVMs <= 3);
+  assert.ok(report.vmHours > 0);
+  assert.ok(report.terminations.drained > 0);
+  // the same trace and settings give the same report
+  assert.deepEqual(await runScenario(trace, { env: { MIN_BACKUP_VMS: 1, MAX_BACKUP_VMS: 3 } }), report);
+});
+
+test('compares scaling settings on the same trace', async () => {
+  const trace = syntheticTrace({ hours: 2, peakPerMinute: 3, peakHour: 1 });
+
+  const small = await runScenario(trace, { env: { MIN_BACKUP_VMS: 1, MAX_BACKUP_VMS: 2 } });
+  const large = await runScenario(trace, { env: { MIN_BACKUP_VMS: 2, MAX_BACKUP_VMS: 20, SCALING_TARGET_FREE_PERCENT: 20 } });
+
+  assert.ok(large.unavailable < small.unavailable);
+  assert.ok(large.vmHours > small.vmHours);
+});
+
+test('reports matches whose server failed to start', async () => {
+  const requests = Array.from({ length: 6 }, (_, i) => ({ at: i * MINUTE_MS, gameMode: 'VersusMen_Online', durationMs: 20 * MINUTE_MS }));
+
+  // every agent fails its first start: the first request fails on both VMs and on the one launched for it
+  const report = await runScenario({ requests }, { env: { MIN_BACKUP_VMS: 2, MATCH_START_ATTEMPTS: 3 }, agents: { failStarts: 1 } });
+
+  assert.equal(report.outcomes['502 VM_START_FAILED'], 1);
+  assert.equal(report.placed, 5);
+  assert.equal(report.startFailures, 3);
+});
+
+test('replays the matches recorded in a state journal', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'allocator-trace-'));
+  const t0 = Date.UTC(2024, 5, 1, 18);
+  const match = (id, createdAt, minutes) => ({
+    matchId: id, gameMode: 'VersusMen_Online', tickRate: 30, matchPrivacy: 'Public', status: 'ended',
+    createdAt, startedAt: createdAt + 1000, endedAt: createdAt + 1000 + minutes * MINUTE_MS,
+  });
+  const journal = [
+    { type: 'snapshot', t: t0, state: { vmPool: {}, matches: { a: match('a', t0, 10) } } },
+    { type: 'vm.upsert', id: 'ins-1', data: {}, t: t0 },
+    { type: 'match.upsert', id: 'b', data: { ...match('b', t0 + 5 * MINUTE_MS, 20), status: 'allocating' }, t: t0 },
+    { type: 'match.upsert', id: 'b', data: match('b', t0 + 5 * MINUTE_MS, 20), t: t0 },
+    { type: 'match.remove', id: 'a', t: t0 },
+  ];
+  const file = path.join(dir, 'allocator-state.jsonl');
+  fs.writeFileSync(file, journal.map((entry) => JSON.stringify(entry)).join('\n'));
+
+  try {
+    const trace = loadTrace(file);
+    assert.equal(trace.start, t0);
+    assert.deepEqual(trace.requests.map((r) => [r.matchId, r.at, r.durationMs]), [['a', 0, 10 * MINUTE_MS], ['b', 5 * MINUTE_MS, 20 * MINUTE_MS]]);
+
+    const report = await runScenario(trace, { env: { MIN_BACKUP_VMS: 1 } });
+    assert.equal(report.placed, 2);
+    assert.equal(report.matchMinutes, 30);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
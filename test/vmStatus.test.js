@@ -0,0 +1,132 @@
+// refreshVmStatus(): agent /status polls, unreachable VMs, timeouts and quarantine
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withHarness } = require('./harness/harness');
+
+const MINUTE_MS = 60 * 1000;
+
+// Two VMs, the fleet allowed to shrink to one; returns [protected, other] as [instanceId, vm]
+async function twoVMs(h) {
+  await h.tick();
+  h.allocator.FLEETS[0].minVMs = 1;
+  const protectedId = h.allocator.getProtectedVM();
+  return [h.vms().find(([id]) => id === protectedId), h.vms().find(([id]) => id !== protectedId)];
+}
+
+test('records what the agent reports', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  await h.tick();
+  const [[instanceId, vm]] = h.vms();
+  h.agents.agent(vm.ip).capacity = { cpu: 3.5, memoryMb: 3500 };
+  await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'KunBoran_Online' }));
+
+  assert.equal(await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm)), true);
+
+  assert.deepEqual(vm.capacity, { cpu: 3.5, memoryMb: 3500 });
+  assert.equal(vm.matchCount, 1);
+  assert.deepEqual(vm.allocated, { cpu: 0.45, memoryMb: 400 });
+  assert.equal(vm.lastSeen, h.clock.now());
+}));
+
+test('terminates an unreachable VM after repeated failures once it is old enough', () => withHarness({ env: { MIN_BACKUP_VMS: 2, VM_UNREACHABLE_TERMINATE_THRESHOLD: 2 } }, async (h) => {
+  const [, [instanceId, vm]] = await twoVMs(h);
+  h.agents.agent(vm.ip).mode = 'down';
+
+  // brand new: failures are counted but the VM is kept
+  for (let i = 0; i < 3; i++) assert.equal(await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm)), false);
+  assert.equal(vm.unreachableCount, 3);
+  assert.ok(h.allocator.vmPool[instanceId]);
+
+  await h.clock.advance(6 * MINUTE_MS);
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+
+  assert.equal(h.allocator.vmPool[instanceId], undefined);
+  assert.deepEqual(h.cvm().running().map((inst) => inst.InstanceId), [h.allocator.getProtectedVM()]);
+}));
+
+test('a status poll that times out counts as unreachable', () => withHarness({ env: { MIN_BACKUP_VMS: 1, STATUS_TIMEOUT_MS: 5000 } }, async (h) => {
+  await h.tick();
+  const [[instanceId, vm]] = h.vms();
+  h.agents.agent(vm.ip).mode = 'timeout';
+  const before = h.clock.now();
+
+  assert.equal(await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm)), false);
+
+  assert.equal(h.clock.now() - before, 5000);
+  assert.equal(vm.unreachableCount, 1);
+
+  // answering again resets the count
+  h.agents.agent(vm.ip).mode = 'up';
+  assert.equal(await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm)), true);
+  assert.equal(vm.unreachableCount, 0);
+}));
+
+test('never terminates the protected VM or shrinks the fleet below minVMs', () => withHarness({ env: { MIN_BACKUP_VMS: 2 } }, async (h) => {
+  const [[protectedId, protectedVm], [otherId, otherVm]] = await twoVMs(h);
+  h.allocator.FLEETS[0].minVMs = 2;
+  h.agents.agent(protectedVm.ip).mode = 'down';
+  h.agents.agent(otherVm.ip).mode = 'down';
+  await h.clock.advance(6 * MINUTE_MS);
+
+  for (let i = 0; i < 3; i++) {
+    await h.clock.run(h.allocator.refreshVmStatus(protectedId, protectedVm));
+    await h.clock.run(h.allocator.refreshVmStatus(otherId, otherVm));
+  }
+
+  assert.equal(h.vms().length, 2);
+}));
+
+test('quarantines an unreachable VM with live matches until it answers again', () => withHarness({ env: { MIN_BACKUP_VMS: 2 } }, async (h) => {
+  await twoVMs(h);
+  const { body } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  const [instanceId, vm] = h.vms().find(([, v]) => v.ip === body.serverIP);
+  h.agents.agent(vm.ip).mode = 'down';
+  await h.clock.advance(6 * MINUTE_MS);
+
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+
+  assert.deepEqual(vm.quarantine.matchIds, ['m1']);
+  assert.notEqual(h.allocator.getProtectedVM(), instanceId);
+  assert.equal(h.allocator.matches.m1.status, 'running');
+  // no new placements on it
+  const { body: next } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm2', gameMode: 'VersusMen_Online' }));
+  assert.notEqual(next.serverIP, vm.ip);
+
+  h.agents.agent(vm.ip).mode = 'up';
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+  assert.equal(vm.quarantine, null);
+}));
+
+test('terminates a quarantined VM after QUARANTINE_TIMEOUT_MS', () => withHarness({ env: { MIN_BACKUP_VMS: 2, QUARANTINE_TIMEOUT_MS: 10 * MINUTE_MS } }, async (h) => {
+  await twoVMs(h);
+  const { body } = await h.clock.run(h.allocator.requestMatch({ matchId: 'm1', gameMode: 'VersusMen_Online' }));
+  const [instanceId, vm] = h.vms().find(([, v]) => v.ip === body.serverIP);
+  h.agents.agent(vm.ip).mode = 'down';
+  await h.clock.advance(6 * MINUTE_MS);
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+  assert.ok(vm.quarantine);
+
+  await h.clock.advance(10 * MINUTE_MS);
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+
+  assert.equal(h.allocator.vmPool[instanceId], undefined);
+  // the next reap fails the match its VM took down
+  await h.tick();
+  assert.equal(h.allocator.matches.m1.status, 'failed');
+  assert.equal(h.allocator.matches.m1.endReason, 'vm_gone');
+}));
+
+test('drains a VM whose agent reports a spot termination notice', () => withHarness({ env: { MIN_BACKUP_VMS: 1 } }, async (h) => {
+  await h.tick();
+  const [[instanceId, vm]] = h.vms();
+  h.agents.agent(vm.ip).spotTermination = new Date(h.clock.now() + 2 * MINUTE_MS).toISOString();
+
+  await h.clock.run(h.allocator.refreshVmStatus(instanceId, vm));
+
+  assert.equal(vm.draining.reason, 'spot_interruption');
+  // a replacement is launched in the same fleet
+  await h.clock.advance(2 * MINUTE_MS);
+  assert.equal(h.cvm().launched(), 2);
+}));
@@ -0,0 +1,217 @@
+// vmAgent.js
+// HTTP agent running on every match VM. The allocator calls it to start, stop
+// and inspect match containers. Every route requires a request signed with the
+// shared SecurityKey (see requestSigning.js).
+
+const express = require('express');
+const dotenv = require('dotenv');
+const os = require('os');
+const {
+  launchUnityServer,
+  stopUnityServer,
+  listMatchContainers,
+  getMatchLogs,
+  getPortLeases,
+  getCapacity,
+  getAllocatedResources,
+  PORT_RANGE,
+} = require('./matchLauncher');
+const { requireSignature, captureRawBody, getSigningKey } = require('./requestSigning');
+const { isValidMatchId } = require('./matchValidation');
+const { createRegistry } = require('./metrics');
+const { createSpotMonitor } = require('./spotMonitor');
+const { createContainerMonitor } = require('./containerMonitor');
+
+dotenv.config();
+
+const app = express();
+const AGENT_PORT = Number(process.env.AGENT_PORT || 7777);
+const PUBLIC_IP = process.env.PUBLIC_IP; // reported back to clients as serverIP
+const PORT_RECONCILE_INTERVAL_MS = Number(process.env.PORT_RECONCILE_INTERVAL_MS || 15 * 1000);
+const SPOT_MONITOR = process.env.SPOT_MONITOR !== 'false'; // off for on-demand-only hosts
+
+// reports spot termination notices to ALLOCATOR_URL
+const spotMonitor = createSpotMonitor();
+
+// -------- Metrics --------
+const metrics = createRegistry();
+const containersGauge = metrics.gauge('agent_match_containers', 'Match containers by Docker state', ['state']);
+const leasedPortsGauge = metrics.gauge('agent_ports_leased', 'Host ports leased to matches');
+const freePortsGauge = metrics.gauge('agent_ports_free', 'Host ports still available in the port range');
+const allocatedGauge = metrics.gauge('agent_resources_allocated', 'Resources claimed by match containers', ['resource']);
+const capacityGauge = metrics.gauge('agent_resources_capacity', 'Resources available to match containers', ['resource']);
+const startsCounter = metrics.counter('agent_match_starts_total', 'start-match requests by result', ['result']);
+const stopsCounter = metrics.counter('agent_match_stops_total', 'stop-match requests by result', ['result']);
+const exitsCounter = metrics.counter('agent_match_exits_total', 'Match containers that exited on their own, by classification', ['classification']);
+const restartsCounter = metrics.counter('agent_match_restarts_total', 'Crashed match containers restarted, by classification', ['classification']);
+
+// reports match exits to ALLOCATOR_URL and keeps their log tails
+const containerMonitor = createContainerMonitor({
+  onExit: ({ classification }) => exitsCounter.inc({ classification }),
+  onRestart: (matchId, classification) => restartsCounter.inc({ classification }),
+});
+
+metrics.onCollect(async () => {
+  containersGauge.reset();
+  try {
+    const byState = {};
+    for (const c of await listMatchContainers()) byState[c.state] = (byState[c.state] || 0) + 1;
+    for (const [state, count] of Object.entries(byState)) containersGauge.set({ state }, count);
+    const allocated = await getAllocatedResources();
+    allocatedGauge.set({ resource: 'cpu' }, allocated.cpu);
+    allocatedGauge.set({ resource: 'memory_mb' }, allocated.memoryMb);
+  } catch (err) {
+    console.error('[AGENT] metrics: listing containers failed:', err?.message || err);
+  }
+  const leased = getPortLeases().length;
+  const capacity = getCapacity();
+  capacityGauge.set({ resource: 'cpu' }, capacity.cpu);
+  capacityGauge.set({ resource: 'memory_mb' }, capacity.memoryMb);
+  leasedPortsGauge.set(leased);
+  freePortsGauge.set(PORT_RANGE.max - PORT_RANGE.min + 1 - leased);
+});
+
+// Scraped by Prometheus, so it is the one route that does not require a signature
+app.get('/metrics', async (req, res) => {
+  res.type(metrics.contentType).send(await metrics.render());
+});
+
+app.use(express.json({ verify: captureRawBody }));
+app.use(requireSignature());
+
+function hostLoad() {
+  const toMb = (bytes) => Math.round(bytes / (1024 * 1024));
+  return {
+    cpus: os.cpus().length,
+    loadAvg: os.loadavg(),
+    totalMemoryMb: toMb(os.totalmem()),
+    freeMemoryMb: toMb(os.freemem()),
+  };
+}
+
+// -------- Routes --------
+app.get('/status', async (req, res) => {
+  try {
+    const containers = await listMatchContainers();
+    const running = containers.filter((c) => c.state === 'running');
+    const allocated = await getAllocatedResources();
+    const portCount = PORT_RANGE.max - PORT_RANGE.min + 1;
+    const leasedPorts = getPortLeases().length;
+    return res.json({
+      activeMatches: running.length,
+      // the allocator bin-packs matches against these
+      capacity: getCapacity(),
+      allocated: { cpu: Number(allocated.cpu.toFixed(3)), memoryMb: allocated.memoryMb },
+      leasedPorts,
+      freePorts: portCount - leasedPorts,
+      host: hostLoad(),
+      // lets the allocator drain this VM even if the direct report did not get through
+      spotTermination: spotMonitor.getNotice()?.terminationTime || null,
+    });
+  } catch (err) {
+    console.error('[AGENT] status failed:', err?.message || err);
+    return res.status(500).json({ success: false, message: err?.message || 'Status failed' });
+  }
+});
+
+app.post('/start-match', async (req, res) => {
+  const { matchId, gameMode, matchPrivacy, tickRate, matchType, playfab, serverImage } = req.body || {};
+  if (!matchId || !gameMode) {
+    return res.status(400).json({ success: false, message: 'Missing matchId/gameMode' });
+  }
+  if (spotMonitor.getNotice()) {
+    startsCounter.inc({ result: 'reclaiming' });
+    return res.status(503).json({ success: false, message: 'VM is being reclaimed' });
+  }
+
+  try {
+    const matchData = await launchUnityServer(
+      matchId,
+      null,
+      gameMode,
+      matchPrivacy,
+      tickRate,
+      matchType,
+      playfab,
+      PUBLIC_IP,
+      serverImage
+    );
+    startsCounter.inc({ result: 'success' });
+    return res.json({ success: true, ...matchData });
+  } catch (err) {
+    console.error(`[AGENT] start-match ${matchId} failed:`, err?.message || err);
+    const result = { PORTS_EXHAUSTED: 'ports_exhausted', CAPACITY_EXHAUSTED: 'capacity_exhausted' }[err.code];
+    startsCounter.inc({ result: result || 'error' });
+    // 400 invalid parameters, 409 container for this matchId exists, 503 ports or capacity exhausted
+    const status = [400, 409, 503].includes(err.statusCode) ? err.statusCode : 500;
+    return res.status(status).json({ success: false, code: err.code, message: err?.message || 'Failed to start match' });
+  }
+});
+
+app.post('/stop-match', async (req, res) => {
+  const { matchId } = req.body || {};
+  if (!isValidMatchId(matchId)) return res.status(400).json({ success: false, message: 'Missing or invalid matchId' });
+
+  try {
+    const removed = await stopUnityServer(matchId);
+    stopsCounter.inc({ result: removed ? 'stopped' : 'not_found' });
+    return res.json({ success: true, matchId, removed });
+  } catch (err) {
+    stopsCounter.inc({ result: 'error' });
+    console.error(`[AGENT] stop-match ${matchId} failed:`, err?.message || err);
+    return res.status(500).json({ success: false, message: err?.message || 'Failed to stop match' });
+  }
+});
+
+app.get('/matches', async (req, res) => {
+  try {
+    return res.json({ success: true, matches: await listMatchContainers() });
+  } catch (err) {
+    console.error('[AGENT] list matches failed:', err?.message || err);
+    return res.status(500).json({ success: false, message: err?.message || 'Failed to list matches' });
+  }
+});
+
+app.get('/ports', (req, res) => {
+  return res.json({ success: true, range: PORT_RANGE, leases: getPortLeases() });
+});
+
+app.get('/matches/:matchId/logs', async (req, res) => {
+  if (!isValidMatchId(req.params.matchId)) return res.status(400).json({ success: false, message: 'Invalid matchId' });
+  try {
+    const logs = await getMatchLogs(req.params.matchId, req.query.tail);
+    return res.type('text/plain').send(logs);
+  } catch (err) {
+    // the container is gone; serve the tail captured when it exited
+    const exit = err.statusCode === 404 && containerMonitor.getExit(req.params.matchId);
+    if (exit) {
+      const tail = Math.max(1, Number.parseInt(req.query.tail, 10) || 200);
+      return res.type('text/plain').send(exit.logs.split('\n').slice(-tail - 1).join('\n'));
+    }
+    const notFound = err.statusCode === 404;
+    return res.status(notFound ? 404 : 500).json({ success: false, message: notFound ? 'Match not found' : err?.message });
+  }
+});
+
+// -------- Start server --------
+if (!getSigningKey()) {
+  console.error('[AGENT] SecurityKey is not set; every request will be rejected.');
+}
+
+// Handle exits the Docker event stream missed, then reconcile port leases
+async function syncPortLeases() {
+  try {
+    await containerMonitor.sweep();
+  } catch (err) {
+    console.error('[AGENT] Port lease reconcile failed:', err?.message || err);
+  }
+}
+
+app.listen(AGENT_PORT, '0.0.0.0', async () => {
+  console.log(`VM agent listening on port ${AGENT_PORT}`);
+  // pick up ports held by containers that outlived a previous agent process
+  containerMonitor.start();
+  await syncPortLeases();
+  setInterval(syncPortLeases, PORT_RECONCILE_INTERVAL_MS);
+  if (SPOT_MONITOR) spotMonitor.start();
+});
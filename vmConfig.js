@@ -1,23 +1,99 @@
-require('dotenv').config();
-
-const launchParams = {
-  InstanceCount: 1,
-  InstanceType: process.env.INSTANCE_TYPE,  // e.g. S5.MEDIUM4
-  ImageId: process.env.IMAGE_ID,            // your base image
-  InstanceChargeType: "SPOTPAID",   
-  Placement: {
-    Zone: process.env.ZONE                  // e.g. ap-singapore-2
-  },
-  VirtualPrivateCloud: {
-    VpcId: process.env.VPC_ID,
-    SubnetId: process.env.SUBNET_ID
-  },
-  InternetAccessible: {
-    InternetChargeType: "TRAFFIC_POSTPAID_BY_HOUR",
-    InternetMaxBandwidthOut: 20,
-    PublicIpAssigned: true
-  },
-  SecurityGroupIds: [process.env.SG_ID]
-};
-
-module.exports = launchParams;
+require('dotenv').config();
+const fs = require('fs');
+
+/**
+ * RunInstances parameters for one fleet. Fields not set on the fleet fall back
+ * to the env vars (INSTANCE_TYPE, IMAGE_ID, ZONE, VPC_ID, SUBNET_ID, SG_ID, SPOT_MAX_PRICE).
+ */
+function buildLaunchParams(fleet = {}) {
+  const spotMaxPrice = fleet.spotMaxPrice || process.env.SPOT_MAX_PRICE;
+  return {
+    InstanceCount: 1,
+    InstanceType: fleet.instanceType || process.env.INSTANCE_TYPE,  // e.g. S5.MEDIUM4
+    ImageId: fleet.imageId || process.env.IMAGE_ID,                 // your base image
+    InstanceChargeType: "SPOTPAID",
+    // without a max price CVM bids up to the on-demand price
+    ...(spotMaxPrice && {
+      InstanceMarketOptions: {
+        MarketType: "spot",
+        SpotOptions: { MaxPrice: String(spotMaxPrice), SpotInstanceType: "one-time" }
+      }
+    }),
+    Placement: {
+      Zone: fleet.zone || process.env.ZONE                          // e.g. ap-singapore-2
+    },
+    VirtualPrivateCloud: {
+      VpcId: fleet.vpcId || process.env.VPC_ID,
+      SubnetId: fleet.subnetId || process.env.SUBNET_ID
+    },
+    InternetAccessible: {
+      InternetChargeType: "TRAFFIC_POSTPAID_BY_HOUR",
+      InternetMaxBandwidthOut: 20,
+      PublicIpAssigned: true
+    },
+    SecurityGroupIds: fleet.securityGroupIds || [process.env.SG_ID]
+  };
+}
+
+/**
+ * The same launch as on-demand: POSTPAID_BY_HOUR without spot market options.
+ */
+function toOnDemandParams(params) {
+  const { InstanceMarketOptions, ...rest } = params;
+  return { ...rest, InstanceChargeType: "POSTPAID_BY_HOUR" };
+}
+
+const launchParams = buildLaunchParams();
+
+/**
+ * Fleets: one pool of match VMs per region/zone, each scaled on its own.
+ *
+ * FLEETS_FILE may point to a JSON array of
+ *   { id, region, zone, vpcId, subnetId, securityGroupIds, instanceType, imageId, spotMaxPrice,
+ *     minVMs, maxVMs, matchLimit, onDemandBase, spotFallback, maxOnDemand, scaling }
+ * (`scaling` overrides the scaling policy settings for this fleet, see scalingPolicy.js)
+ * Without it there is a single fleet built from TENCENT_REGION / ZONE and the env vars above.
+ *
+ * Spot / on-demand mix per fleet:
+ *   onDemandBase  - the first N VMs are always on-demand (ON_DEMAND_BASE_VMS, default 0)
+ *   spotFallback  - launch on-demand when spot is out of stock or over price (SPOT_FALLBACK, default true)
+ *   maxOnDemand   - never run more than N on-demand VMs (MAX_ON_DEMAND_VMS, default maxVMs)
+ *
+ * @param {object} defaults - { minVMs, maxVMs, matchLimit } for fleets that do not set them
+ * @returns {Array<{ id, region, zone, minVMs, maxVMs, matchLimit, onDemandBase, spotFallback, maxOnDemand, scaling, launchParams }>}
+ */
+function loadFleets(defaults) {
+  const defs = process.env.FLEETS_FILE
+    ? JSON.parse(fs.readFileSync(process.env.FLEETS_FILE, 'utf8'))
+    : [{ region: process.env.TENCENT_REGION || 'ap-singapore', zone: process.env.ZONE }];
+
+  if (!Array.isArray(defs) || defs.length === 0) {
+    throw new Error(`FLEETS_FILE ${process.env.FLEETS_FILE} must contain a non-empty array`);
+  }
+
+  const fleets = defs.map((def) => {
+    if (!def.region) throw new Error(`Fleet ${JSON.stringify(def)} is missing a region`);
+    return {
+      id: def.id || def.zone || def.region,
+      region: def.region,
+      zone: def.zone || null,
+      minVMs: def.minVMs ?? defaults.minVMs,
+      maxVMs: def.maxVMs ?? defaults.maxVMs,
+      matchLimit: def.matchLimit ?? defaults.matchLimit,
+      onDemandBase: def.onDemandBase ?? Number(process.env.ON_DEMAND_BASE_VMS || 0),
+      spotFallback: def.spotFallback ?? process.env.SPOT_FALLBACK !== 'false',
+      maxOnDemand: def.maxOnDemand ?? Number(process.env.MAX_ON_DEMAND_VMS || def.maxVMs || defaults.maxVMs),
+      scaling: def.scaling || {},
+      launchParams: buildLaunchParams(def),
+    };
+  });
+
+  const ids = new Set();
+  for (const fleet of fleets) {
+    if (ids.has(fleet.id)) throw new Error(`Duplicate fleet id: ${fleet.id}`);
+    ids.add(fleet.id);
+  }
+  return fleets;
+}
+
+module.exports = { launchParams, buildLaunchParams, toOnDemandParams, loadFleets };